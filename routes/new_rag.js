@@ -7,7 +7,7 @@ const { v4: uuidv4 } = require('uuid');
 // Services
 const openaiService = require('../services/openaiService');
 const vectorDatabaseService = require('../services/vectorDatabaseService');
-const advancedMemoryService = require('../services/advancedMemoryService');
+const memoryService = require('../services/memoryService');
 const multimodalProcessingService = require('../services/multimodalProcessingService');
 const vectorVisualizationService = require('../services/vectorVisualizationService');
 const logger = require('../services/loggerService');
@@ -39,9 +39,9 @@ const upload = multer({
   }
 });
 
-// Middleware to extract user ID
+// The signed-in user, set by authService.middleware
 const getUserId = (req) => {
-  return req.headers['x-user-id'] || req.body.userId || req.query.userId || 'default';
+  return req.user.id;
 };
 
 // Middleware to emit socket events
@@ -69,13 +69,15 @@ router.post('/ask', async (req, res) => {
     logger.info(`Received question from user ${userId}: ${question.substring(0, 100)}...`);
     emitProgress(req, 'processing_started', { type: 'question', message: 'Processing your question...' });
 
-    const response = await openaiService.askQuestion(question, userId, context, options);
+    const result = await openaiService.askQuestion(question, userId, context, options);
 
     res.json({
-      response,
+      response: result.answer,
       userId,
       timestamp: new Date().toISOString(),
-      model: process.env.OPENAI_MODEL || 'gpt-4o-2024-08-06'
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage
     });
 
     emitProgress(req, 'processing_completed', { type: 'question', success: true });
@@ -98,10 +100,14 @@ router.post('/chat', async (req, res) => {
 
     emitProgress(req, 'processing_started', { type: 'chat', message: 'Thinking...' });
 
-    const response = await openaiService.chatWithHistory(message, userId, options);
+    const result = await openaiService.chatWithHistory(message, userId, options);
 
     res.json({
-      response,
+      response: result.answer,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      searchQuery: result.searchQuery,
       userId,
       timestamp: new Date().toISOString()
     });
@@ -203,10 +209,11 @@ router.post('/process-url', async (req, res) => {
     const processed = await multimodalProcessingService.processUrl(url, { ...metadata, userId });
 
     if (processed.extractedText) {
-      const response = await openaiService.askQuestion(question, userId, processed.extractedText);
+      const result = await openaiService.askQuestion(question, userId, processed.extractedText);
       
       res.json({
-        response,
+        response: result.answer,
+        model: result.model,
         processedContent: processed,
         userId,
         timestamp: new Date().toISOString()
@@ -305,7 +312,7 @@ router.post('/memory/store', async (req, res) => {
       return res.status(400).json({ error: 'Key and value are required' });
     }
 
-    const result = await advancedMemoryService.storeMemory(userId, key, value, metadata);
+    const result = await memoryService.storeMemory(userId, key, value, metadata);
 
     res.json({
       result,
@@ -328,7 +335,7 @@ router.get('/memory/search', async (req, res) => {
       return res.status(400).json({ error: 'Query is required' });
     }
 
-    const results = await advancedMemoryService.searchMemories(userId, query, parseInt(limit));
+    const results = await memoryService.searchMemories(userId, query, parseInt(limit));
 
     res.json({
       results,
@@ -348,7 +355,7 @@ router.get('/memory/history', async (req, res) => {
     const { limit = 20 } = req.query;
     const userId = getUserId(req);
 
-    const history = await advancedMemoryService.getConversationHistory(userId, parseInt(limit));
+    const history = await memoryService.getConversationHistory(userId, parseInt(limit));
 
     res.json({
       history,
@@ -365,7 +372,7 @@ router.get('/memory/history', async (req, res) => {
 router.get('/memory/profile', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const profile = await advancedMemoryService.getUserProfile(userId);
+    const profile = await memoryService.getUserProfile(userId);
 
     res.json({
       profile,
@@ -388,7 +395,7 @@ router.post('/memory/profile', async (req, res) => {
       return res.status(400).json({ error: 'Profile data is required' });
     }
 
-    const result = await advancedMemoryService.updateUserProfile(userId, profileData);
+    const result = await memoryService.updateUserProfile(userId, profileData);
 
     res.json({
       result,
@@ -405,7 +412,7 @@ router.post('/memory/profile', async (req, res) => {
 router.get('/memory/stats', async (req, res) => {
   try {
     const userId = getUserId(req);
-    const stats = await advancedMemoryService.getMemoryStats(userId);
+    const stats = await memoryService.getMemoryStats(userId);
 
     res.json({
       stats,
@@ -534,7 +541,7 @@ router.get('/analytics/dashboard', async (req, res) => {
     // Gather analytics data
     const [vectorStats, memoryStats, processingStats] = await Promise.all([
       vectorDatabaseService.getVectorStats(),
-      advancedMemoryService.getMemoryStats(userId),
+      memoryService.getMemoryStats(userId),
       multimodalProcessingService.getProcessingStats()
     ]);
 
@@ -3,7 +3,9 @@ const multer = require('multer');
 const { extractTextFromPDF } = require('../services/pdfService');
 const { extractTextFromURL } = require('../services/urlService');
 const { getEmbeddings, updateVocabulary } = require('../services/embedService');
-const { askQuestion } = require('../services/openaiService');
+const openaiService = require('../services/openaiService');
+const llmProviderService = require('../services/llmProviderService');
+const usageService = require('../services/usageService');
 const memoryService = require('../services/memoryService');
 const analyticsService = require('../services/analyticsService');
 const responseFormatter = require('../services/responseFormatter');
@@ -11,11 +13,325 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const knowledgeBaseService = require('../services/knowledgeBaseService');
+const documentStoreService = require('../services/documentStoreService');
+const chunkingService = require('../services/chunkingService');
+const citationService = require('../services/citationService');
+const rerankerService = require('../services/rerankerService');
+const collectionService = require('../services/collectionService');
+const embeddingRegistryService = require('../services/embeddingRegistryService');
+const metadataFilter = require('../services/metadataFilter');
+const conversationService = require('../services/conversationService');
+const threadService = require('../services/threadService');
+const memoryCommandService = require('../services/memoryCommandService');
+const authService = require('../services/authService');
+const workspaceService = require('../services/workspaceService');
+const jobQueueService = require('../services/jobQueueService');
 
 const router = express.Router();
 const upload = multer({ dest: 'uploads/' });
 
-let memory = []; // { chunk, embedding }
+// Viewers can chat; editors can also ingest and manage their own documents; admins can do everything
+const requireEditor = authService.requireRole('editor');
+const requireAdmin = authService.requireRole('admin');
+
+// Every signed-in request acts inside one workspace: X-Workspace-Id (or ?workspace=), else
+// "default". Only members and admins may enter a workspace.
+router.use(async (req, res, next) => {
+  if (!req.user) return next(); // register and login
+  try {
+    const workspaceId = req.get('x-workspace-id') || req.query.workspace || workspaceService.defaultWorkspace;
+    const workspace = await workspaceService.getWorkspace(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ success: false, error: `Workspace "${workspaceId}" not found` });
+    }
+    if (!workspaceService.isMember(workspace, req.user.id) && !authService.hasRole(req.user, 'admin')) {
+      return res.status(403).json({ success: false, error: 'You are not a member of this workspace' });
+    }
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The signed-in user within the current workspace; documents, threads and memory are scoped to it.
+// Account-level data (API keys, usage, budgets, socket rooms) uses req.user.id.
+function getUserId(req) {
+  return workspaceService.scopeKey(req.workspace.id, req.user.id);
+}
+
+// Workspace owners manage its collections and members; admins manage every workspace
+function canManageWorkspace(req) {
+  return req.workspace.ownerId === req.user.id || authService.hasRole(req.user, 'admin');
+}
+
+function requireWorkspaceManager(req, res, next) {
+  if (canManageWorkspace(req)) return next();
+  res.status(403).json({ success: false, error: 'Requires the workspace owner or an admin' });
+}
+
+// Session and model analytics of the current workspace
+function getAnalytics(req) {
+  return analyticsService.forWorkspace(req.workspace.id);
+}
+
+// Client-chosen session ids are namespaced by user so one user can't read or write another's
+// session; without one the session is the user itself
+function getSessionId(req, sessionId) {
+  const userId = getUserId(req);
+  return sessionId ? `${userId}:${sessionId}` : userId;
+}
+
+function ownsConversation(req, conversation) {
+  const userId = getUserId(req);
+  return conversation.userId === userId || conversation.userId.startsWith(`${userId}:`) || conversation.metadata?.userId === userId;
+}
+
+// Look up the request's `collection` (body or query string, default "default") in the workspace.
+// Responds 404 and resolves null when it doesn't exist; with `optional`, no collection resolves
+// to { name: null, keys } where keys lists every collection of the workspace.
+async function resolveCollection(req, res, { optional = false } = {}) {
+  const name = req.body?.collection || req.query?.collection;
+  if (!name && optional) return { name: null, slug: null, keys: await collectionService.listCollectionKeys(req.workspace.id) };
+
+  const collection = await collectionService.getWorkspaceCollection(req.workspace.id, name || collectionService.defaultCollection);
+  if (!collection) {
+    res.status(404).json({ success: false, error: `Collection "${name}" not found` });
+    return null;
+  }
+  return collection;
+}
+
+// Chunking options accepted on ingestion requests (strategy, maxTokens, overlapTokens);
+// anything not given comes from the collection's chunking settings
+function getChunkOptions(req, collection) {
+  const { chunkStrategy, chunkMaxTokens, chunkOverlapTokens } = req.body || {};
+  return collectionService.getChunkOptions(collection, {
+    strategy: chunkStrategy,
+    maxTokens: chunkMaxTokens,
+    overlapTokens: chunkOverlapTokens
+  });
+}
+
+// Chunk memory uses the collection's embedding model when it sets one, otherwise the global embedder
+async function embedForCollection(text, collection) {
+  if (!collection?.embedding) return getEmbeddings(text);
+  const { embedding } = await embeddingRegistryService.embedWith(collection.embedding.provider, text, collection.embedding.model);
+  return embedding;
+}
+
+// Keep the top-K chunks; with a reranker, the top-N (`candidates`) are reranked down to K first
+async function selectChunks(query, rankedChunks, req, topK) {
+  const { reranker, candidates } = req.body || {};
+  if (!reranker) return rankedChunks.slice(0, topK);
+
+  const pool = rankedChunks
+    .slice(0, Math.max(parseInt(candidates) || 20, topK))
+    .map(chunk => ({ ...chunk, text: chunk.chunk, score: chunk.similarity }));
+  return rerankerService.rerank(query, pool, { reranker, topK });
+}
+
+// Mirror a stored document's chunks into the vector database so it can be deleted/reindexed as a unit.
+// Each write goes through `retry` and a write that still fails rejects; the ids stored so far are
+// pushed onto `vectorIds` as they're written, so a caller can remove them again.
+async function storeDocumentVectors(document, { retry = fn => fn(), checkCancelled = () => {}, vectorIds = [] } = {}) {
+  const vectorDatabaseService = require('../services/vectorDatabaseService');
+
+  for (const chunk of document.chunks) {
+    checkCancelled();
+    const result = await retry(() => vectorDatabaseService.createEmbedding(chunk.text, {
+      collection: documentStoreService.collectionOf(document),
+      source: document.source,
+      fileName: document.source,
+      type: 'document',
+      userId: document.userId,
+      documentId: document.id,
+      chunkId: chunk.id,
+      page: chunk.page,
+      headingPath: chunk.headingPath,
+      startOffset: chunk.startOffset,
+      endOffset: chunk.endOffset
+    }));
+    vectorIds.push(result.id);
+  }
+
+  return vectorIds;
+}
+
+// Remove a document together with whatever vectors were stored for it
+async function discardDocument(document, vectorIds = document.vectorIds || []) {
+  const vectorDatabaseService = require('../services/vectorDatabaseService');
+  await vectorDatabaseService.deleteDocumentVectors(document.id, vectorIds, documentStoreService.collectionOf(document), { ownerId: document.userId });
+  await documentStoreService.deleteDocument(document.id);
+}
+
+// === INGESTION ===
+// Every ingestion route and job stores its text through ingestDocument, which embeds
+// INGEST_EMBED_CONCURRENCY chunks at a time (default 4)
+const INGEST_EMBED_CONCURRENCY = Math.max(1, Number(process.env.INGEST_EMBED_CONCURRENCY) || 4);
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Chunk and embed extracted text, then store it as one document and write its vectors. Embeddings
+// and vector writes go through `retry` and fail the document when they still fail; on a failure or
+// cancellation the partial document is removed again, so no document is left without its vectors.
+// `onDocument` runs once the document exists, before any vector is written.
+async function ingestDocument(text, { userId, source, type, collection, chunkOptions }, {
+  retry = fn => fn(),
+  checkCancelled = () => {},
+  onChunks = () => {},
+  onChunkEmbedded = () => {},
+  onDocument = async () => {}
+} = {}) {
+  const chunks = chunkingService.chunkText(text, chunkOptions);
+  updateVocabulary(chunks.map(chunk => chunk.text));
+  onChunks(chunks.length);
+
+  const embedded = await mapWithConcurrency(chunks, INGEST_EMBED_CONCURRENCY, async chunk => {
+    checkCancelled();
+    const embedding = await retry(() => embedForCollection(chunk.text, collection));
+    onChunkEmbedded();
+    return { ...chunk, embedding };
+  });
+  checkCancelled();
+
+  const document = await documentStoreService.addDocument(userId, { source, type, collection: collection.name, chunks: embedded });
+  const vectorIds = [];
+  try {
+    await onDocument(document);
+    await storeDocumentVectors(document, { retry, checkCancelled, vectorIds });
+    return await documentStoreService.updateDocument(document.id, { vectorIds });
+  } catch (error) {
+    await discardDocument(document, vectorIds);
+    throw error;
+  }
+}
+
+// === INGESTION JOBS ===
+// Uploaded files are ingested in the background: each file is extracted and stored through
+// ingestDocument, with embeddings and vector writes retried on failure. File outcomes are recorded
+// on the job, so a job resumed after a restart skips files it already finished; cancelling keeps
+// those documents and drops the rest.
+async function ingestFile(file, collection, job, { progress, checkCancelled, retry, checkpoint }) {
+  // Left behind by a restart while its vectors were being written; it is stored again from scratch
+  if (file.documentId) {
+    const partial = await documentStoreService.getDocument(file.documentId);
+    if (partial) await discardDocument(partial);
+    delete file.documentId;
+  }
+
+  if (file.mimetype !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
+    return { status: 'skipped', error: 'Unsupported file type' };
+  }
+  const text = await retry(() => extractTextFromPDF(file.path));
+  if (!text || !text.trim()) return { status: 'skipped', error: 'No text found' };
+
+  const document = await ingestDocument(text, {
+    userId: job.data.userId,
+    source: file.name,
+    type: 'pdf',
+    collection,
+    chunkOptions: job.data.chunkOptions
+  }, {
+    retry,
+    checkCancelled,
+    onChunks: count => progress({ totalChunks: job.progress.totalChunks + count }),
+    onChunkEmbedded: () => progress({ processedChunks: job.progress.processedChunks + 1 }),
+    // Saved before any vector is written, so a restart can find the half-stored document
+    onDocument: async document => {
+      file.documentId = document.id;
+      await checkpoint();
+    }
+  });
+  return { status: 'completed', documentId: document.id, chunks: document.chunks.length, preview: text.substring(0, 200) + '...' };
+}
+
+async function runIngestJob(job, context) {
+  const { files, question, userId } = job.data;
+  const collection = await collectionService.getCollection(job.data.collection);
+  if (!collection) throw new Error('The collection no longer exists');
+
+  // Counted from the files already finished, so a resumed job starts from what it really kept
+  const storedChunks = files.reduce((sum, file) => sum + (file.chunks || 0), 0);
+  context.progress({
+    totalFiles: files.length,
+    processedFiles: files.filter(file => file.status !== 'queued').length,
+    totalChunks: storedChunks,
+    processedChunks: storedChunks
+  });
+
+  for (const file of files) {
+    if (file.status !== 'queued') continue;
+    context.checkCancelled();
+    context.progress({ currentFile: file.name });
+    console.log(`📄 Processing file: ${file.name}`);
+
+    try {
+      Object.assign(file, await ingestFile(file, collection, job, context));
+    } catch (error) {
+      // ingestDocument has already removed a partially stored document
+      delete file.documentId;
+      if (error instanceof jobQueueService.JobCancelledError) throw error;
+      console.error(`Error processing file ${file.name}:`, error.message);
+      Object.assign(file, { status: 'failed', error: error.message });
+    }
+    fs.rmSync(file.path, { force: true });
+    context.progress({ processedFiles: job.progress.processedFiles + 1, currentFile: null });
+  }
+
+  context.checkCancelled();
+  const processed = files.filter(file => file.status === 'completed');
+  const totalChunks = processed.reduce((sum, file) => sum + file.chunks, 0);
+
+  // Generate analysis response if files were processed
+  let response = null;
+  if (totalChunks > 0) {
+    try {
+      console.log(`🤖 Generating analysis for ${processed.length} files`);
+      const documents = await Promise.all(processed.map(file => documentStoreService.getDocument(file.documentId)));
+      const analysisContext = documents.flatMap(document => document?.chunks || []).slice(-10).map(chunk => chunk.text).join('\n\n');
+      response = await openaiService.askQuestion(question, userId, analysisContext, { collection: collection.name });
+    } catch (analysisError) {
+      console.error('Failed to generate analysis:', analysisError.message);
+      response = { answer: 'Files processed successfully, but analysis generation failed.', provider: null, model: null };
+    }
+  }
+
+  console.log(`✅ Ingestion job ${job.id} complete: ${processed.length} files, ${totalChunks} chunks`);
+  return {
+    filesProcessed: processed.length,
+    totalChunks,
+    response: response?.answer || null,
+    provider: response?.provider || null,
+    model: response?.model || null,
+    collection: collectionService.slugOf(collection.name),
+    analysisResults: files.map(file => file.status === 'completed'
+      ? { filename: file.name, documentId: file.documentId, chunks: file.chunks, preview: file.preview }
+      : { filename: file.name, error: file.error || 'Cancelled' })
+  };
+}
+
+jobQueueService.registerHandler('ingest', {
+  run: runIngestJob,
+  // Uploads of files that were never processed (cancelled or failed jobs)
+  cleanup: async job => job.data.files.forEach(file => fs.rmSync(file.path, { force: true })),
+  describe: job => ({
+    collection: collectionService.slugOf(job.data.collection),
+    files: job.data.files.map(({ name, size, status, documentId, chunks, error }) => ({ name, size, status, documentId, chunks, error }))
+  })
+});
 
 // Simple helper functions that don't depend on external services
 function extractTopicsSimple(text) {
@@ -55,38 +371,6 @@ function analyzeQuestionTypeSimple(question) {
   return 'general';
 }
 
-// Create text chunks for processing
-function createTextChunks(text, maxChunkSize = 1000) {
-  const chunks = [];
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-  
-  let currentChunk = '';
-  
-  for (const sentence of sentences) {
-    const trimmedSentence = sentence.trim();
-    if (currentChunk.length + trimmedSentence.length > maxChunkSize) {
-      if (currentChunk) {
-        chunks.push(currentChunk.trim());
-        currentChunk = trimmedSentence;
-      } else {
-        // If single sentence is too long, split it further
-        const words = trimmedSentence.split(' ');
-        for (let i = 0; i < words.length; i += 100) {
-          chunks.push(words.slice(i, i + 100).join(' '));
-        }
-      }
-    } else {
-      currentChunk += (currentChunk ? '. ' : '') + trimmedSentence;
-    }
-  }
-  
-  if (currentChunk) {
-    chunks.push(currentChunk.trim());
-  }
-  
-  return chunks.filter(chunk => chunk.length > 50); // Filter out very short chunks
-}
-
 // Cosine similarity function
 function cosineSimilarity(a, b) {
   const dotProduct = a.reduce((sum, val, i) => sum + val * b[i], 0);
@@ -95,8 +379,118 @@ function cosineSimilarity(a, b) {
   return dotProduct / (magnitudeA * magnitudeB);
 }
 
+// Look up the body's `threadId` for the caller. Resolves null for chats outside a thread;
+// responds 404 and resolves false when the thread doesn't exist or belongs to someone else.
+async function resolveThread(req, res, userId) {
+  if (!req.body.threadId) return null;
+
+  const thread = await threadService.getThread(userId, req.body.threadId);
+  if (!thread) {
+    res.status(404).json({ error: 'Thread not found' });
+    return false;
+  }
+  return thread;
+}
+
+// Earlier turns of a chat: the thread's messages, or the body's `history` when the client keeps it.
+// A chat with neither starts fresh; exchanges from other chats are never mixed in. Throws when the
+// supplied history is malformed.
+function getChatHistory(req, thread) {
+  if (thread) return conversationService.limitHistory(threadService.getHistory(thread));
+  if (req.body.history !== undefined) return conversationService.normalizeHistory(req.body.history);
+  return [];
+}
+
+// Adds the exchange to the chat's thread; resolves { threadId, messageId } for the response
+async function saveToThread(thread, userId, message, answer, metadata) {
+  if (!thread) return {};
+  try {
+    const { assistantMessage } = await threadService.appendExchange(userId, thread.id, message, answer, metadata);
+    return { threadId: thread.id, messageId: assistantMessage.id };
+  } catch (threadError) {
+    console.log('⚠️ Thread update failed:', threadError.message);
+    return { threadId: thread.id };
+  }
+}
+
+// "remember ..." / "forget ..." messages are applied to the user's memory instead of being answered
+// by the model. Resolves the chat response, or null when the message isn't a memory command.
+async function runMemoryCommand(userId, message, thread) {
+  const command = memoryCommandService.parse(message);
+  if (!command) return null;
+
+  const result = await memoryCommandService.apply(userId, command);
+  console.log(`🧠 Memory command (${result.action}): ${result.memories.length} memories affected`);
+  const threadInfo = await saveToThread(thread, userId, message, result.reply, { memoryCommand: result.action });
+  return {
+    ...threadInfo,
+    response: result.reply,
+    provider: 'memory',
+    model: null,
+    usage: null,
+    finishReason: 'stop',
+    memoryCommand: {
+      action: result.action,
+      subject: result.subject,
+      memories: result.memories.map(describeMemory)
+    },
+    type: 'memory_command'
+  };
+}
+
+// A stored memory as the API shows it
+function describeMemory(item) {
+  return {
+    key: item.key,
+    value: item.value,
+    category: item.metadata?.category || 'general',
+    importance: item.metadata?.importance || 1,
+    source: item.metadata?.source || null,
+    createdAt: item.metadata?.createdAt || item.metadata?.timestamp,
+    updatedAt: item.metadata?.timestamp
+  };
+}
+
+// Ranks the user's chunks against a chat message and builds the numbered context for the prompt
+async function retrieveChatContext(message, memory, collection, req) {
+  const questionEmbedding = await embedForCollection(message, collection);
+  // Chunks embedded by a different provider live in another vector space; skip them until reindexed
+  const similarities = memory.filter(item => item.embedding?.length === questionEmbedding.length).map(item => ({
+    ...item,
+    similarity: cosineSimilarity(questionEmbedding, item.embedding)
+  }));
+
+  // Get top relevant chunks
+  const relevantChunks = await selectChunks(
+    message,
+    similarities
+      .filter(item => item.similarity > 0.3)
+      .sort((a, b) => b.similarity - a.similarity),
+    req,
+    5
+  );
+
+  console.log(`🔍 Found ${relevantChunks.length} relevant chunks`);
+
+  // Prepare numbered context so the answer can cite its sources
+  const citations = citationService.buildCitations(relevantChunks);
+  let context = '';
+  if (relevantChunks.length > 0) {
+    context = citationService.formatContext(relevantChunks, citations);
+    console.log(`📖 Context length: ${context.length} characters`);
+  }
+
+  return { relevantChunks, citations, context };
+}
+
+function buildGeneralContext(question) {
+  return `This is a general question without specific document context. 
+    Provide a helpful, informative response based on general knowledge.
+    Question: ${question}`;
+}
+
 // Handle general questions without documents
-async function handleGeneralQuestion(question, sessionId) {
+async function handleGeneralQuestion(question, sessionId, history = []) {
   console.log('🔧 Handling general question without documents');
   
   try {
@@ -105,17 +499,15 @@ async function handleGeneralQuestion(question, sessionId) {
     // Use the free AI service to answer general questions
     const freeAiService = require('../services/freeAiService');
     
-    const generalContext = `This is a general question without specific document context. 
-    Provide a helpful, informative response based on general knowledge.
-    Question: ${question}`;
+    const generalContext = buildGeneralContext(question);
     
     console.log('📞 Calling freeAiService.generateResponse...');
-    const answer = await freeAiService.generateResponse(generalContext, question);
-    console.log('✅ Free AI service successful, answer length:', answer?.length || 0);
+    const result = await freeAiService.generateResponse(generalContext, question, { history });
+    console.log('✅ Free AI service successful, answer length:', result.answer?.length || 0);
     
     return {
-      answer: answer || `I understand you're asking about "${question}". While I don't have specific documents loaded, I'd be happy to help if you upload a document or scrape a URL first. This will give me specific context to provide more accurate and detailed answers.`,
-      model: 'General Assistant'
+      ...result,
+      answer: result.answer || `I understand you're asking about "${question}". While I don't have specific documents loaded, I'd be happy to help if you upload a document or scrape a URL first. This will give me specific context to provide more accurate and detailed answers.`
     };
   } catch (error) {
     console.log('❌ General question handling failed:', error.message);
@@ -137,38 +529,60 @@ I have advanced features including:
 - 💬 **Structured Responses** - I provide well-formatted, comprehensive answers
 
 Would you like to upload a document or scrape a URL to get started?`,
-      model: 'Gavina AI Assistant'
+      provider: 'local',
+      model: 'Gavina AI Assistant',
+      usage: null,
+      latencyMs: 0,
+      finishReason: null
     };
   }
 }
 
-router.post('/upload-pdf', upload.single('file'), async (req, res) => {
+// Feeds a generation result ({ provider, model, usage, latencyMs, finishReason }) into model analytics
+function trackGeneration(req, result) {
+  try {
+    getAnalytics(req).recordModelPerformance(result.model, {
+      provider: result.provider,
+      responseTime: result.latencyMs,
+      usage: result.usage,
+      finishReason: result.finishReason,
+      success: true
+    });
+  } catch (analyticsError) {
+    console.log('⚠️ Model analytics failed:', analyticsError.message);
+  }
+}
+
+router.post('/upload-pdf', requireEditor, upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const userId = getUserId(req);
     const filePath = req.file.path;
+    const collection = await resolveCollection(req, res);
+    if (!collection) {
+      fs.unlinkSync(filePath);
+      return;
+    }
+
     const text = await extractTextFromPDF(filePath);
     
     if (!text || text.trim().length === 0) {
       return res.status(400).json({ error: 'No text extracted from PDF' });
     }
 
-    const chunks = text.match(/.{1,1000}/g) || [text]; // split into ~1k char chunks
-
-    // Update vocabulary for better embeddings
-    updateVocabulary(chunks);
-
-    memory = await Promise.all(
-      chunks.map(async chunk => ({
-        chunk,
-        embedding: await getEmbeddings(chunk)
-      }))
-    );
+    const document = await ingestDocument(text, {
+      userId,
+      source: req.file.originalname,
+      type: 'pdf',
+      collection,
+      chunkOptions: getChunkOptions(req, collection)
+    });
 
     fs.unlinkSync(filePath); // cleanup
-    res.json({ message: 'PDF processed and embeddings stored', chunks: chunks.length });
+    res.json({ message: 'PDF processed and embeddings stored', chunks: document.chunks.length, documentId: document.id, collection: collection.slug });
   } catch (error) {
     console.error('Error processing PDF:', error);
     if (req.file && req.file.path) {
@@ -182,7 +596,7 @@ router.post('/upload-pdf', upload.single('file'), async (req, res) => {
   }
 });
 
-router.post('/scrape-url', async (req, res) => {
+router.post('/scrape-url', requireEditor, async (req, res) => {
   try {
     const { url } = req.body;
     
@@ -190,25 +604,24 @@ router.post('/scrape-url', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+
     const text = await extractTextFromURL(url);
     
     if (!text || text.trim().length === 0) {
       return res.status(400).json({ error: 'No text extracted from URL' });
     }
 
-    const chunks = text.match(/.{1,1000}/g) || [text];
-
-    // Update vocabulary for better embeddings
-    updateVocabulary(chunks);
-
-    memory = await Promise.all(
-      chunks.map(async chunk => ({
-        chunk,
-        embedding: await getEmbeddings(chunk)
-      }))
-    );
+    const document = await ingestDocument(text, {
+      userId: getUserId(req),
+      source: url,
+      type: 'url',
+      collection,
+      chunkOptions: getChunkOptions(req, collection)
+    });
 
-    res.json({ message: 'URL processed and embeddings stored', chunks: chunks.length });
+    res.json({ message: 'URL processed and embeddings stored', chunks: document.chunks.length, documentId: document.id, collection: collection.slug });
   } catch (error) {
     console.error('Error processing URL:', error);
     res.status(500).json({ error: 'Failed to process URL' });
@@ -218,7 +631,7 @@ router.post('/scrape-url', async (req, res) => {
 // Chat endpoint for frontend compatibility
 router.post('/chat', async (req, res) => {
   const startTime = Date.now();
-  let userId = req.headers['x-user-id'] || req.body.userId || 'default';
+  const userId = getUserId(req);
   
   console.log(`💬 Chat message from user ${userId}:`, req.body.message);
   
@@ -230,12 +643,30 @@ router.post('/chat', async (req, res) => {
       return res.status(400).json({ error: 'Message is required' });
     }
 
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+    const thread = await resolveThread(req, res, userId);
+    if (thread === false) return;
+
+    const memoryCommand = await runMemoryCommand(userId, message, thread);
+    if (memoryCommand) {
+      return res.json({ ...memoryCommand, responseTime: Date.now() - startTime, collection: collection.slug });
+    }
+
+    let history;
+    try {
+      history = getChatHistory(req, thread);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
     console.log(`💭 Processing chat message: "${message}"`);
+    const memory = await documentStoreService.getChunks(userId, collection.name);
     console.log(`📚 Memory chunks available: ${memory.length}`);
 
     // Track the chat event (safe with try-catch)
     try {
-      analyticsService.trackSession(userId, 'chat_message', {
+      getAnalytics(req).trackSession(userId, 'chat_message', {
         message: message.substring(0, 100),
         topics: extractTopicsSimple(message),
         complexity: calculateComplexitySimple(message)
@@ -250,15 +681,18 @@ router.post('/chat', async (req, res) => {
       console.log('📄 No documents loaded, handling as general chat');
       
       // Still provide a helpful response without document context
-      const generalResponse = await handleGeneralQuestion(message, userId);
+      const generalResponse = await handleGeneralQuestion(message, userId, history);
       const responseTime = Date.now() - startTime;
 
       console.log('🤖 Generated general response:', generalResponse.model);
+      trackGeneration(req, generalResponse);
 
       // Try to record conversation
       try {
         await memoryService.recordConversation(userId, message, generalResponse.answer, {
+          provider: generalResponse.provider,
           model: generalResponse.model,
+          usage: generalResponse.usage,
           responseTime,
           type: 'general_chat'
         });
@@ -267,51 +701,55 @@ router.post('/chat', async (req, res) => {
         console.log('⚠️ Memory recording failed:', memoryError.message);
       }
 
+      const threadInfo = await saveToThread(thread, userId, message, generalResponse.answer, {
+        provider: generalResponse.provider,
+        model: generalResponse.model
+      });
+
       return res.json({
+        ...threadInfo,
         response: generalResponse.answer,
+        provider: generalResponse.provider,
         model: generalResponse.model,
+        usage: generalResponse.usage,
+        finishReason: generalResponse.finishReason,
         responseTime,
         memoryUsed: false,
         documentsUsed: 0,
+        collection: collection.slug,
         type: 'general_chat'
       });
     }
 
-    // Find relevant context from memory
-    const questionEmbedding = await getEmbeddings(message);
-    const similarities = memory.map(item => ({
-      ...item,
-      similarity: cosineSimilarity(questionEmbedding, item.embedding)
-    }));
-
-    // Get top relevant chunks
-    const relevantChunks = similarities
-      .sort((a, b) => b.similarity - a.similarity)
-      .slice(0, 5)
-      .filter(item => item.similarity > 0.3);
-
-    console.log(`🔍 Found ${relevantChunks.length} relevant chunks`);
-
-    // Prepare context
-    let context = '';
-    if (relevantChunks.length > 0) {
-      context = relevantChunks.map(chunk => chunk.chunk).join('\n\n');
-      console.log(`📖 Context length: ${context.length} characters`);
-    }
+    // Follow-ups are condensed into a standalone query so retrieval sees what they refer to
+    const { query: searchQuery } = await conversationService.condenseQuery(message, history);
+    if (searchQuery !== message) console.log(`🔁 Condensed search query: "${searchQuery}"`);
+    const { relevantChunks, citations, context } = await retrieveChatContext(searchQuery, memory, collection, req);
 
     // Generate response
-    const response = await askQuestion(message, context, userId);
+    const response = await openaiService.askQuestion(message, userId, context, {
+      searchMode: req.body.searchMode,
+      collection: collection.name,
+      history,
+      searchQuery,
+      storeConversation: false // recorded below with the chat's metadata
+    });
     const responseTime = Date.now() - startTime;
+    const { answer } = citationService.linkCitations(response.answer, citations);
 
     console.log(`🤖 Generated response in ${responseTime}ms`);
+    trackGeneration(req, response);
 
     // Try to record conversation with full context
     try {
-      await memoryService.recordConversation(userId, message, response.answer || response, {
-        model: response.model || 'unknown',
+      await memoryService.recordConversation(userId, message, answer, {
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
         responseTime,
         documentsUsed: relevantChunks.length,
         contextLength: context.length,
+        searchQuery,
         type: 'document_chat',
         metadata
       });
@@ -320,17 +758,31 @@ router.post('/chat', async (req, res) => {
       console.log('⚠️ Memory recording failed:', memoryError.message);
     }
 
+    const threadInfo = await saveToThread(thread, userId, message, answer, {
+      provider: response.provider,
+      model: response.model,
+      citations,
+      searchQuery
+    });
+
     return res.json({
-      response: response.answer || response,
-      model: response.model || 'gpt-4',
+      ...threadInfo,
+      response: answer,
+      provider: response.provider,
+      model: response.model,
+      usage: response.usage,
+      finishReason: response.finishReason,
       responseTime,
       memoryUsed: true,
       documentsUsed: relevantChunks.length,
       contextLength: context.length,
+      searchQuery,
       similarities: relevantChunks.map(chunk => ({
         text: chunk.chunk.substring(0, 100) + '...',
         similarity: chunk.similarity.toFixed(3)
       })),
+      citations,
+      collection: collection.slug,
       type: 'document_chat'
     });
 
@@ -347,152 +799,229 @@ router.post('/chat', async (req, res) => {
   }
 });
 
+// Streaming chat: the answer arrives token by token as Server-Sent Events
+//   event: start  { streamId, collection, citations, searchQuery }
+//   event: token  { token }
+//   event: done   { streamId, response, provider, model, usage, finishReason, responseTime, documentsUsed, citations, searchQuery, collection, threadId?, messageId? }
+//   event: error  { error }
+// Tokens are mirrored to the user's Socket.IO room as `chat_token` events.
+router.post('/chat/stream', async (req, res) => {
+  const startTime = Date.now();
+  const userId = getUserId(req);
+  const { message, metadata } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  const collection = await resolveCollection(req, res);
+  if (!collection) return;
+  const thread = await resolveThread(req, res, userId);
+  if (thread === false) return;
+
+  let history;
+  try {
+    history = getChatHistory(req, thread);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+
+  const io = req.app.get('io');
+  const room = `user_${req.user.id}`;
+  const streamId = crypto.randomUUID();
+  let clientGone = false;
+  res.on('close', () => { clientGone = true; });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (!clientGone) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const onToken = token => {
+    send('token', { token });
+    if (io) io.to(room).emit('chat_token', { streamId, token });
+  };
+
+  console.log(`💬 Streaming chat message from user ${userId}:`, message);
+
+  try {
+    const memoryCommand = await runMemoryCommand(userId, message, thread);
+    if (memoryCommand) {
+      send('start', { streamId, collection: collection.slug, citations: [], searchQuery: message });
+      onToken(memoryCommand.response);
+      send('done', { ...memoryCommand, streamId, responseTime: Date.now() - startTime, documentsUsed: 0, citations: [], searchQuery: message, collection: collection.slug });
+      if (io) io.to(room).emit('chat_token', { streamId, done: true, model: null, citations: [] });
+      return;
+    }
+
+    const memory = await documentStoreService.getChunks(userId, collection.name);
+
+    try {
+      getAnalytics(req).trackSession(userId, 'chat_message', {
+        message: message.substring(0, 100),
+        topics: extractTopicsSimple(message),
+        complexity: calculateComplexitySimple(message)
+      });
+    } catch (trackingError) {
+      console.log('⚠️ Analytics tracking failed:', trackingError.message);
+    }
+
+    let result;
+    let relevantChunks = [];
+    let citations = [];
+    let context = '';
+    let searchQuery = message;
+
+    if (memory.length === 0) {
+      send('start', { streamId, collection: collection.slug, citations, searchQuery });
+      const freeAiService = require('../services/freeAiService');
+      result = await freeAiService.streamResponse(buildGeneralContext(message), message, onToken, { history });
+    } else {
+      ({ query: searchQuery } = await conversationService.condenseQuery(message, history));
+      ({ relevantChunks, citations, context } = await retrieveChatContext(searchQuery, memory, collection, req));
+      send('start', { streamId, collection: collection.slug, citations, searchQuery });
+      result = await openaiService.streamQuestion(
+        message,
+        userId,
+        context,
+        { searchMode: req.body.searchMode, collection: collection.name, history, searchQuery, storeConversation: false },
+        onToken
+      );
+    }
+
+    const responseTime = Date.now() - startTime;
+    const { answer } = citationService.linkCitations(result.answer, citations);
+    const type = memory.length === 0 ? 'general_chat' : 'document_chat';
+    trackGeneration(req, result);
+
+    try {
+      await memoryService.recordConversation(userId, message, answer, {
+        provider: result.provider,
+        model: result.model,
+        usage: result.usage,
+        responseTime,
+        documentsUsed: relevantChunks.length,
+        contextLength: context.length,
+        searchQuery,
+        type,
+        streamed: true,
+        metadata
+      });
+    } catch (memoryError) {
+      console.log('⚠️ Memory recording failed:', memoryError.message);
+    }
+
+    const threadInfo = await saveToThread(thread, userId, message, answer, {
+      provider: result.provider,
+      model: result.model,
+      citations,
+      searchQuery
+    });
+
+    send('done', {
+      ...threadInfo,
+      streamId,
+      response: answer,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      finishReason: result.finishReason,
+      responseTime,
+      documentsUsed: relevantChunks.length,
+      citations,
+      searchQuery,
+      collection: collection.slug,
+      type
+    });
+    if (io) io.to(room).emit('chat_token', { streamId, done: true, model: result.model, citations });
+
+    console.log(`🤖 Streamed response in ${responseTime}ms`);
+  } catch (error) {
+    console.error('💥 Error in streaming chat:', error);
+    send('error', { error: 'Failed to process chat message', details: error.message });
+    if (io) io.to(room).emit('chat_token', { streamId, error: error.message });
+  } finally {
+    res.end();
+  }
+});
+
 // Multi-file upload endpoint for frontend compatibility
-router.post('/upload', upload.array('files'), async (req, res) => {
+// Files are ingested by a background job; responds 202 with the job, whose progress is pushed to
+// the user's socket room and readable at GET /api/jobs/:id
+router.post('/upload', requireEditor, upload.array('files'), async (req, res) => {
   console.log('📁 Multi-file upload request received');
   
   try {
     const files = req.files || [];
-    const question = req.body.question || 'Analyze these files and provide insights.';
-    const userId = req.headers['x-user-id'] || req.body.userId || 'default';
-    
-    console.log(`📎 Processing ${files.length} files for user ${userId}`);
     
     if (files.length === 0) {
       return res.status(400).json({ error: 'No files provided' });
     }
 
-    let totalChunks = 0;
-    let processedFiles = 0;
-    let analysisResults = [];
-
-    // Process each file
-    for (const file of files) {
-      try {
-        console.log(`📄 Processing file: ${file.originalname}`);
-        
-        // Only process PDF files for now (can be extended)
-        if (file.mimetype === 'application/pdf' || file.originalname.toLowerCase().endsWith('.pdf')) {
-          const text = await extractTextFromPDF(file.path);
-          
-          if (text && text.trim()) {
-            // Create chunks and embeddings
-            const chunks = createTextChunks(text);
-            
-            for (const chunk of chunks) {
-              try {
-                const embedding = await getEmbeddings(chunk);
-                memory.push({
-                  chunk,
-                  embedding,
-                  source: file.originalname,
-                  timestamp: new Date().toISOString(),
-                  userId
-                });
-                totalChunks++;
-              } catch (embeddingError) {
-                console.warn('Failed to create embedding for chunk:', embeddingError.message);
-              }
-            }
-
-            // Enhance: persist vectors in vector DB
-            try {
-              const vectorDatabaseService = require('../services/vectorDatabaseService');
-              
-              // INSERT: helper to safely create embedding in vector DB
-              async function safeStoreVectorChunk(vectorDatabaseService, chunk, fileName, userId) {
-                try {
-                  await vectorDatabaseService.createEmbedding(chunk, { source: fileName, fileName, type: 'document', userId });
-                } catch (e) {
-                  console.warn('Vector DB store failed (non-fatal):', e.message);
-                }
-              }
-              
-              await Promise.all(chunks.map(chunk => safeStoreVectorChunk(vectorDatabaseService, chunk, file.originalname, userId)));
-              
-              console.log(`✅ Vectors stored in DB for file: ${file.originalname}`);
-            } catch (dbError) {
-              console.error('Failed to store vectors in DB:', dbError.message);
-            }
-
-            analysisResults.push({
-              filename: file.originalname,
-              chunks: chunks.length,
-              preview: text.substring(0, 200) + '...'
-            });
-            
-            processedFiles++;
-          }
-        } else {
-          console.log(`⚠️ Unsupported file type: ${file.mimetype}`);
-          analysisResults.push({
-            filename: file.originalname,
-            error: 'Unsupported file type'
-          });
-        }
-
-        // Clean up uploaded file
-        try {
-          fs.unlinkSync(file.path);
-        } catch (unlinkError) {
-          console.warn('Failed to clean up file:', unlinkError.message);
-        }
-
-      } catch (fileError) {
-        console.error(`Error processing file ${file.originalname}:`, fileError);
-        analysisResults.push({
-          filename: file.originalname,
-          error: fileError.message
-        });
-      }
+    const collection = await resolveCollection(req, res);
+    if (!collection) {
+      files.forEach(file => fs.unlinkSync(file.path));
+      return;
     }
 
-    // Generate analysis response if files were processed
-    let response = null;
-    if (totalChunks > 0) {
-      try {
-        console.log(`🤖 Generating analysis for ${processedFiles} files`);
-        const context = memory.slice(-10).map(item => item.chunk).join('\n\n');
-        response = await askQuestion(question, context, userId);
-      } catch (analysisError) {
-        console.error('Failed to generate analysis:', analysisError.message);
-        response = 'Files processed successfully, but analysis generation failed.';
+    const job = await jobQueueService.enqueue('ingest', {
+      userId: req.user.id,
+      workspaceId: req.workspace.id,
+      data: {
+        userId: getUserId(req),
+        collection: collection.name,
+        chunkOptions: getChunkOptions(req, collection),
+        question: req.body.question || 'Analyze these files and provide insights.',
+        files: files.map(file => ({
+          name: file.originalname,
+          path: file.path,
+          mimetype: file.mimetype,
+          size: file.size,
+          status: 'queued'
+        }))
       }
-    }
+    });
 
-    console.log(`✅ Upload complete: ${processedFiles} files, ${totalChunks} chunks`);
+    console.log(`📎 Queued ${files.length} files for ingestion as job ${job.id}`);
 
-    res.json({
+    res.status(202).json({
       success: true,
-      filesProcessed: processedFiles,
-      totalChunks,
-      response: response?.answer || response,
-      model: response?.model || 'gpt-4',
-      analysisResults,
-      message: `Processed ${processedFiles} files with ${totalChunks} text chunks`
+      jobId: job.id,
+      job: jobQueueService.describeJob(job),
+      collection: collection.slug,
+      message: `Queued ${files.length} files for processing`
     });
 
   } catch (error) {
     console.error('💥 Upload error:', error);
     res.status(500).json({
-      error: 'Failed to process uploaded files',
+      error: 'Failed to queue uploaded files',
       details: error.message
     });
   }
 });
 
 // Process URL endpoint
-router.post('/process-url', async (req, res) => {
+router.post('/process-url', requireEditor, async (req, res) => {
   console.log('🌐 URL processing request received');
   
   try {
     const { url, question } = req.body;
-    const userId = req.headers['x-user-id'] || req.body.userId || 'default';
+    const userId = getUserId(req);
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+
     console.log(`🔗 Processing URL: ${url}`);
     
     // Extract text from URL
@@ -502,36 +1031,26 @@ router.post('/process-url', async (req, res) => {
       return res.status(400).json({ error: 'No text content found at URL' });
     }
 
-    // Create chunks and embeddings
-    const chunks = createTextChunks(text);
-    let totalChunks = 0;
-
-    for (const chunk of chunks) {
-      try {
-        const embedding = await getEmbeddings(chunk);
-        memory.push({
-          chunk,
-          embedding,
-          source: url,
-          timestamp: new Date().toISOString(),
-          userId
-        });
-        totalChunks++;
-      } catch (embeddingError) {
-        console.warn('Failed to create embedding for chunk:', embeddingError.message);
-      }
-    }
+    // Create chunks, embeddings and vectors
+    const document = await ingestDocument(text, {
+      userId,
+      source: url,
+      type: 'url',
+      collection,
+      chunkOptions: getChunkOptions(req, collection)
+    });
+    const totalChunks = document.chunks.length;
 
     // Generate analysis response
     let response = null;
     if (totalChunks > 0 && question) {
       try {
         console.log('🤖 Generating URL analysis');
-        const context = chunks.join('\n\n');
-        response = await askQuestion(question, context, userId);
+        const context = document.chunks.map(chunk => chunk.text).join('\n\n');
+        response = await openaiService.askQuestion(question, userId, context, { collection: collection.name });
       } catch (analysisError) {
         console.error('Failed to generate analysis:', analysisError.message);
-        response = 'URL processed successfully, but analysis generation failed.';
+        response = { answer: 'URL processed successfully, but analysis generation failed.', provider: null, model: null };
       }
     }
 
@@ -541,9 +1060,12 @@ router.post('/process-url', async (req, res) => {
       success: true,
       urlsProcessed: 1,
       totalChunks,
-      response: response?.answer || response,
-      model: response?.model || 'gpt-4',
+      response: response?.answer || null,
+      provider: response?.provider || null,
+      model: response?.model || null,
       url,
+      documentId: document.id,
+      collection: collection.slug,
       preview: text.substring(0, 200) + '...',
       message: `Processed URL with ${totalChunks} text chunks`
     });
@@ -559,7 +1081,8 @@ router.post('/process-url', async (req, res) => {
 
 router.post('/ask', async (req, res) => {
   const startTime = Date.now();
-  let sessionId = req.body.sessionId || 'default';
+  const sessionId = getSessionId(req, req.body.sessionId);
+  const userId = getUserId(req);
   
   console.log(`📝 Received question from session ${sessionId}:`, req.body.question);
   
@@ -571,12 +1094,16 @@ router.post('/ask', async (req, res) => {
       return res.status(400).json({ error: 'Question is required' });
     }
 
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+
     console.log(`💭 Processing question: "${question}"`);
+    const memory = await documentStoreService.getChunks(userId, collection.name);
     console.log(`📚 Memory chunks available: ${memory.length}`);
 
     // Track the question event (safe with try-catch)
     try {
-      analyticsService.trackSession(sessionId, 'question_asked', {
+      getAnalytics(req).trackSession(sessionId, 'question_asked', {
         question: question.substring(0, 100),
         topics: extractTopicsSimple(question),
         complexity: calculateComplexitySimple(question)
@@ -595,11 +1122,15 @@ router.post('/ask', async (req, res) => {
       const responseTime = Date.now() - startTime;
 
       console.log('🤖 Generated general response:', generalResponse.model);
+      trackGeneration(req, generalResponse);
 
       // Try to record conversation
       try {
         await memoryService.recordConversation(sessionId, question, generalResponse.answer, {
+          userId,
+          provider: generalResponse.provider,
           model: generalResponse.model,
+          usage: generalResponse.usage,
           responseTime,
           questionType: analyzeQuestionTypeSimple(question),
           noDocuments: true
@@ -613,11 +1144,15 @@ router.post('/ask', async (req, res) => {
       return res.json({ 
         answer: generalResponse.answer,
         metadata: {
-          sessionId,
+          sessionId: req.body.sessionId || null,
           responseTime,
+          provider: generalResponse.provider,
           model: generalResponse.model,
+          usage: generalResponse.usage,
+          finishReason: generalResponse.finishReason,
           questionType: analyzeQuestionTypeSimple(question),
           noDocuments: true,
+          collection: collection.slug,
           suggestions: ['Try uploading a document or scraping a URL first', 'Ask general questions about topics you\'re interested in']
         }
       });
@@ -633,7 +1168,7 @@ router.post('/ask', async (req, res) => {
     }
     const queryToUse = enhancement.enhancedQuery;
 
-    const questionEmbedding = await getEmbeddings(queryToUse);
+    const questionEmbedding = await embedForCollection(queryToUse, collection);
 
     // cosine similarity
     const similarity = (a, b) => {
@@ -646,21 +1181,26 @@ router.post('/ask', async (req, res) => {
       return dot / (Math.sqrt(normA) * Math.sqrt(normB));
     };
 
-    memory.sort((a, b) =>
-      similarity(questionEmbedding, b.embedding) -
-      similarity(questionEmbedding, a.embedding)
-    );
+    const rankedChunks = memory
+      .filter(item => item.embedding?.length === questionEmbedding.length)
+      .map(item => ({ ...item, similarity: similarity(questionEmbedding, item.embedding) }))
+      .sort((a, b) => b.similarity - a.similarity);
 
-    const topChunks = memory.slice(0, 3).map(m => m.chunk).join('\n');
+    const topRanked = await selectChunks(question, rankedChunks, req, 3);
+    const citations = citationService.buildCitations(topRanked);
+    const topChunks = citationService.formatContext(topRanked, citations);
 
     // Generate answer with AI service
-    const rawAnswer = await askQuestion(topChunks, question);
+    const generation = await openaiService.askQuestion(question, userId, topChunks, {
+      searchMode: req.body.searchMode,
+      collection: collection.name,
+      storeConversation: false
+    });
     const responseTime = Date.now() - startTime;
+    const { model } = generation;
+    trackGeneration(req, generation);
 
-    // Extract model information
-    const modelMatch = rawAnswer.match(/\*\*\[Generated by ([^\]]+)\]\*\*/);
-    const model = modelMatch ? modelMatch[1] : 'Unknown';
-    const cleanAnswer = rawAnswer.replace(/\*\*\[Generated by [^\]]+\]\*\*\n\n/, '');
+    const { answer: cleanAnswer } = citationService.linkCitations(generation.answer, citations);
 
     // Determine question type for formatting
     const questionType = analyzeQuestionTypeSimple(question);
@@ -682,7 +1222,6 @@ router.post('/ask', async (req, res) => {
     // Personalize response based on user behavior (safe with try-catch)
     let personalizedAnswer;
     try {
-      const userPreferences = memoryService.getUserPreferences(sessionId);
       personalizedAnswer = await memoryService.personalizeResponse(
         formattedAnswer, 
         sessionId, 
@@ -696,7 +1235,7 @@ router.post('/ask', async (req, res) => {
     // Add personalized elements (safe with try-catch)
     let finalResponse;
     try {
-      const userPreferences = memoryService.getUserPreferences(sessionId);
+      const userPreferences = await memoryService.getUserPreferences(sessionId);
       finalResponse = responseFormatter.addPersonalizedElements(
         personalizedAnswer,
         userPreferences,
@@ -714,12 +1253,15 @@ router.post('/ask', async (req, res) => {
     let conversationId = null;
     try {
       conversationId = await memoryService.recordConversation(sessionId, question, finalResponse, {
+        userId,
+        provider: generation.provider,
         model,
+        usage: generation.usage,
         responseTime,
         questionType,
         originalQuery: question,
         enhancedQuery: queryToUse,
-        chunksUsed: 3
+        chunksUsed: topRanked.length
       });
     } catch (memoryError) {
       console.log('Memory recording failed:', memoryError.message);
@@ -728,7 +1270,7 @@ router.post('/ask', async (req, res) => {
 
     // Track response generation (safe with try-catch)
     try {
-      analyticsService.trackSession(sessionId, 'response_generated', {
+      getAnalytics(req).trackSession(sessionId, 'response_generated', {
         model,
         responseTime,
         conversationId,
@@ -740,12 +1282,17 @@ router.post('/ask', async (req, res) => {
 
     res.json({ 
       answer: finalResponse,
+      citations,
       metadata: {
         conversationId,
-        sessionId,
+        sessionId: req.body.sessionId || null,
         responseTime,
+        provider: generation.provider,
         model,
+        usage: generation.usage,
+        finishReason: generation.finishReason,
         questionType,
+        collection: collection.slug,
         suggestions: enhancement.suggestions,
         relatedTopics: enhancement.relatedTopics
       }
@@ -757,7 +1304,7 @@ router.post('/ask', async (req, res) => {
     
     // Track error (safe with try-catch)
     try {
-      analyticsService.trackSession(sessionId, 'error_occurred', {
+      getAnalytics(req).trackSession(sessionId, 'error_occurred', {
         error: error.message,
         responseTime
       });
@@ -769,27 +1316,821 @@ router.post('/ask', async (req, res) => {
   }
 });
 
-// === FEEDBACK & LEARNING ENDPOINTS ===
+// === JOB ENDPOINTS ===
 
-router.post('/feedback', async (req, res) => {
+// Jobs are the signed-in user's in the current workspace
+async function findJob(req, res) {
+  const job = await jobQueueService.getJob(req.params.id);
+  if (!job || job.userId !== req.user.id || job.workspaceId !== req.workspace.id) {
+    res.status(404).json({ success: false, error: 'Job not found' });
+    return null;
+  }
+  return job;
+}
+
+// Query: ?status=queued|running|completed|failed|cancelled
+router.get('/jobs', async (req, res) => {
   try {
-    const { conversationId, rating, feedback, correction } = req.body;
-    
-    if (!conversationId || !rating) {
-      return res.status(400).json({ error: 'Conversation ID and rating are required' });
-    }
+    const jobs = await jobQueueService.listJobs({ userId: req.user.id, workspaceId: req.workspace.id, status: req.query.status });
+    res.json({ success: true, jobs: jobs.map(job => jobQueueService.describeJob(job)) });
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    const feedbackId = await memoryService.recordFeedback(
-      conversationId, 
-      rating, 
-      feedback || '', 
-      correction || ''
-    );
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+    res.json({ success: true, job: jobQueueService.describeJob(job) });
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Track feedback in analytics
-    analyticsService.trackSession(req.body.sessionId || 'default', 'feedback_received', {
-      rating: parseInt(rating),
-      hasFeedback: !!feedback,
+// Cancels a queued or running job, or removes a finished one from the list. A running job stops
+// after the file it is storing (cancelRequested until then; processing_completed tells when)
+router.delete('/jobs/:id', async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    if (['queued', 'running'].includes(job.status)) {
+      await jobQueueService.cancelJob(job.id);
+      return res.json({ success: true, job: jobQueueService.describeJob(job) });
+    }
+    await jobQueueService.deleteJob(job.id);
+    res.json({ success: true, deleted: job.id });
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === DOCUMENT MANAGEMENT ENDPOINTS ===
+
+// Summarize a stored document without its embeddings
+function describeDocument(document) {
+  return {
+    id: document.id,
+    source: document.source,
+    type: document.type,
+    collection: collectionService.slugOf(documentStoreService.collectionOf(document)),
+    createdAt: document.createdAt,
+    updatedAt: document.updatedAt,
+    reindexedAt: document.reindexedAt,
+    chunkCount: document.chunks.length,
+    vectorCount: (document.vectorIds || []).length,
+    metadata: document.metadata
+  };
+}
+
+// Load a document and make sure it belongs to the caller (admins may open anyone's)
+async function findOwnedDocument(req, res) {
+  const document = await documentStoreService.getDocument(req.params.id);
+  if (!document || (document.userId !== getUserId(req) && !authService.hasRole(req.user, 'admin'))) {
+    res.status(404).json({ success: false, error: 'Document not found' });
+    return null;
+  }
+  return document;
+}
+
+router.get('/documents', async (req, res) => {
+  try {
+    // Admins can list another user's documents in the workspace with ?userId=
+    const userId = req.query.userId && authService.hasRole(req.user, 'admin')
+      ? workspaceService.scopeKey(req.workspace.id, req.query.userId)
+      : getUserId(req);
+    const collection = req.query.collection ? workspaceService.scopeKey(req.workspace.id, req.query.collection) : undefined;
+    const documents = await documentStoreService.listDocuments(userId, collection);
+    res.json({ success: true, documents: documents.map(describeDocument) });
+  } catch (error) {
+    console.error('Error listing documents:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/documents/:id', async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req, res);
+    if (!document) return;
+
+    res.json({
+      success: true,
+      document: {
+        ...describeDocument(document),
+        chunks: document.chunks.map(chunk => ({
+          id: chunk.id,
+          text: chunk.text,
+          length: chunk.text.length,
+          page: chunk.page,
+          headingPath: chunk.headingPath,
+          startOffset: chunk.startOffset,
+          endOffset: chunk.endOffset,
+          tokenCount: chunk.tokenCount
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching document:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Full text of one chunk, used by citation footnotes to open the cited passage
+router.get('/documents/:id/chunks/:chunkId', async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req, res);
+    if (!document) return;
+
+    const index = document.chunks.findIndex(chunk => chunk.id === req.params.chunkId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Chunk not found' });
+    }
+
+    const chunk = document.chunks[index];
+    res.json({
+      success: true,
+      passage: {
+        documentId: document.id,
+        source: document.source,
+        type: document.type,
+        chunkId: chunk.id,
+        index,
+        text: chunk.text,
+        page: chunk.page,
+        pageEnd: chunk.pageEnd,
+        headingPath: chunk.headingPath,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        previousChunkId: index > 0 ? document.chunks[index - 1].id : null,
+        nextChunkId: index < document.chunks.length - 1 ? document.chunks[index + 1].id : null
+      }
+    });
+  } catch (error) {
+    console.error('Error loading chunk:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/documents/:id', requireEditor, async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req, res);
+    if (!document) return;
+
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const vectorsDeleted = await vectorDatabaseService.deleteDocumentVectors(
+      document.id,
+      document.vectorIds,
+      documentStoreService.collectionOf(document),
+      { ownerId: document.userId }
+    );
+    await documentStoreService.deleteDocument(document.id);
+
+    console.log(`🗑️ Deleted document ${document.id} (${document.source})`);
+    res.json({
+      success: true,
+      id: document.id,
+      chunksDeleted: document.chunks.length,
+      vectorsDeleted
+    });
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/documents/:id/reindex', requireEditor, async (req, res) => {
+  try {
+    const document = await findOwnedDocument(req, res);
+    if (!document) return;
+
+    console.log(`🔄 Reindexing document ${document.id} (${document.source})`);
+
+    // Re-embed the chunk memory used by /chat and /ask
+    const collectionName = documentStoreService.collectionOf(document);
+    const collection = await collectionService.getCollection(collectionName);
+    const texts = document.chunks.map(chunk => chunk.text);
+    updateVocabulary(texts);
+    const chunks = [];
+    for (const chunk of document.chunks) {
+      chunks.push({ ...chunk, embedding: await embedForCollection(chunk.text, collection) });
+    }
+
+    // Replace the document's vectors in the vector database
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    await vectorDatabaseService.deleteDocumentVectors(document.id, document.vectorIds, collectionName, { ownerId: document.userId });
+    const vectorIds = [];
+    try {
+      await storeDocumentVectors({ ...document, chunks }, { vectorIds });
+    } catch (storeError) {
+      // The old vectors are gone; keep track of the new ones written so far
+      await documentStoreService.updateDocument(document.id, { vectorIds });
+      throw storeError;
+    }
+
+    const updated = await documentStoreService.updateDocument(document.id, {
+      chunks,
+      vectorIds,
+      reindexedAt: new Date().toISOString()
+    });
+
+    res.json({ success: true, document: describeDocument(updated) });
+  } catch (error) {
+    console.error('Error reindexing document:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === COLLECTION ENDPOINTS ===
+
+// A collection as the workspace sees it: `name` is the slug, not the storage key
+function publicCollection({ slug, ...collection }) {
+  return { ...collection, name: slug };
+}
+
+// A collection's settings plus what it currently holds
+async function describeCollection(collection, vectorStats) {
+  const documents = await documentStoreService.listCollectionDocuments(collection.name);
+  return {
+    ...publicCollection(collection),
+    documentCount: documents.length,
+    vectorCount: vectorStats.collections?.[collection.name]?.vectors || 0,
+    embeddingProfile: await embeddingRegistryService.getProfile(collection.name)
+  };
+}
+
+router.get('/collections', async (req, res) => {
+  try {
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const vectorStats = await vectorDatabaseService.getVectorStats();
+    const collections = await collectionService.listCollections(req.workspace.id);
+    res.json({
+      success: true,
+      collections: await Promise.all(collections.map(collection => describeCollection(collection, vectorStats)))
+    });
+  } catch (error) {
+    console.error('Error listing collections:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { name, displayName?, description?, embedding?: { provider, model }, chunking?: { strategy, maxTokens, overlapTokens }, retention?: { days } }
+router.post('/collections', requireWorkspaceManager, async (req, res) => {
+  try {
+    const { name, displayName, description, embedding, chunking, retention } = req.body;
+    if (!name) {
+      return res.status(400).json({ success: false, error: 'name is required' });
+    }
+
+    let collection;
+    try {
+      collection = await collectionService.createCollection({ workspaceId: req.workspace.id, name, displayName, description, embedding, chunking, retention });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!collection) {
+      return res.status(409).json({ success: false, error: `Collection "${collectionService.normalizeName(name)}" already exists` });
+    }
+
+    res.status(201).json({ success: true, collection: publicCollection(collection) });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/collections/:name', async (req, res) => {
+  try {
+    const collection = await collectionService.getWorkspaceCollection(req.workspace.id, req.params.name);
+    if (!collection) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
+
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const vectorStats = await vectorDatabaseService.getVectorStats();
+    res.json({ success: true, collection: await describeCollection(collection, vectorStats) });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// New chunking settings apply to documents ingested from now on; a new embedding model
+// can only be set before the collection has vectors (afterwards use POST /vector/reembed)
+router.patch('/collections/:name', requireWorkspaceManager, async (req, res) => {
+  try {
+    const collection = await collectionService.getWorkspaceCollection(req.workspace.id, req.params.name);
+    if (!collection) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
+
+    const { displayName, description, embedding, chunking, retention } = req.body;
+    const profile = await embeddingRegistryService.getProfile(collection.name);
+    if (embedding !== undefined && profile &&
+        (embedding?.provider !== profile.provider || (embedding?.model && embedding.model !== profile.model))) {
+      return res.status(409).json({
+        success: false,
+        error: `Collection "${collection.slug}" already has ${profile.provider}/${profile.model} vectors; re-embed it with POST /api/vector/reembed`
+      });
+    }
+
+    let updated;
+    try {
+      updated = await collectionService.updateCollection(collection.name, { displayName, description, embedding, chunking, retention });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    res.json({ success: true, collection: publicCollection(updated) });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Deletes the collection with all of its documents and vectors
+router.delete('/collections/:name', requireWorkspaceManager, async (req, res) => {
+  try {
+    if (req.params.name === collectionService.defaultCollection) {
+      return res.status(400).json({ success: false, error: 'The default collection cannot be deleted' });
+    }
+    const collection = await collectionService.getWorkspaceCollection(req.workspace.id, req.params.name);
+    if (!collection) {
+      return res.status(404).json({ success: false, error: 'Collection not found' });
+    }
+
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const vectorsDeleted = await vectorDatabaseService.deleteCollectionVectors(collection.name);
+    const documentsDeleted = await documentStoreService.deleteCollectionDocuments(collection.name);
+    await collectionService.deleteCollection(collection.name);
+
+    console.log(`🗑️ Deleted collection ${collection.name}`);
+    res.json({ success: true, name: collection.slug, documentsDeleted, vectorsDeleted });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === AUTH ENDPOINTS ===
+// register and login are the only routes reachable without a token (see server.js)
+
+// Body: { username, password }; signs the new user in
+router.post('/auth/register', async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await authService.register(req.body.username, req.body.password);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.status(201).json({ success: true, user, token: authService.issueToken(user), expiresIn: authService.tokenTtl });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { username, password }; the token goes in `Authorization: Bearer <token>`
+router.post('/auth/login', async (req, res) => {
+  try {
+    const session = await authService.login(req.body.username, req.body.password);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/auth/me', (req, res) => {
+  res.json({ success: true, user: authService.getUser(req.user.id), authMethod: req.user.authMethod });
+});
+
+// Body: { currentPassword, newPassword }
+router.put('/auth/password', async (req, res) => {
+  try {
+    try {
+      await authService.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/auth/api-keys', async (req, res) => {
+  try {
+    res.json({ success: true, apiKeys: await authService.listApiKeys(req.user.id) });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { name }; the key itself is only returned in this response
+router.post('/auth/api-keys', async (req, res) => {
+  try {
+    let created;
+    try {
+      created = await authService.createApiKey(req.user.id, req.body.name);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.status(201).json({ success: true, ...created });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/auth/api-keys/:id', async (req, res) => {
+  try {
+    if (!await authService.revokeApiKey(req.user.id, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === ADMIN ENDPOINTS ===
+
+router.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, users: await authService.listUsers() });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { username, password, role? }; how accounts are added while sign-up is closed
+router.post('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await authService.createUser(req.body.username, req.body.password, req.body.role || null);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { role: 'viewer' | 'editor' | 'admin' }
+router.patch('/admin/users/:id', requireAdmin, async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await authService.setRole(req.params.id, req.body.role);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/admin/users/:id', requireAdmin, async (req, res) => {
+  try {
+    let user;
+    try {
+      user = await authService.deleteUser(req.params.id);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    await jobQueueService.cancelJobs({ userId: user.id });
+    await workspaceService.removeUser(user.id);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Runs the nightly cleanup now: old conversations and memories, and documents past their collection's retention
+router.post('/admin/cleanup', requireAdmin, async (req, res) => {
+  try {
+    const memory = await memoryService.cleanupOldMemories();
+    const documentsRemoved = await collectionService.applyRetention();
+    res.json({ success: true, memory, documentsRemoved });
+  } catch (error) {
+    console.error('Cleanup failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === WORKSPACE ENDPOINTS ===
+
+function describeWorkspace(req, workspace) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    ownerId: workspace.ownerId,
+    members: workspace.members.map(userId => {
+      const user = authService.getUser(userId);
+      return { id: userId, username: user?.username || null };
+    }),
+    openToAll: workspace.id === workspaceService.defaultWorkspace,
+    canManage: workspace.ownerId === req.user.id || authService.hasRole(req.user, 'admin'),
+    createdAt: workspace.createdAt,
+    updatedAt: workspace.updatedAt
+  };
+}
+
+// Load the :id workspace for a member (or admin); with `manage`, only its owner or an admin
+async function findWorkspace(req, res, { manage = false } = {}) {
+  const workspace = await workspaceService.getWorkspace(req.params.id);
+  const isAdmin = authService.hasRole(req.user, 'admin');
+  if (!workspace || (!workspaceService.isMember(workspace, req.user.id) && !isAdmin)) {
+    res.status(404).json({ success: false, error: 'Workspace not found' });
+    return null;
+  }
+  if (manage && workspace.ownerId !== req.user.id && !isAdmin) {
+    res.status(403).json({ success: false, error: 'Requires the workspace owner or an admin' });
+    return null;
+  }
+  return workspace;
+}
+
+// The caller's workspaces (admins see all of them) and the one this request ran in
+router.get('/workspaces', async (req, res) => {
+  try {
+    const workspaces = await workspaceService.listWorkspaces(req.user.id, { all: authService.hasRole(req.user, 'admin') });
+    res.json({ success: true, current: req.workspace.id, workspaces: workspaces.map(workspace => describeWorkspace(req, workspace)) });
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { name }; the caller owns the new workspace
+router.post('/workspaces', requireEditor, async (req, res) => {
+  try {
+    let workspace;
+    try {
+      workspace = await workspaceService.createWorkspace(req.user.id, { name: req.body.name });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.status(201).json({ success: true, workspace: describeWorkspace(req, workspace) });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/workspaces/:id', async (req, res) => {
+  try {
+    const workspace = await findWorkspace(req, res);
+    if (!workspace) return;
+    res.json({ success: true, workspace: describeWorkspace(req, workspace) });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { name }
+router.patch('/workspaces/:id', async (req, res) => {
+  try {
+    if (!await findWorkspace(req, res, { manage: true })) return;
+    let workspace;
+    try {
+      workspace = await workspaceService.renameWorkspace(req.params.id, req.body.name);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.json({ success: true, workspace: describeWorkspace(req, workspace) });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Cancels the workspace's ingestion jobs and deletes it with its collections, documents, vectors,
+// threads, conversations, memories, profiles, learning state, jobs, usage rollups, analytics and
+// visualizations, so nothing is left for a workspace created later under the same id.
+router.delete('/workspaces/:id', async (req, res) => {
+  try {
+    if (req.params.id === workspaceService.defaultWorkspace) {
+      return res.status(400).json({ success: false, error: 'The default workspace cannot be deleted' });
+    }
+    const workspace = await findWorkspace(req, res, { manage: true });
+    if (!workspace) return;
+
+    // Stop ingestion first so no documents land in the collections being removed
+    await jobQueueService.cancelJobs({ workspaceId: workspace.id });
+
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    let documentsDeleted = 0;
+    let vectorsDeleted = 0;
+    for (const collection of await collectionService.listCollections(workspace.id)) {
+      vectorsDeleted += await vectorDatabaseService.deleteCollectionVectors(collection.name);
+      documentsDeleted += await documentStoreService.deleteCollectionDocuments(collection.name);
+      await collectionService.deleteCollection(collection.name, { force: true });
+    }
+    const threadsDeleted = await threadService.deleteThreadsByUserPrefix(workspaceService.scopeKey(workspace.id, ''));
+    const memory = await memoryService.deleteWorkspace(workspace.id);
+    await jobQueueService.deleteJobs({ workspaceId: workspace.id });
+    usageService.deleteWorkspace(workspace.id);
+    await analyticsService.deleteWorkspace(workspace.id);
+    await vectorVisualizationService.deleteWorkspaceVisualizations(workspace.id);
+    await workspaceService.deleteWorkspace(workspace.id);
+
+    console.log(`🗑️ Deleted workspace ${workspace.id}`);
+    res.json({ success: true, id: workspace.id, documentsDeleted, vectorsDeleted, threadsDeleted, memory });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { username }
+router.post('/workspaces/:id/members', async (req, res) => {
+  try {
+    if (!await findWorkspace(req, res, { manage: true })) return;
+    const user = typeof req.body.username === 'string' ? authService.findByUsername(req.body.username) : null;
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    let workspace;
+    try {
+      workspace = await workspaceService.addMember(req.params.id, user.id);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.json({ success: true, workspace: describeWorkspace(req, workspace) });
+  } catch (error) {
+    console.error('Error adding workspace member:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Owners and admins remove anyone but the owner; members can remove themselves (leave)
+router.delete('/workspaces/:id/members/:userId', async (req, res) => {
+  try {
+    if (!await findWorkspace(req, res, { manage: req.params.userId !== req.user.id })) return;
+
+    let workspace;
+    try {
+      workspace = await workspaceService.removeMember(req.params.id, req.params.userId);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.json({ success: true, workspace: describeWorkspace(req, workspace) });
+  } catch (error) {
+    console.error('Error removing workspace member:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === THREAD ENDPOINTS ===
+
+router.get('/threads', async (req, res) => {
+  try {
+    const threads = await threadService.listThreads(getUserId(req));
+    res.json({ success: true, threads: threads.map(thread => threadService.describeThread(thread)) });
+  } catch (error) {
+    console.error('Error listing threads:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { title?, pinned? }; without a title the first exchange names the thread
+router.post('/threads', async (req, res) => {
+  try {
+    let thread;
+    try {
+      thread = await threadService.createThread(getUserId(req), { title: req.body.title, pinned: req.body.pinned });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    res.status(201).json({ success: true, thread });
+  } catch (error) {
+    console.error('Error creating thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/threads/:id', async (req, res) => {
+  try {
+    const thread = await threadService.getThread(getUserId(req), req.params.id);
+    if (!thread) {
+      return res.status(404).json({ success: false, error: 'Thread not found' });
+    }
+    res.json({ success: true, thread });
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rename and/or pin: { title?, pinned? }
+router.patch('/threads/:id', async (req, res) => {
+  try {
+    let thread;
+    try {
+      thread = await threadService.updateThread(getUserId(req), req.params.id, { title: req.body.title, pinned: req.body.pinned });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!thread) {
+      return res.status(404).json({ success: false, error: 'Thread not found' });
+    }
+    res.json({ success: true, thread: threadService.describeThread(thread) });
+  } catch (error) {
+    console.error('Error updating thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// New thread from an earlier message: { messageId, title? }
+router.post('/threads/:id/branch', async (req, res) => {
+  try {
+    const { messageId, title } = req.body;
+    if (!messageId) {
+      return res.status(400).json({ success: false, error: 'messageId is required' });
+    }
+
+    let thread;
+    try {
+      thread = await threadService.branchThread(getUserId(req), req.params.id, messageId, { title });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!thread) {
+      return res.status(404).json({ success: false, error: 'Thread not found' });
+    }
+    res.status(201).json({ success: true, thread });
+  } catch (error) {
+    console.error('Error branching thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/threads/:id', async (req, res) => {
+  try {
+    const deleted = await threadService.deleteThread(getUserId(req), req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Thread not found' });
+    }
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    console.error('Error deleting thread:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// === FEEDBACK & LEARNING ENDPOINTS ===
+
+router.post('/feedback', async (req, res) => {
+  try {
+    const { conversationId, rating, feedback, correction } = req.body;
+    
+    if (!conversationId || !rating) {
+      return res.status(400).json({ error: 'Conversation ID and rating are required' });
+    }
+
+    const conversation = await memoryService.getConversationById(conversationId);
+    if (!conversation || !ownsConversation(req, conversation)) {
+      return res.status(404).json({ error: `Conversation ${conversationId} not found` });
+    }
+
+    const feedbackId = await memoryService.recordFeedback(
+      conversationId, 
+      rating, 
+      feedback || '', 
+      correction || ''
+    );
+
+    // Track feedback in analytics
+    getAnalytics(req).trackSession(getSessionId(req, req.body.sessionId), 'feedback_received', {
+      rating: parseInt(rating),
+      hasFeedback: !!feedback,
       hasCorrection: !!correction
     });
 
@@ -812,7 +2153,7 @@ router.get('/conversation-history/:sessionId', async (req, res) => {
     const { sessionId } = req.params;
     const limit = parseInt(req.query.limit) || 10;
     
-    const conversations = memoryService.getRecentConversations(sessionId, limit);
+    const conversations = await memoryService.getRecentConversations(getSessionId(req, sessionId), limit);
     
     res.json({
       sessionId,
@@ -837,8 +2178,8 @@ router.get('/user-profile/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     
-    const preferences = memoryService.getUserPreferences(sessionId);
-    const behaviorData = memoryService.userBehavior.sessionData[sessionId];
+    const preferences = await memoryService.getUserPreferences(getSessionId(req, sessionId));
+    const behaviorData = await memoryService.getSessionBehavior(getSessionId(req, sessionId));
     
     const profile = {
       sessionId,
@@ -861,12 +2202,86 @@ router.get('/user-profile/:sessionId', async (req, res) => {
   }
 });
 
+// What the assistant remembers about the user, newest first
+router.get('/memories', async (req, res) => {
+  try {
+    const memories = await memoryService.listMemories(getUserId(req));
+    res.json({ success: true, memories: memories.map(describeMemory) });
+  } catch (error) {
+    console.error('Error listing memories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Same as saying "remember ..." in chat: { text }
+router.post('/memories', async (req, res) => {
+  try {
+    const { text } = req.body;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ success: false, error: 'text must be a non-empty string' });
+    }
+    const result = await memoryCommandService.remember(getUserId(req), memoryCommandService.cleanSubject(text));
+    res.status(201).json({ success: true, memory: describeMemory(result.memories[0]) });
+  } catch (error) {
+    console.error('Error storing memory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Edit a memory: { value?, category?, importance? }
+router.patch('/memories/:key', async (req, res) => {
+  try {
+    let memory;
+    try {
+      memory = await memoryService.updateMemory(getUserId(req), req.params.key, {
+        value: req.body.value,
+        category: req.body.category,
+        importance: req.body.importance
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (!memory) {
+      return res.status(404).json({ success: false, error: 'Memory not found' });
+    }
+    res.json({ success: true, memory: describeMemory(memory) });
+  } catch (error) {
+    console.error('Error updating memory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/memories/:key', async (req, res) => {
+  try {
+    const memory = await memoryService.deleteMemory(getUserId(req), req.params.key);
+    if (!memory) {
+      return res.status(404).json({ success: false, error: 'Memory not found' });
+    }
+    res.json({ success: true, deleted: describeMemory(memory) });
+  } catch (error) {
+    console.error('Error deleting memory:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Forget everything stored about the user
+router.delete('/memories', async (req, res) => {
+  try {
+    const result = await memoryCommandService.forget(getUserId(req), 'everything');
+    res.json({ success: true, deleted: result.memories.length });
+  } catch (error) {
+    console.error('Error clearing memories:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // === ANALYTICS ENDPOINTS ===
 
-router.get('/analytics/overview', async (req, res) => {
+// Feedback and question-pattern aggregates of the current workspace
+router.get('/analytics/overview', requireWorkspaceManager, async (req, res) => {
   try {
-    const analytics = memoryService.getAnalytics();
-    const systemReport = analyticsService.generateReport();
+    const analytics = await memoryService.getAnalytics(req.workspace.id);
+    const systemReport = getAnalytics(req).generateReport();
     
     const overview = {
       ...analytics,
@@ -883,9 +2298,9 @@ router.get('/analytics/overview', async (req, res) => {
   }
 });
 
-router.get('/analytics/insights', async (req, res) => {
+router.get('/analytics/insights', requireWorkspaceManager, async (req, res) => {
   try {
-    const insights = analyticsService.generateInsights();
+    const insights = getAnalytics(req).generateInsights();
     
     res.json({
       insights,
@@ -899,10 +2314,10 @@ router.get('/analytics/insights', async (req, res) => {
   }
 });
 
-router.get('/analytics/report', async (req, res) => {
+router.get('/analytics/report', requireWorkspaceManager, async (req, res) => {
   try {
     const timeframe = req.query.timeframe || '7days';
-    const report = analyticsService.generateReport(timeframe);
+    const report = getAnalytics(req).generateReport(timeframe);
     
     res.json(report);
 
@@ -912,15 +2327,57 @@ router.get('/analytics/report', async (req, res) => {
   }
 });
 
+// Token usage and estimated cost, rolled up per day
+//   ?days=30 (default) or ?from=YYYY-MM-DD&to=YYYY-MM-DD; covers the signed-in user, or for admins
+//   everyone (?userId=all) or one user (?userId=<id>)
+router.get('/analytics/usage', async (req, res) => {
+  try {
+    const days = Math.max(1, Number(req.query.days) || 30);
+    const from = req.query.from || new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    let userId = req.user.id;
+    if (req.query.userId && authService.hasRole(req.user, 'admin')) {
+      userId = req.query.userId === 'all' ? null : req.query.userId;
+    }
+
+    const usage = await usageService.getUsage({ from, to, userId });
+    res.json({
+      from,
+      to,
+      userId,
+      ...usage,
+      budget: usageService.getBudgetStatus(userId || req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error generating usage report:', error);
+    res.status(500).json({ error: 'Failed to generate usage report' });
+  }
+});
+
+// Monthly budget in USD for a user (default the caller); null removes it. Once spent, the user's requests use the cheap providers.
+router.put('/analytics/usage/budget', requireAdmin, async (req, res) => {
+  const { userId = req.user.id, monthlyBudget } = req.body;
+  if (monthlyBudget === undefined) {
+    return res.status(400).json({ error: 'monthlyBudget is required (USD, or null to remove)' });
+  }
+
+  try {
+    res.json(await usageService.setBudget(userId, monthlyBudget));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // === CONTEXT & SUGGESTIONS ENDPOINTS ===
 
 router.get('/suggestions/:sessionId', async (req, res) => {
   try {
-    const { sessionId } = req.params;
+    const sessionId = getSessionId(req, req.params.sessionId);
     const query = req.query.q || '';
     
     const enhancement = await memoryService.enhanceQuery(query, sessionId);
-    const userPreferences = memoryService.getUserPreferences(sessionId);
+    const userPreferences = await memoryService.getUserPreferences(sessionId);
     
     const suggestions = {
       queryEnhancement: enhancement,
@@ -942,8 +2399,7 @@ router.get('/suggestions/:sessionId', async (req, res) => {
 
 router.get('/context/topics', async (req, res) => {
   try {
-    const activeTopics = memoryService.contextMemory.activeTopics;
-    const semanticClusters = memoryService.contextMemory.semanticClusters;
+    const { activeTopics, semanticClusters } = await memoryService.getTopicContext(req.workspace.id);
     
     const topicAnalysis = Object.entries(semanticClusters)
       .map(([topic, cluster]) => ({
@@ -969,11 +2425,11 @@ router.get('/context/topics', async (req, res) => {
 // 🚀 ADVANCED VECTOR DATABASE ENDPOINTS
 
 // Get advanced vector database statistics
-router.get('/vector-stats/advanced', async (req, res) => {
+router.get('/vector-stats/advanced', requireWorkspaceManager, async (req, res) => {
   try {
     console.log('📊 Fetching advanced vector database statistics');
     const vectorDatabaseService = require('../services/vectorDatabaseService');
-    const stats = await vectorDatabaseService.getAdvancedVectorStats();
+    const stats = await vectorDatabaseService.getAdvancedVectorStats(await collectionService.listCollectionKeys(req.workspace.id));
     
     res.json({
       success: true,
@@ -991,13 +2447,13 @@ router.get('/vector-stats/advanced', async (req, res) => {
 });
 
 // Analyze vector similarity patterns
-router.get('/vector-stats/similarity-analysis', async (req, res) => {
+router.get('/vector-stats/similarity-analysis', requireWorkspaceManager, async (req, res) => {
   try {
     const sampleSize = parseInt(req.query.sampleSize) || 100;
     console.log(`🔍 Analyzing vector similarity patterns with sample size: ${sampleSize}`);
     
     const vectorDatabaseService = require('../services/vectorDatabaseService');
-    const analysis = await vectorDatabaseService.analyzeSimilarityPatterns(sampleSize);
+    const analysis = await vectorDatabaseService.analyzeSimilarityPatterns(sampleSize, await collectionService.listCollectionKeys(req.workspace.id));
     
     res.json({
       success: true,
@@ -1016,7 +2472,7 @@ router.get('/vector-stats/similarity-analysis', async (req, res) => {
 });
 
 // Optimize vector database
-router.post('/vector-database/optimize', async (req, res) => {
+router.post('/vector-database/optimize', requireAdmin, async (req, res) => {
   try {
     console.log('🔧 Starting vector database optimization');
     
@@ -1037,6 +2493,13 @@ router.post('/vector-database/optimize', async (req, res) => {
   }
 });
 
+// Chunks stored across the workspace's collections
+async function countWorkspaceChunks(workspace) {
+  const collections = await collectionService.listCollectionKeys(workspace.id);
+  const counts = await Promise.all(collections.map(collection => documentStoreService.countChunks(undefined, collection)));
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
 // Status endpoint
 router.get('/status', async (req, res) => {
   try {
@@ -1050,9 +2513,10 @@ router.get('/status', async (req, res) => {
         audio: 'enabled'
       },
       stats: {
-        documentsLoaded: memory.length,
+        documentsLoaded: await countWorkspaceChunks(req.workspace),
         uptime: process.uptime()
-      }
+      },
+      llmProviders: llmProviderService.listProviders()
     });
   } catch (error) {
     res.status(500).json({
@@ -1065,25 +2529,17 @@ router.get('/status', async (req, res) => {
 // Memory stats endpoint
 router.get('/memory/stats', async (req, res) => {
   try {
-    const userId = req.headers['x-user-id'] || 'default';
+    const userId = getUserId(req);
     
-    // Get memory stats from memoryService
-    let stats = {
-      conversationCount: 0,
-      memoryCount: memory.length,
-      hasProfile: false
+    const memoryStats = await memoryService.getMemoryStats(userId);
+    const stats = {
+      conversationCount: memoryStats.conversationCount,
+      memoryCount: await documentStoreService.countChunks(userId),
+      factCount: memoryStats.memoryCount,
+      hasProfile: memoryStats.hasProfile,
+      store: memoryStats.store
     };
 
-    try {
-      const conversations = await memoryService.getConversationHistory(userId, 100);
-      stats.conversationCount = conversations.length;
-      
-      const profile = await memoryService.getUserProfile(userId);
-      stats.hasProfile = profile && Object.keys(profile).length > 0;
-    } catch (memoryError) {
-      console.warn('Failed to get memory stats:', memoryError.message);
-    }
-
     res.json({
       success: true,
       stats
@@ -1096,11 +2552,51 @@ router.get('/memory/stats', async (req, res) => {
   }
 });
 
+// Direct vector search with a metadata filter, e.g.
+// { query, filter: { source: 'handbook.pdf', timestamp: { $gt: '2025-01-01' }, language: { $in: ['en', 'de'] } } }
+router.post('/vector/search', async (req, res) => {
+  try {
+    const { query, topK = 5, filter = {}, mode, fusion, alpha, reranker, candidates } = req.body;
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ success: false, error: 'query is required' });
+    }
+    try {
+      metadataFilter.validateFilter(filter);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const results = await vectorDatabaseService.similaritySearch(query, Math.min(Math.max(parseInt(topK) || 5, 1), 100), metadataFilter.restrictToOwner(filter, getUserId(req)), {
+      collection: collection.name,
+      mode,
+      fusion,
+      alpha,
+      reranker,
+      candidates
+    });
+
+    res.json({
+      success: true,
+      collection: collection.slug,
+      results: results.map(({ metadata, ...result }) => {
+        const { originalText, normalizedText, text, ...rest } = metadata;
+        return { ...result, metadata: rest };
+      })
+    });
+  } catch (error) {
+    console.error('Vector search failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Vector stats endpoint
 router.get('/vector/stats', async (req, res) => {
   try {
     const vectorDatabaseService = require('../services/vectorDatabaseService');
-    const stats = await vectorDatabaseService.getVectorStats();
+    const stats = await vectorDatabaseService.getVectorStats(await collectionService.listCollectionKeys(req.workspace.id));
     
     res.json({
       success: true,
@@ -1110,28 +2606,97 @@ router.get('/vector/stats', async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message,
-      totalVectors: memory.length,
+      totalVectors: await countWorkspaceChunks(req.workspace),
       dimension: 1024,
       indexFullness: 0
     });
   }
 });
 
+// === EMBEDDING MIGRATION ENDPOINTS ===
+
+// Registered embedding providers and the provider/model/dimension each collection is pinned to
+router.get('/vector/embeddings', async (req, res) => {
+  try {
+    const embeddingRegistryService = require('../services/embeddingRegistryService');
+    res.json({
+      success: true,
+      providers: embeddingRegistryService.listProviders(),
+      collections: Object.fromEntries(Object.entries(await embeddingRegistryService.listProfiles())
+        .filter(([name]) => workspaceService.workspaceOf(name) === req.workspace.id)
+        .map(([name, profile]) => [collectionService.slugOf(name), profile]))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-embed a collection under a new provider/model; progress is pushed as `reembed_progress`
+router.post('/vector/reembed', requireWorkspaceManager, async (req, res) => {
+  try {
+    const vectorDatabaseService = require('../services/vectorDatabaseService');
+    const { provider, model } = req.body;
+    const userId = req.user.id;
+
+    if (!provider) {
+      return res.status(400).json({ success: false, error: 'provider is required' });
+    }
+    const collection = await resolveCollection(req, res);
+    if (!collection) return;
+
+    const io = req.app.get('io');
+    let job;
+    try {
+      job = vectorDatabaseService.startReembedJob({ collection: collection.name, provider, model, userId }, progress => {
+        if (progress.status === 'completed') {
+          // The collection now embeds new content with the model it was migrated to
+          collectionService.updateCollection(collection.name, { embedding: { provider: progress.provider, model: progress.model } })
+            .catch(error => console.error('Failed to update collection embedding settings:', error.message));
+        }
+        if (io) io.to(`user_${userId}`).emit('reembed_progress', { ...progress });
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    console.error('Failed to start re-embed job:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/vector/reembed/:jobId', async (req, res) => {
+  const vectorDatabaseService = require('../services/vectorDatabaseService');
+  const job = vectorDatabaseService.getReembedJob(req.params.jobId);
+  if (!job || job.userId !== req.user.id) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  res.json({ success: true, job });
+});
+
 // Visualize endpoint (deprecated simple version replaced with advanced visualization service)
 // Advanced Vector Visualization Endpoints
 const vectorVisualizationService = require('../services/vectorVisualizationService');
 
-router.post('/vector/visualizations', async (req, res) => {
+router.post('/vector/visualizations', requireEditor, async (req, res) => {
   try {
     const { type = 'scatter', dimensions = 2, maxVectors = 500, colorBy = 'type', includeLabels = true } = req.body;
+    const collection = await resolveCollection(req, res, { optional: true });
+    if (!collection) return;
+
     const result = await vectorVisualizationService.createVectorVisualization({
       type,
       dimensions: Math.min(Math.max(dimensions, 2), 3),
       maxVectors: Math.min(maxVectors, 2000),
       colorBy,
-      includeLabels
+      includeLabels,
+      // Other members' private vectors (memories, past answers) stay out of the picture
+      filters: metadataFilter.restrictToOwner({}, getUserId(req)),
+      collection: collection.name || collection.keys,
+      workspaceId: req.workspace.id
     });
-    res.json({ success: true, visualization: result });
+    res.json({ success: true, visualization: { ...result, metadata: { ...result.metadata, collection: collection.slug } } });
   } catch (error) {
     console.error('Visualization creation failed:', error);
     res.status(500).json({ success: false, error: error.message });
@@ -1140,16 +2705,16 @@ router.post('/vector/visualizations', async (req, res) => {
 
 router.get('/vector/visualizations', async (req, res) => {
   try {
-    const visualizations = await vectorVisualizationService.getAvailableVisualizations();
+    const visualizations = await vectorVisualizationService.getAvailableVisualizations(req.workspace.id);
     res.json({ success: true, visualizations });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-router.delete('/vector/visualizations/:id', async (req, res) => {
+router.delete('/vector/visualizations/:id', requireWorkspaceManager, async (req, res) => {
   try {
-    const deleted = await vectorVisualizationService.deleteVisualization(req.params.id);
+    const deleted = await vectorVisualizationService.deleteVisualization(req.params.id, req.workspace.id);
     res.json({ success: deleted });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -1157,10 +2722,16 @@ router.delete('/vector/visualizations/:id', async (req, res) => {
 });
 
 // Word network (co-occurrence) endpoint to visualize how words connect across stored vectors / memory
+// Covers the workspace's collections, and only the caller's own and shared vectors
 router.get('/vector/word-network', async (req, res) => {
   try {
+    const collection = await resolveCollection(req, res, { optional: true });
+    if (!collection) return;
+
     const vectorDatabaseService = require('../services/vectorDatabaseService');
-    const vectors = await vectorDatabaseService.getAllVectors();
+    const ownerFilter = metadataFilter.restrictToOwner({}, getUserId(req));
+    const vectors = (await vectorDatabaseService.getAllVectors(collection.name || collection.keys))
+      .filter(v => metadataFilter.matchesFilter(v.metadata || {}, ownerFilter));
 
     // Build word frequency and co-occurrence
     const stopWords = new Set(['the','and','is','to','of','a','in','it','for','on','with','this','that','as','are','at','be','by','or','an','from']);
@@ -1210,8 +2781,13 @@ router.get('/vector/word-network', async (req, res) => {
 // --- Vector Source Listing Endpoint ---
 router.get('/vector/sources', async (req, res) => {
   try {
+    const collection = await resolveCollection(req, res, { optional: true });
+    if (!collection) return;
+
     const vectorDatabaseService = require('../services/vectorDatabaseService');
-    const vectors = await vectorDatabaseService.getAllVectors();
+    const ownerFilter = metadataFilter.restrictToOwner({}, getUserId(req));
+    const vectors = (await vectorDatabaseService.getAllVectors(collection.name || collection.keys))
+      .filter(v => metadataFilter.matchesFilter(v.metadata || {}, ownerFilter));
     const map = new Map();
     vectors.forEach(v => {
       const src = v.metadata?.source || v.metadata?.fileName || 'unknown';
@@ -1225,20 +2801,25 @@ router.get('/vector/sources', async (req, res) => {
 });
 
 // --- Visualization by Source Endpoint ---
-router.post('/vector/visualizations/by-source', async (req, res) => {
+router.post('/vector/visualizations/by-source', requireEditor, async (req, res) => {
   try {
     const { source = 'all', type = 'network', maxVectors = 500 } = req.body;
+    const collection = await resolveCollection(req, res, { optional: true });
+    if (!collection) return;
+
     const vectorVisualizationService = require('../services/vectorVisualizationService');
-    const filters = source === 'all' ? {} : { source };
+    const filters = metadataFilter.restrictToOwner(source === 'all' ? {} : { source }, getUserId(req));
     const result = await vectorVisualizationService.createVectorVisualization({
       type,
       maxVectors: Math.min(maxVectors, 2000),
       dimensions: 2,
       colorBy: 'source',
       includeLabels: true,
-      filters
+      filters,
+      collection: collection.name || collection.keys,
+      workspaceId: req.workspace.id
     });
-    res.json({ success: true, visualization: result });
+    res.json({ success: true, visualization: { ...result, metadata: { ...result.metadata, collection: collection.slug } } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -8,6 +8,11 @@ require('dotenv').config();
 
 const ragRoutes = require('./routes/rag');
 const logger = require('./services/loggerService');
+const llmProviderService = require('./services/llmProviderService');
+const usageService = require('./services/usageService');
+const authService = require('./services/authService');
+const rateLimitService = require('./services/rateLimitService');
+const jobQueueService = require('./services/jobQueueService');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,17 +23,33 @@ const io = socketIo(server, {
   }
 });
 
+// Behind a reverse proxy, TRUST_PROXY (true, a hop count or addresses) makes req.ip the client's
+// address, which sign-in rate limits are keyed on
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
+// Attribute LLM and embedding usage to the request's user, session and route
+app.use(usageService.middleware());
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Serve visualizations
 app.use('/visualizations', express.static(path.join(__dirname, 'public/visualizations')));
 
+// Every /api route acts as the signed-in user; only registering and signing in are open
+app.use('/api', authService.middleware({ publicPaths: ['/auth/register', '/auth/login'] }));
+
+// Token-bucket limits per API key, user (or IP for sign-in) and route group
+app.use('/api', rateLimitService.middleware());
+
 // Routes
 app.use('/api', ragRoutes);
 
@@ -45,70 +66,18 @@ app.get('/api/search', (req, res) => {
   if (!query) {
     return res.status(400).json({ llm_answer: '' });
   }
-  const openaiApiKey = process.env.OPENAI_API_KEY || '';
-  const openaiModel = process.env.OPENAI_MODEL || 'gpt-4o';
-  const groqApiKey = process.env.GROQ_API_KEY || '';
-  const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
   (async () => {
     let llmAnswer = '';
-    let usedFallback = false;
     try {
-      logger.info(`[LLM] Sending request to OpenAI: model=${openaiModel}, query="${query}"`);
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${openaiApiKey}`
-        },
-        body: JSON.stringify({
-          model: openaiModel,
-          messages: [
-            { role: 'system', content: 'You are an expert AI assistant. Answer the user question clearly and concisely.' },
-            { role: 'user', content: query }
-          ],
-          max_tokens: 512
-        })
-      });
-      const data = await response.json();
-      logger.info(`[LLM] OpenAI response: ${JSON.stringify(data)}`);
-      if (data.choices && data.choices.length > 0 && data.choices[0].message && typeof data.choices[0].message.content === 'string') {
-        llmAnswer = data.choices[0].message.content;
-      } else if (data.error && data.error.code === 'insufficient_quota') {
-        logger.warn('[LLM] OpenAI quota exceeded, using Groq fallback.');
-        usedFallback = true;
-      } else {
-        logger.warn('[LLM] No answer returned from OpenAI.');
-      }
+      logger.info(`[LLM] Answering search query "${query}"`);
+      const result = await llmProviderService.chat([
+        { role: 'system', content: 'You are an expert AI assistant. Answer the user question clearly and concisely.' },
+        { role: 'user', content: query }
+      ], { maxTokens: 512 });
+      logger.info(`[LLM] Answered by ${result.provider}/${result.model}`);
+      llmAnswer = result.answer;
     } catch (err) {
-      logger.error(`[LLM] Exception: ${err.message}`);
-    }
-    // Fallback to Groq if OpenAI quota exceeded or no answer
-    if ((usedFallback || !llmAnswer) && groqApiKey) {
-      try {
-        logger.info(`[LLM] Sending request to Groq: query="${query}"`);
-        const groqResponse = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${groqApiKey}`
-          },
-          body: JSON.stringify({
-            model: 'openai/gpt-oss-20b',
-            messages: [
-              { role: 'system', content: 'You are an expert AI assistant. Answer the user question clearly and concisely.' },
-              { role: 'user', content: query }
-            ],
-            max_tokens: 512
-          })
-        });
-        const groqData = await groqResponse.json();
-        logger.info(`[LLM] Groq response: ${JSON.stringify(groqData)}`);
-        if (groqData.choices && groqData.choices.length > 0 && groqData.choices[0].message && typeof groqData.choices[0].message.content === 'string') {
-          llmAnswer = groqData.choices[0].message.content;
-        }
-      } catch (groqErr) {
-        logger.error(`[LLM] Groq Exception: ${groqErr.message}`);
-      }
+      logger.error(`[LLM] ${err.message}`);
     }
     res.json({ llm_answer: llmAnswer });
   })();
@@ -157,27 +126,17 @@ app.get('/api/status', async (req, res) => {
 });
 
 // Socket.IO for real-time features
+// Sockets authenticate with the same token as the API and only ever join their own user's room
+io.use(authService.socketMiddleware());
+
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-  
-  socket.on('join_user_room', (userId) => {
-    socket.join(`user_${userId}`);
-    logger.info(`User ${userId} joined room`);
-  });
+  const userRoom = `user_${socket.user.id}`;
+  socket.join(userRoom);
+  logger.info(`Client connected: ${socket.id} (${socket.user.username})`);
   
-  socket.on('start_processing', (data) => {
-    socket.to(`user_${data.userId}`).emit('processing_started', {
-      type: data.type,
-      message: 'Processing started...'
-    });
-  });
-  
-  socket.on('processing_progress', (data) => {
-    socket.to(`user_${data.userId}`).emit('progress_update', data);
-  });
-  
-  socket.on('processing_complete', (data) => {
-    socket.to(`user_${data.userId}`).emit('processing_completed', data);
+  // Kept for older clients; the room is joined on connect
+  socket.on('join_user_room', () => {
+    socket.join(userRoom);
   });
   
   socket.on('disconnect', () => {
@@ -188,13 +147,21 @@ io.on('connection', (socket) => {
 // Make io available to routes
 app.set('io', io);
 
+// Background jobs (ingestion) report to their owner's room
+const JOB_EVENTS = { queued: 'progress_update', started: 'processing_started', progress: 'progress_update', finished: 'processing_completed' };
+jobQueueService.on('job', (job, change) => {
+  io.to(`user_${job.userId}`).emit(JOB_EVENTS[change], job);
+});
+
 // Scheduled tasks
 cron.schedule('0 2 * * *', async () => {
   // Daily cleanup at 2 AM
   logger.info('Running daily cleanup tasks...');
   try {
-    const advancedMemoryService = require('./services/advancedMemoryService');
-    await advancedMemoryService.cleanupOldMemories();
+    const memoryService = require('./services/memoryService');
+    await memoryService.cleanupOldMemories();
+    const collectionService = require('./services/collectionService');
+    await collectionService.applyRetention();
     logger.info('Daily cleanup completed');
   } catch (error) {
     logger.error('Daily cleanup failed:', error);
@@ -202,9 +169,21 @@ cron.schedule('0 2 * * *', async () => {
 });
 
 // Graceful shutdown
+// Local vector, usage, memory and analytics writes are debounced or queued, so flush them before exiting
+const flushPendingWrites = () => Promise.all([
+  require('./services/vectorDatabaseService').flushLocalVectors().catch(() => {}),
+  usageService.saveUsage(),
+  require('./services/memoryService').flush().catch(() => {}),
+  require('./services/analyticsService').flushAll().catch(() => {}),
+  authService.writeQueue,
+  require('./services/workspaceService').writeQueue,
+  jobQueueService.flush().catch(() => {})
+]);
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await flushPendingWrites();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -212,7 +191,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
+  server.close(async () => {
+    await flushPendingWrites();
     logger.info('Process terminated');
     process.exit(0);
   });
@@ -1,11 +1,18 @@
 // Advanced Analytics and Learning Service
-const fs = require('fs').promises;
-const path = require('path');
+// Each workspace has its own instance (forWorkspace), so sessions, metrics and model comparisons
+// never mix tenants. The default workspace keeps the original documents.
+const { createStateStorage } = require('./stateStorage');
+
+const DEFAULT_WORKSPACE = 'default';
+const instances = new Map(); // workspaceId -> AnalyticsService
 
 class AnalyticsService {
-  constructor() {
-    this.analyticsPath = path.join(__dirname, '..', 'data', 'analytics.json');
-    this.performancePath = path.join(__dirname, '..', 'data', 'performance.json');
+  constructor({ workspaceId = DEFAULT_WORKSPACE } = {}) {
+    // 'analytics' and 'performance' documents: data/*.json or SQLite (STORAGE_BACKEND);
+    // other workspaces use workspaces/<id>/analytics and workspaces/<id>/performance
+    this.workspaceId = workspaceId;
+    this.storage = createStateStorage();
+    this.saveTimer = null;
     
     this.analytics = {
       sessions: {},
@@ -34,6 +41,28 @@ class AnalyticsService {
     this.initialize();
   }
 
+  // The analytics of one workspace, loaded on first use
+  forWorkspace(workspaceId = DEFAULT_WORKSPACE) {
+    if (!instances.has(workspaceId)) instances.set(workspaceId, new AnalyticsService({ workspaceId }));
+    return instances.get(workspaceId);
+  }
+
+  // Drops a deleted workspace's analytics, in memory and in storage
+  async deleteWorkspace(workspaceId) {
+    if (workspaceId === DEFAULT_WORKSPACE) return;
+    const instance = instances.get(workspaceId);
+    if (instance) {
+      clearTimeout(instance.saveTimer);
+      instances.delete(workspaceId);
+    }
+    const storage = instance?.storage || this.storage;
+    await Promise.all(['analytics', 'performance'].map(name => storage.delete(`workspaces/${workspaceId}/${name}`)));
+  }
+
+  documentName(name) {
+    return this.workspaceId === DEFAULT_WORKSPACE ? name : `workspaces/${this.workspaceId}/${name}`;
+  }
+
   async initialize() {
     try {
       await this.loadAnalytics();
@@ -70,6 +99,7 @@ class AnalyticsService {
     });
 
     this.updateSessionMetrics(sessionId, event, data);
+    this.scheduleSave();
   }
 
   updateSessionMetrics(sessionId, event, data) {
@@ -138,17 +168,32 @@ class AnalyticsService {
   recordModelPerformance(model, metrics) {
     if (!this.performance.modelComparisons[model]) {
       this.performance.modelComparisons[model] = {
+        provider: metrics.provider || null,
         totalUsage: 0,
         avgResponseTime: 0,
         successRate: 0,
         avgRating: 0,
         ratings: [],
-        errors: 0
+        errors: 0,
+        tokens: { prompt: 0, completion: 0, total: 0 },
+        finishReasons: {}
       };
     }
 
     const perf = this.performance.modelComparisons[model];
     perf.totalUsage++;
+
+    if (metrics.usage) {
+      perf.tokens = perf.tokens || { prompt: 0, completion: 0, total: 0 }; // entries saved before token tracking
+      perf.tokens.prompt += metrics.usage.promptTokens || 0;
+      perf.tokens.completion += metrics.usage.completionTokens || 0;
+      perf.tokens.total += metrics.usage.totalTokens || 0;
+    }
+
+    if (metrics.finishReason) {
+      perf.finishReasons = perf.finishReasons || {};
+      perf.finishReasons[metrics.finishReason] = (perf.finishReasons[metrics.finishReason] || 0) + 1;
+    }
     
     if (metrics.responseTime) {
       perf.avgResponseTime = 
@@ -168,6 +213,7 @@ class AnalyticsService {
     if (metrics.error) {
       perf.errors++;
     }
+    this.scheduleSave();
   }
 
   recordResponseQuality(questionType, quality) {
@@ -189,6 +235,7 @@ class AnalyticsService {
     if (qual.qualityTrend.length > 50) {
       qual.qualityTrend = qual.qualityTrend.slice(-50);
     }
+    this.scheduleSave();
   }
 
   // === LEARNING ANALYTICS ===
@@ -272,10 +319,12 @@ class AnalyticsService {
     const models = Object.entries(this.performance.modelComparisons)
       .map(([model, perf]) => ({
         model,
+        provider: perf.provider || null,
         avgRating: perf.avgRating || 0,
         avgResponseTime: perf.avgResponseTime || 0,
         successRate: perf.successRate || 0,
-        usage: perf.totalUsage || 0
+        usage: perf.totalUsage || 0,
+        totalTokens: perf.tokens?.total || 0
       }))
       .sort((a, b) => b.avgRating - a.avgRating);
 
@@ -465,24 +514,23 @@ class AnalyticsService {
     };
   }
 
-  // === FILE OPERATIONS ===
+  // === STORAGE ===
   
   async loadAnalytics() {
-    try {
-      const data = await fs.readFile(this.analyticsPath, 'utf8');
-      this.analytics = { ...this.analytics, ...JSON.parse(data) };
-    } catch (error) {
-      // Keep default structure
-    }
+    const data = await this.storage.get(this.documentName('analytics'));
+    if (!data) return;
+    this.analytics = { ...this.analytics, ...data };
+    // Sets are stored as arrays
+    Object.values(this.analytics.sessions || {}).forEach(session => {
+      if (!session.metrics) return;
+      session.metrics.topics = new Set(session.metrics.topics || []);
+      session.metrics.models = new Set(session.metrics.models || []);
+    });
   }
 
   async loadPerformance() {
-    try {
-      const data = await fs.readFile(this.performancePath, 'utf8');
-      this.performance = { ...this.performance, ...JSON.parse(data) };
-    } catch (error) {
-      // Keep default structure
-    }
+    const data = await this.storage.get(this.documentName('performance'));
+    if (data) this.performance = { ...this.performance, ...data };
   }
 
   async saveAnalytics() {
@@ -493,11 +541,11 @@ class AnalyticsService {
       }
       return value;
     }));
-    await fs.writeFile(this.analyticsPath, JSON.stringify(analyticsToSave, null, 2));
+    await this.storage.set(this.documentName('analytics'), analyticsToSave);
   }
 
   async savePerformance() {
-    await fs.writeFile(this.performancePath, JSON.stringify(this.performance, null, 2));
+    await this.storage.set(this.documentName('performance'), this.performance);
   }
 
   async saveAllData() {
@@ -506,6 +554,29 @@ class AnalyticsService {
       this.savePerformance()
     ]);
   }
+
+  // Events arrive in bursts (question, response, feedback), so they are saved together a moment later
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveAllData().catch(error => console.error('Failed to save analytics:', error));
+    }, 2000);
+  }
+
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.saveAllData();
+  }
+
+  // Saves pending events of every workspace, for shutdown
+  async flushAll() {
+    await Promise.all(Array.from(instances.values()).map(instance => instance.flush()));
+  }
 }
 
-module.exports = new AnalyticsService();
+instances.set(DEFAULT_WORKSPACE, new AnalyticsService());
+
+module.exports = instances.get(DEFAULT_WORKSPACE);
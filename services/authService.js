@@ -0,0 +1,367 @@
+// Local accounts, JWT sessions and API keys
+// Passwords are hashed with scrypt and a per-user salt. The web UI signs in for a JWT signed with
+// JWT_SECRET that expires after JWT_EXPIRES_IN; scripts use long-lived API keys, of which only a
+// SHA-256 hash is kept. Both travel as `Authorization: Bearer <token>` (API keys also as
+// `x-api-key`) and resolve to the user every route then acts as.
+// Each user has a role: viewers chat, editors also ingest and manage their own documents, and
+// admins also manage collections, users and maintenance. Sign-up is closed unless AUTH_ALLOW_SIGNUP=true;
+// the first admin comes from AUTH_ADMIN_USERNAME / AUTH_ADMIN_PASSWORD, or is the first account
+// signed up. Other sign-ups get AUTH_DEFAULT_ROLE (viewer).
+const crypto = require('crypto');
+const { promisify } = require('util');
+const fs = require('fs-extra');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./loggerService');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const API_KEY_PREFIX = 'gk_';
+const KEY_LENGTH = 64;
+const ROLES = ['viewer', 'editor', 'admin']; // each role can do everything the ones before it can
+// Compared against when the username doesn't exist, so a miss takes as long as a wrong password
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+class AuthService {
+  constructor() {
+    this.usersFile = path.join(__dirname, '../data/users.json');
+    this.users = new Map(); // userId -> { id, username, role, passwordHash, createdAt, lastLoginAt }
+    this.apiKeys = new Map(); // keyId -> { id, userId, name, prefix, hash, createdAt, lastUsedAt }
+    this.tokenTtl = process.env.JWT_EXPIRES_IN || '12h';
+    this.allowSignup = process.env.AUTH_ALLOW_SIGNUP === 'true';
+    this.defaultRole = process.env.AUTH_DEFAULT_ROLE || 'viewer';
+    if (!ROLES.includes(this.defaultRole)) {
+      logger.warn(`Unknown AUTH_DEFAULT_ROLE "${this.defaultRole}"; expected ${ROLES.join(', ')}. Using viewer`);
+      this.defaultRole = 'viewer';
+    }
+    this.jwtSecret = process.env.JWT_SECRET;
+    if (!this.jwtSecret) {
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      logger.warn('JWT_SECRET is not set; using a random secret, so web sessions end when the server restarts');
+    }
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadUsers().then(() => this.bootstrapAdmin());
+  }
+
+  async loadUsers() {
+    try {
+      if (await fs.pathExists(this.usersFile)) {
+        const data = await fs.readJSON(this.usersFile);
+        this.users = new Map(Object.entries(data.users || {}));
+        this.apiKeys = new Map(Object.entries(data.apiKeys || {}));
+        this.assignMissingRoles();
+      }
+    } catch (error) {
+      logger.error('Failed to load users:', error);
+    }
+  }
+
+  // A fresh install gets its admin account from AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD
+  async bootstrapAdmin() {
+    if (this.users.size > 0) return;
+    const username = process.env.AUTH_ADMIN_USERNAME;
+    const password = process.env.AUTH_ADMIN_PASSWORD;
+    if (!username || !password) {
+      if (!this.allowSignup) logger.warn('No accounts exist and sign-up is closed; set AUTH_ADMIN_USERNAME and AUTH_ADMIN_PASSWORD to create the admin');
+      return;
+    }
+    try {
+      await this.createUser(username, password, 'admin');
+    } catch (error) {
+      logger.error('Failed to create the admin account:', error.message);
+    }
+  }
+
+  // Accounts from before roles existed had full access: they become editors and the oldest one an admin
+  assignMissingRoles() {
+    const unassigned = Array.from(this.users.values()).filter(user => !user.role);
+    if (unassigned.length === 0) return;
+    unassigned.forEach(user => { user.role = 'editor'; });
+    if (!this.countAdmins()) {
+      const oldest = unassigned.reduce((first, user) => (user.createdAt < first.createdAt ? user : first));
+      oldest.role = 'admin';
+    }
+    this.saveUsers();
+  }
+
+  async saveUsers() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.usersFile));
+        await fs.writeJSON(this.usersFile, {
+          users: Object.fromEntries(this.users),
+          apiKeys: Object.fromEntries(this.apiKeys)
+        });
+      } catch (error) {
+        logger.error('Failed to save users:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  // === ACCOUNTS ===
+
+  // Only open with AUTH_ALLOW_SIGNUP=true
+  async register(username, password) {
+    await this.ready;
+    if (!this.allowSignup) throw new Error('Sign-up is disabled');
+    return this.createUser(username, password);
+  }
+
+  // Without a `role` the first account is an admin and the rest get AUTH_DEFAULT_ROLE
+  async createUser(username, password, role = null) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      throw new Error('username must be 3-32 letters, digits, dots, dashes or underscores');
+    }
+    this.validatePassword(password);
+    if (role && !ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    this.assertUsernameFree(username);
+    const passwordHash = await this.hashPassword(password);
+
+    // Checked again after hashing: a sign-up running alongside may have taken the name, or the
+    // first account's admin role, in the meantime
+    this.assertUsernameFree(username);
+    const user = {
+      id: uuidv4(),
+      username,
+      role: role || (this.users.size === 0 ? 'admin' : this.defaultRole),
+      passwordHash,
+      createdAt: new Date().toISOString(),
+      lastLoginAt: null
+    };
+    this.users.set(user.id, user);
+    await this.saveUsers();
+    logger.info(`👤 Registered user ${username} (${user.role})`);
+    return this.describeUser(user);
+  }
+
+  // Resolves { user, token, expiresIn }, or null for a wrong username or password
+  async login(username, password) {
+    await this.ready;
+    const user = typeof username === 'string' ? this.findByUsername(username) : null;
+    const valid = await this.verifyPassword(String(password ?? ''), user ? user.passwordHash : DUMMY_HASH);
+    if (!user || !valid) return null;
+
+    user.lastLoginAt = new Date().toISOString();
+    await this.saveUsers();
+    return { user: this.describeUser(user), token: this.issueToken(user), expiresIn: this.tokenTtl };
+  }
+
+  async changePassword(userId, currentPassword, newPassword) {
+    await this.ready;
+    const user = this.users.get(userId);
+    if (!user || !await this.verifyPassword(String(currentPassword ?? ''), user.passwordHash)) {
+      throw new Error('Current password is incorrect');
+    }
+    this.validatePassword(newPassword);
+    user.passwordHash = await this.hashPassword(newPassword);
+    await this.saveUsers();
+  }
+
+  getUser(userId) {
+    const user = this.users.get(userId);
+    return user ? this.describeUser(user) : null;
+  }
+
+  async listUsers() {
+    await this.ready;
+    return Array.from(this.users.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(user => this.describeUser(user));
+  }
+
+  // Throws when the role is unknown or the change would leave no admin; resolves null for an unknown user
+  async setRole(userId, role) {
+    await this.ready;
+    if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+    const user = this.users.get(userId);
+    if (!user) return null;
+    if (user.role === 'admin' && role !== 'admin' && this.countAdmins() === 1) {
+      throw new Error('Cannot remove the last admin');
+    }
+    user.role = role;
+    await this.saveUsers();
+    logger.info(`👤 ${user.username} is now ${role}`);
+    return this.describeUser(user);
+  }
+
+  // Removes the account and its API keys; its documents and memory are left in place
+  async deleteUser(userId) {
+    await this.ready;
+    const user = this.users.get(userId);
+    if (!user) return null;
+    if (user.role === 'admin' && this.countAdmins() === 1) throw new Error('Cannot delete the last admin');
+
+    this.users.delete(userId);
+    for (const [keyId, record] of this.apiKeys) {
+      if (record.userId === userId) this.apiKeys.delete(keyId);
+    }
+    await this.saveUsers();
+    logger.info(`👤 Deleted user ${user.username}`);
+    return this.describeUser(user);
+  }
+
+  countAdmins() {
+    return Array.from(this.users.values()).filter(user => user.role === 'admin').length;
+  }
+
+  assertUsernameFree(username) {
+    if (this.findByUsername(username)) throw new Error(`Username "${username}" is taken`);
+  }
+
+  findByUsername(username) {
+    const wanted = username.toLowerCase();
+    return Array.from(this.users.values()).find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  describeUser(user) {
+    return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt, lastLoginAt: user.lastLoginAt };
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, stored) {
+    const [, salt, expected] = stored.split('$');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+  }
+
+  // === TOKENS ===
+
+  issueToken(user) {
+    return jwt.sign({ sub: user.id, username: user.username }, this.jwtSecret, { expiresIn: this.tokenTtl });
+  }
+
+  // Creates a key for scripts; the plain key is only ever returned here
+  async createApiKey(userId, name) {
+    await this.ready;
+    if (typeof name !== 'string' || !name.trim()) throw new Error('name must be a non-empty string');
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      userId,
+      name: name.trim().slice(0, 80),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      hash: this.hashApiKey(key),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    this.apiKeys.set(record.id, record);
+    await this.saveUsers();
+    return { key, apiKey: this.describeApiKey(record) };
+  }
+
+  async listApiKeys(userId) {
+    await this.ready;
+    return Array.from(this.apiKeys.values())
+      .filter(record => record.userId === userId)
+      .map(record => this.describeApiKey(record));
+  }
+
+  async revokeApiKey(userId, keyId) {
+    await this.ready;
+    const record = this.apiKeys.get(keyId);
+    if (!record || record.userId !== userId) return false;
+    this.apiKeys.delete(keyId);
+    await this.saveUsers();
+    return true;
+  }
+
+  describeApiKey({ hash, ...record }) {
+    return record;
+  }
+
+  hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  // Resolves a JWT or API key to { id, username, role, authMethod, apiKeyId? }, or null. The role is read from
+  // the account on every request, so role changes apply to tokens already issued.
+  async authenticateToken(token) {
+    await this.ready;
+    if (typeof token !== 'string' || !token) return null;
+
+    if (token.startsWith(API_KEY_PREFIX)) {
+      const hash = this.hashApiKey(token);
+      const record = Array.from(this.apiKeys.values()).find(candidate => candidate.hash === hash);
+      const user = record && this.users.get(record.userId);
+      if (!user) return null;
+
+      // Recorded at most once a minute so busy scripts don't rewrite the file on every call
+      if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > 60 * 1000) {
+        record.lastUsedAt = new Date().toISOString();
+        this.saveUsers();
+      }
+      return { id: user.id, username: user.username, role: user.role, authMethod: 'api_key', apiKeyId: record.id };
+    }
+
+    try {
+      const payload = jwt.verify(token, this.jwtSecret);
+      const user = this.users.get(payload.sub);
+      return user ? { id: user.id, username: user.username, role: user.role, authMethod: 'jwt' } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.headers['x-api-key'] || null;
+  }
+
+  // Express middleware: sets req.user or answers 401. `publicPaths` (relative to the mount point) skip it.
+  middleware({ publicPaths = [] } = {}) {
+    return async (req, res, next) => {
+      if (publicPaths.includes(req.path)) return next();
+
+      const user = await this.authenticateToken(this.getRequestToken(req));
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ success: false, error: 'Authentication required' });
+      }
+      req.user = user;
+      next();
+    };
+  }
+
+  hasRole(user, role) {
+    return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
+  }
+
+  // Route middleware, after middleware(): answers 403 unless the user has `role` or a higher one
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!this.hasRole(req.user, role)) {
+        return res.status(403).json({ success: false, error: `Requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  // Socket.IO middleware: the token comes from io({ auth: { token } })
+  socketMiddleware() {
+    return async (socket, next) => {
+      const user = await this.authenticateToken(socket.handshake.auth?.token);
+      if (!user) return next(new Error('Authentication required'));
+      socket.user = user;
+      next();
+    };
+  }
+}
+
+module.exports = new AuthService();
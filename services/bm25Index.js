@@ -0,0 +1,104 @@
+// In-memory BM25 inverted index used for the keyword leg of hybrid search
+// Tokens keep digits, dots and dashes so part numbers, versions and acronyms
+// ("XR-200", "v2.1", "GDPR") match exactly.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with'
+]);
+
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map(); // term -> Map(docId -> term frequency)
+    this.docLengths = new Map(); // docId -> token count
+    this.docTerms = new Map(); // docId -> distinct terms, so removals skip the full vocabulary
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docLengths.size;
+  }
+
+  tokenize(text) {
+    if (!text) return [];
+    return text
+      .normalize('NFD')
+      .replace(/\p{Diacritic}/gu, '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}.\-_]+/u)
+      .map(token => token.replace(/^[.\-_]+|[.\-_]+$/g, ''))
+      .filter(token => token.length > 0 && !STOP_WORDS.has(token));
+  }
+
+  add(id, text) {
+    if (this.docLengths.has(id)) this.remove(id);
+
+    const tokens = this.tokenize(text);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.docLengths.set(id, tokens.length);
+    this.docTerms.set(id, Array.from(frequencies.keys()));
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const length = this.docLengths.get(id);
+    if (length === undefined) return false;
+
+    for (const term of this.docTerms.get(id)) {
+      const docs = this.postings.get(term);
+      if (docs && docs.delete(id) && docs.size === 0) this.postings.delete(term);
+    }
+
+    this.docLengths.delete(id);
+    this.docTerms.delete(id);
+    this.totalLength -= length;
+    return true;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.docLengths.clear();
+    this.docTerms.clear();
+    this.totalLength = 0;
+  }
+
+  // Returns [{ id, score }] sorted by BM25 score; `accept(id)` can exclude documents (filters)
+  search(query, topK = 10, accept = () => true) {
+    const terms = [...new Set(this.tokenize(query))];
+    if (terms.length === 0 || this.size === 0) return [];
+
+    const avgLength = this.totalLength / this.size || 1;
+    const scores = new Map();
+
+    for (const term of terms) {
+      const docs = this.postings.get(term);
+      if (!docs) continue;
+
+      // Lucene-style IDF that never goes negative for very common terms
+      const idf = Math.log(1 + (this.size - docs.size + 0.5) / (docs.size + 0.5));
+
+      for (const [id, frequency] of docs) {
+        const length = this.docLengths.get(id);
+        const norm = frequency * (this.k1 + 1) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * norm);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .filter(result => accept(result.id))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+}
+
+module.exports = Bm25Index;
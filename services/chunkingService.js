@@ -0,0 +1,257 @@
+// Structure-aware text chunking shared by all ingestion routes
+// Chunks keep their character offsets into the source text, page number and heading path
+// so answers can cite exactly where they came from.
+
+const STRATEGIES = ['sentence', 'paragraph', 'markdown', 'recursive'];
+const RECURSIVE_SEPARATORS = ['\n\n', '\n', '. ', ' '];
+const PAGE_BREAK = '\f';
+
+class ChunkingService {
+  constructor() {
+    this.defaults = {
+      strategy: process.env.CHUNK_STRATEGY || 'recursive',
+      maxTokens: parseInt(process.env.CHUNK_MAX_TOKENS) || 256,
+      overlapTokens: parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 32
+    };
+  }
+
+  getStrategies() {
+    return [...STRATEGIES];
+  }
+
+  // Rough BPE-style estimate (~4 characters per token for English text)
+  estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+  }
+
+  chunkText(text, options = {}) {
+    if (!text || !text.trim()) return [];
+
+    const strategy = STRATEGIES.includes(options.strategy) ? options.strategy : this.defaults.strategy;
+    const maxTokens = Math.max(parseInt(options.maxTokens) || this.defaults.maxTokens, 16);
+    const overlapTokens = Math.min(
+      Math.max(parseInt(options.overlapTokens ?? this.defaults.overlapTokens) || 0, 0),
+      Math.floor(maxTokens / 2)
+    );
+
+    let segments;
+    switch (strategy) {
+      case 'sentence':
+        segments = this.splitSentences(text);
+        break;
+      case 'paragraph':
+        segments = this.splitParagraphs(text);
+        break;
+      case 'markdown':
+        segments = this.splitMarkdownSections(text);
+        break;
+      default:
+        segments = [{ start: 0, end: text.length }];
+    }
+
+    // Anything still over budget is broken down with the recursive splitter
+    const bounded = segments.flatMap(segment => this.splitRecursive(text, segment, maxTokens));
+    const pageStarts = this.findPageStarts(text);
+    const headings = this.findHeadings(text);
+
+    return this.mergeSegments(text, bounded, maxTokens, overlapTokens)
+      .map(chunk => this.trimSpan(text, chunk))
+      .filter(chunk => chunk.end > chunk.start)
+      .map((chunk, index) => {
+        const chunkText = text.slice(chunk.start, chunk.end);
+        return {
+          text: chunkText,
+          index,
+          startOffset: chunk.start,
+          endOffset: chunk.end,
+          page: this.pageAt(pageStarts, chunk.start),
+          pageEnd: this.pageAt(pageStarts, chunk.end - 1),
+          headingPath: this.headingPathAt(headings, chunk.start),
+          tokenCount: this.estimateTokens(chunkText),
+          strategy
+        };
+      });
+  }
+
+  // === SEGMENTATION ===
+
+  splitSentences(text) {
+    const segments = [];
+    const pattern = /[^.!?\n]+(?:[.!?]+["')\]]*|\n+|$)\s*/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (match[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      segments.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return segments;
+  }
+
+  splitParagraphs(text) {
+    return this.splitOn(text, { start: 0, end: text.length }, /\n\s*\n/g);
+  }
+
+  // Sections never share a chunk, so each chunk sits under exactly one heading path
+  splitMarkdownSections(text) {
+    const headings = this.findHeadings(text);
+    const boundaries = [0, ...headings.map(h => h.start).filter(start => start > 0), text.length];
+    const segments = [];
+
+    for (let i = 0; i < boundaries.length - 1; i++) {
+      const section = { start: boundaries[i], end: boundaries[i + 1] };
+      this.splitOn(text, section, /\n\s*\n/g).forEach((segment, idx) => {
+        segments.push({ ...segment, sectionBreak: idx === 0 && i > 0 });
+      });
+    }
+    return segments;
+  }
+
+  splitOn(text, segment, pattern) {
+    const segments = [];
+    const slice = text.slice(segment.start, segment.end);
+    let cursor = 0;
+    let match;
+
+    pattern.lastIndex = 0;
+    while ((match = pattern.exec(slice)) !== null) {
+      const end = match.index + match[0].length;
+      if (end > cursor) segments.push({ start: segment.start + cursor, end: segment.start + end });
+      cursor = end;
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+    if (cursor < slice.length) segments.push({ start: segment.start + cursor, end: segment.end });
+
+    return segments;
+  }
+
+  // Split on the coarsest separator that brings every piece under the token budget
+  splitRecursive(text, segment, maxTokens, separators = RECURSIVE_SEPARATORS) {
+    if (this.estimateTokens(text.slice(segment.start, segment.end)) <= maxTokens) {
+      return [segment];
+    }
+
+    const [separator, ...rest] = separators;
+    if (separator === undefined) {
+      // No separator left: hard split on the character budget
+      const pieces = [];
+      const size = maxTokens * 4;
+      for (let start = segment.start; start < segment.end; start += size) {
+        pieces.push({ start, end: Math.min(start + size, segment.end), sectionBreak: start === segment.start && segment.sectionBreak });
+      }
+      return pieces;
+    }
+
+    const escaped = separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pieces = this.splitOn(text, segment, new RegExp(escaped, 'g'));
+    if (pieces.length <= 1) {
+      return this.splitRecursive(text, segment, maxTokens, rest);
+    }
+
+    return pieces.flatMap((piece, idx) => this.splitRecursive(
+      text,
+      { ...piece, sectionBreak: idx === 0 && segment.sectionBreak },
+      maxTokens,
+      rest
+    ));
+  }
+
+  // Greedily pack segments into chunks, carrying trailing segments forward as overlap
+  mergeSegments(text, segments, maxTokens, overlapTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const flush = () => {
+      if (current.length === 0) return;
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        const tokens = this.estimateTokens(text.slice(current[i].start, current[i].end));
+        if (overlapSize + tokens > overlapTokens) break;
+        overlap.unshift(current[i]);
+        overlapSize += tokens;
+      }
+      current = overlap;
+      currentTokens = overlapSize;
+    };
+
+    for (const segment of segments) {
+      const tokens = this.estimateTokens(text.slice(segment.start, segment.end));
+
+      if (segment.sectionBreak && current.length > 0) {
+        flush();
+        current = [];
+        currentTokens = 0;
+      } else if (currentTokens + tokens > maxTokens && current.length > 0) {
+        flush();
+        // Drop overlap that would push the next chunk over budget
+        while (current.length > 0 && currentTokens + tokens > maxTokens) {
+          const removed = current.shift();
+          currentTokens -= this.estimateTokens(text.slice(removed.start, removed.end));
+        }
+      }
+
+      current.push(segment);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0 && (chunks.length === 0 || current[current.length - 1].end > chunks[chunks.length - 1].end)) {
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+    }
+
+    return chunks;
+  }
+
+  // === POSITION METADATA ===
+
+  trimSpan(text, span) {
+    let { start, end } = span;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+  }
+
+  // Pages are separated by form feeds (see pdfService)
+  findPageStarts(text) {
+    const starts = [];
+    let index = text.indexOf(PAGE_BREAK);
+    while (index !== -1) {
+      starts.push(index);
+      index = text.indexOf(PAGE_BREAK, index + 1);
+    }
+    return starts;
+  }
+
+  pageAt(pageStarts, offset) {
+    if (pageStarts.length === 0) return null;
+    let page = 1;
+    while (page <= pageStarts.length && pageStarts[page - 1] < offset) page++;
+    return page;
+  }
+
+  findHeadings(text) {
+    const headings = [];
+    const pattern = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      headings.push({ start: match.index, level: match[1].length, title: match[2].trim() });
+    }
+    return headings;
+  }
+
+  headingPathAt(headings, offset) {
+    const path = [];
+    for (const heading of headings) {
+      if (heading.start > offset) break;
+      path.length = Math.min(path.length, heading.level - 1);
+      path[heading.level - 1] = heading.title;
+    }
+    return path.filter(Boolean);
+  }
+}
+
+module.exports = new ChunkingService();
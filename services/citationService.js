@@ -0,0 +1,73 @@
+// Numbered source citations for answers generated from document chunks
+// Each retrieved chunk becomes a source [n] in the prompt context; the answer's inline
+// markers are then mapped back to the chunk id, page/URL anchor and character span.
+
+const SNIPPET_LENGTH = 200;
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+class CitationService {
+  // ranked chunks come from documentStoreService.getChunks() with a similarity score attached
+  buildCitations(chunks) {
+    return chunks.map((chunk, index) => ({
+      id: index + 1,
+      documentId: chunk.documentId,
+      chunkId: chunk.chunkId,
+      source: chunk.source,
+      type: chunk.type,
+      page: chunk.page ?? null,
+      url: this.buildAnchor(chunk),
+      headingPath: chunk.headingPath || [],
+      startOffset: chunk.startOffset ?? null,
+      endOffset: chunk.endOffset ?? null,
+      score: typeof chunk.similarity === 'number' ? Number(chunk.similarity.toFixed(3)) : null,
+      snippet: chunk.chunk.length > SNIPPET_LENGTH
+        ? chunk.chunk.substring(0, SNIPPET_LENGTH) + '...'
+        : chunk.chunk,
+      cited: false
+    }));
+  }
+
+  // Link straight to the passage: text fragment for web pages, page fragment for PDFs
+  buildAnchor(chunk) {
+    if (/^https?:\/\//i.test(chunk.source || '')) {
+      const words = chunk.chunk.trim().split(/\s+/).slice(0, 6).join(' ');
+      return `${chunk.source}#:~:text=${encodeURIComponent(words)}`;
+    }
+    if (chunk.page) {
+      return `#page=${chunk.page}`;
+    }
+    return null;
+  }
+
+  formatLabel(citation) {
+    const parts = [citation.source];
+    if (citation.page) parts.push(`page ${citation.page}`);
+    if (citation.headingPath.length > 0) parts.push(citation.headingPath.join(' > '));
+    return parts.join(', ');
+  }
+
+  // Prompt context with one numbered block per source
+  formatContext(chunks, citations) {
+    return citations
+      .map((citation, index) => `[${citation.id}] (${this.formatLabel(citation)})\n${chunks[index].chunk}`)
+      .join('\n\n');
+  }
+
+  // Flag the sources the answer actually cites; markers that match no source are left as written
+  linkCitations(answer, citations) {
+    const known = new Map(citations.map(citation => [citation.id, citation]));
+
+    const linkedAnswer = answer.replace(MARKER_PATTERN, (marker, ids) => {
+      const valid = ids.split(',')
+        .map(id => parseInt(id.trim(), 10))
+        .filter(id => known.has(id));
+      if (valid.length === 0) return marker;
+      valid.forEach(id => { known.get(id).cited = true; });
+      return valid.map(id => `[${id}]`).join('');
+    });
+
+    return { answer: linkedAnswer, citations };
+  }
+}
+
+module.exports = new CitationService();
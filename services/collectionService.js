@@ -0,0 +1,247 @@
+// Named collections: separate knowledge spaces ("hr-policies", "engineering-docs", ...)
+// Each collection has its own vectors (a FAISS index locally, a namespace on Pinecone) and its
+// own settings for embeddings, chunking and retention. "default" always exists and holds
+// everything ingested without a collection.
+// Every workspace has its own set of collections. A collection's `name` is its storage key and
+// `slug` the name users see: in the default workspace both are the same, elsewhere the key is
+// prefixed with the workspace id ("acme.hr-policies").
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const chunkingService = require('./chunkingService');
+const workspaceService = require('./workspaceService');
+
+const DEFAULT_COLLECTION = 'default';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+
+class CollectionService {
+  constructor() {
+    this.collectionsFile = path.join(__dirname, '../data/collections.json');
+    this.collections = new Map(); // name -> { name, slug, workspaceId, displayName, description, embedding, chunking, retention, createdAt, updatedAt }
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadCollections();
+  }
+
+  get defaultCollection() {
+    return DEFAULT_COLLECTION;
+  }
+
+  async loadCollections() {
+    try {
+      if (await fs.pathExists(this.collectionsFile)) {
+        const data = await fs.readJSON(this.collectionsFile);
+        // Collections from before workspaces belong to the default workspace
+        this.collections = new Map(Object.entries(data).map(([name, collection]) => [
+          name,
+          { ...collection, slug: collection.slug || name, workspaceId: collection.workspaceId || workspaceService.defaultWorkspace }
+        ]));
+      }
+      if (!this.collections.has(DEFAULT_COLLECTION)) {
+        this.collections.set(DEFAULT_COLLECTION, this.buildCollection(DEFAULT_COLLECTION, {
+          displayName: 'Default',
+          description: 'Everything ingested without a collection'
+        }));
+      }
+    } catch (error) {
+      logger.error('Failed to load collections:', error);
+    }
+  }
+
+  async saveCollections() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.collectionsFile));
+        await fs.writeJSON(this.collectionsFile, Object.fromEntries(this.collections), { spaces: 2 });
+      } catch (error) {
+        logger.error('Failed to save collections:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  // "HR policies" -> "hr-policies"; names are used as FAISS file names and Pinecone namespaces
+  normalizeName(name) {
+    return String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  buildCollection(name, { workspaceId = workspaceService.defaultWorkspace, displayName, description = '', embedding, chunking, retention } = {}) {
+    const now = new Date().toISOString();
+    return {
+      name,
+      slug: workspaceService.localName(name),
+      workspaceId,
+      displayName: displayName || name,
+      description,
+      embedding: this.validateEmbedding(embedding),
+      chunking: this.validateChunking(chunking),
+      retention: this.validateRetention(retention),
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  // { provider, model }; null keeps the EMBEDDING_PROVIDER default
+  validateEmbedding(embedding) {
+    if (!embedding || !embedding.provider) return null;
+    const embeddingRegistryService = require('./embeddingRegistryService'); // required late: it requires this module
+    embeddingRegistryService.getProvider(embedding.provider); // throws on unknown providers
+    return { provider: embedding.provider, model: embedding.model || null };
+  }
+
+  // { strategy, maxTokens, overlapTokens }; unset fields fall back to the CHUNK_* defaults
+  validateChunking(chunking = {}) {
+    const { strategy, maxTokens, overlapTokens } = chunking || {};
+    if (strategy && !chunkingService.getStrategies().includes(strategy)) {
+      throw new Error(`Unknown chunk strategy "${strategy}". Available: ${chunkingService.getStrategies().join(', ')}`);
+    }
+    for (const [field, value] of Object.entries({ maxTokens, overlapTokens })) {
+      if (value !== undefined && value !== null && !(Number.isInteger(Number(value)) && Number(value) >= 0)) {
+        throw new Error(`chunking.${field} must be a non-negative integer`);
+      }
+    }
+    return {
+      strategy: strategy || null,
+      maxTokens: maxTokens != null ? Number(maxTokens) : null,
+      overlapTokens: overlapTokens != null ? Number(overlapTokens) : null
+    };
+  }
+
+  // { days }: documents older than this are removed by the daily cleanup; null keeps them forever
+  validateRetention(retention = {}) {
+    const days = retention?.days;
+    if (days === undefined || days === null) return { days: null };
+    if (!(Number(days) > 0)) throw new Error('retention.days must be a positive number');
+    return { days: Number(days) };
+  }
+
+  // One workspace's collections; without a workspace, every collection (for maintenance jobs)
+  async listCollections(workspaceId) {
+    await this.ready;
+    return Array.from(this.collections.values())
+      .filter(collection => !workspaceId || collection.workspaceId === workspaceId);
+  }
+
+  // Storage keys of a workspace's collections, for reads that span all of them
+  async listCollectionKeys(workspaceId) {
+    return (await this.listCollections(workspaceId)).map(collection => collection.name);
+  }
+
+  async getCollection(name = DEFAULT_COLLECTION) {
+    await this.ready;
+    return this.collections.get(name) || null;
+  }
+
+  // Look a collection up by the name users see in a workspace
+  async getWorkspaceCollection(workspaceId, slug = DEFAULT_COLLECTION) {
+    return this.getCollection(workspaceService.scopeKey(workspaceId, slug));
+  }
+
+  // The collection users see as "default" in a workspace; created with the workspace
+  async ensureDefaultCollection(workspaceId) {
+    await this.ready;
+    const name = workspaceService.scopeKey(workspaceId, DEFAULT_COLLECTION);
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.buildCollection(name, {
+        workspaceId,
+        displayName: 'Default',
+        description: 'Everything ingested without a collection'
+      }));
+      await this.saveCollections();
+    }
+    return this.collections.get(name);
+  }
+
+  // Storage key of a document's or vector's collection -> the name users see
+  slugOf(name) {
+    return workspaceService.localName(name);
+  }
+
+  async createCollection({ workspaceId = workspaceService.defaultWorkspace, name, displayName, ...settings }) {
+    await this.ready;
+
+    const slug = this.normalizeName(name);
+    if (!NAME_PATTERN.test(slug)) {
+      throw new Error('Collection name must contain letters or digits (up to 63 characters)');
+    }
+    const key = workspaceService.scopeKey(workspaceId, slug);
+    if (this.collections.has(key)) return null;
+
+    const collection = this.buildCollection(key, { workspaceId, displayName: displayName || String(name).trim(), ...settings });
+    this.collections.set(key, collection);
+    await this.saveCollections();
+
+    logger.info(`🗂️ Created collection "${key}"`);
+    return collection;
+  }
+
+  async updateCollection(name, changes = {}) {
+    await this.ready;
+
+    const collection = this.collections.get(name);
+    if (!collection) return null;
+
+    const updated = { ...collection, updatedAt: new Date().toISOString() };
+    if (changes.displayName !== undefined) updated.displayName = changes.displayName || collection.slug;
+    if (changes.description !== undefined) updated.description = changes.description;
+    if (changes.embedding !== undefined) updated.embedding = this.validateEmbedding(changes.embedding);
+    if (changes.chunking !== undefined) updated.chunking = this.validateChunking({ ...collection.chunking, ...changes.chunking });
+    if (changes.retention !== undefined) updated.retention = this.validateRetention(changes.retention);
+
+    this.collections.set(name, updated);
+    await this.saveCollections();
+    return updated;
+  }
+
+  // A workspace's default collection only goes (`force`) when the workspace is deleted
+  async deleteCollection(name, { force = false } = {}) {
+    await this.ready;
+
+    const collection = this.collections.get(name);
+    if (!collection || (collection.slug === DEFAULT_COLLECTION && !force)) return null;
+
+    this.collections.delete(name);
+    await this.saveCollections();
+
+    logger.info(`🗑️ Deleted collection "${name}"`);
+    return collection;
+  }
+
+  // Chunking options for an ingestion request: request fields win over the collection's settings
+  getChunkOptions(collection, overrides = {}) {
+    const settings = collection?.chunking || {};
+    return {
+      strategy: overrides.strategy || settings.strategy || undefined,
+      maxTokens: overrides.maxTokens || settings.maxTokens || undefined,
+      overlapTokens: overrides.overlapTokens ?? settings.overlapTokens ?? undefined
+    };
+  }
+
+  // Daily cleanup: delete documents (and their vectors) that outlived their collection's retention
+  async applyRetention() {
+    const documentStoreService = require('./documentStoreService');
+    const vectorDatabaseService = require('./vectorDatabaseService');
+    let removed = 0;
+
+    for (const collection of await this.listCollections()) {
+      if (!collection.retention?.days) continue;
+
+      const cutoff = Date.now() - collection.retention.days * 24 * 60 * 60 * 1000;
+      const expired = await documentStoreService.listExpiredDocuments(collection.name, cutoff);
+      for (const document of expired) {
+        await vectorDatabaseService.deleteDocumentVectors(document.id, document.vectorIds, collection.name, { ownerId: document.userId });
+        await documentStoreService.deleteDocument(document.id);
+        removed++;
+      }
+      if (expired.length > 0) {
+        logger.info(`🧹 Retention removed ${expired.length} documents older than ${collection.retention.days} days from "${collection.name}"`);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,101 @@
+// History-aware query rewriting for multi-turn chat
+// A follow-up such as "what about the second one?" embeds to nothing useful on its own, so the
+// history and the new message are condensed into a standalone search query before retrieval.
+// The answer prompt still gets the raw history; only retrieval uses the condensed query.
+const llmProviderService = require('./llmProviderService');
+const logger = require('./loggerService');
+
+const MAX_TURNS = Number(process.env.CHAT_HISTORY_TURNS || 6);
+const MAX_TURN_CHARS = 600; // long answers are clipped in the condensation prompt only
+const ROLES = ['user', 'assistant'];
+// Pronouns that point back into the conversation ("it", "those", "the second one"); "this" and
+// "that" only when they stand alone, since they also open clauses ("the option that ...")
+const REFERENCE_PATTERN = /\b(it|its|they|them|their|these|those|he|she|him|his|her|former|latter|aforementioned)\b|^(this|that)\b|\b(this|that)\s*[?.!]*$|\b(same|other|first|second|third|last|next|previous) ones?\b/i;
+// Elliptical messages that only make sense after the previous question ("and for Python?", "why?")
+const ELLIPSIS_PATTERN = /^(and|but|also|what about|how about|what else|anything else)\b|^(why|why not|how|how so|when|where|really|more|go on|continue|elaborate|examples?|details?)\s*[?.!]*$/i;
+
+const CONDENSE_PROMPT = `Rewrite the user's latest message as a standalone search query for a document knowledge base.
+Resolve references such as "it", "that" or "the second one" using the conversation.
+Keep names, numbers and technical terms exactly as written.
+If the message is already standalone, return it unchanged.
+Reply with the query only, without quotes or explanation.`;
+
+class ConversationService {
+  constructor() {
+    this.maxTurns = MAX_TURNS;
+  }
+
+  // Validates client-supplied history ([{ role: 'user'|'assistant', content }]) and keeps the last turns
+  normalizeHistory(history) {
+    if (!Array.isArray(history)) throw new Error('history must be an array of { role, content } messages');
+
+    history.forEach((message, index) => {
+      if (!message || !ROLES.includes(message.role) || typeof message.content !== 'string') {
+        throw new Error(`history[${index}] must have a role of "user" or "assistant" and string content`);
+      }
+    });
+    return this.limitHistory(history.map(({ role, content }) => ({ role, content })));
+  }
+
+  limitHistory(history) {
+    return history.slice(-this.maxTurns * 2);
+  }
+
+  // Stored exchanges ({ question, answer } or { message, response }), oldest first, as chat messages
+  toMessages(conversations) {
+    return this.limitHistory(conversations.flatMap(conv => [
+      { role: 'user', content: conv.question ?? conv.message },
+      { role: 'assistant', content: conv.answer ?? conv.response }
+    ]).filter(message => typeof message.content === 'string'));
+  }
+
+  // Resolves to { query, rewritten }; without history the message is already the query
+  async condenseQuery(message, history = []) {
+    if (history.length === 0) return { query: message, rewritten: false };
+
+    const transcript = history
+      .map(({ role, content }) => `${role === 'user' ? 'User' : 'Assistant'}: ${this.clip(content)}`)
+      .join('\n');
+
+    try {
+      const result = await llmProviderService.chat([
+        { role: 'system', content: CONDENSE_PROMPT },
+        { role: 'user', content: `Conversation:\n${transcript}\n\nLatest message: ${message}\n\nStandalone query:` }
+      ], { temperature: 0, maxTokens: 100 });
+
+      const query = this.cleanQuery(result.answer);
+      if (query) return { query, rewritten: query !== message.trim() };
+    } catch (error) {
+      logger.warn(`Query condensation failed, using heuristic rewrite: ${error.message}`);
+    }
+    return this.heuristicCondense(message, history);
+  }
+
+  // Messages that refer back or are elliptical can't be searched on their own
+  isFollowUp(message) {
+    const text = message.trim();
+    return REFERENCE_PATTERN.test(text) || ELLIPSIS_PATTERN.test(text);
+  }
+
+  // Without an LLM: follow-ups borrow the previous user question for retrieval
+  heuristicCondense(message, history) {
+    const previous = [...history].reverse().find(turn => turn.role === 'user');
+    if (!previous || !this.isFollowUp(message)) return { query: message, rewritten: false };
+    return { query: `${previous.content} ${message}`, rewritten: true };
+  }
+
+  cleanQuery(text = '') {
+    return text
+      .trim()
+      .split('\n')[0]
+      .replace(/^(standalone query|query)\s*:\s*/i, '')
+      .replace(/^["'`]+|["'`]+$/g, '')
+      .trim();
+  }
+
+  clip(text) {
+    return text.length > MAX_TURN_CHARS ? `${text.slice(0, MAX_TURN_CHARS)}...` : text;
+  }
+}
+
+module.exports = new ConversationService();
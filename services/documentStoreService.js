@@ -0,0 +1,198 @@
+// Persistent per-user document store used by the chat/ask routes
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./loggerService');
+const { updateVocabulary } = require('./embedService');
+
+const DEFAULT_COLLECTION = 'default';
+
+class DocumentStoreService {
+  constructor() {
+    this.storeFile = path.join(__dirname, '../data/documents.json');
+    this.documents = new Map(); // documentId -> { id, userId, collection, source, type, createdAt, chunks: [{ id, text, embedding, page, headingPath, startOffset, endOffset }] }
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadDocuments();
+  }
+
+  async loadDocuments() {
+    try {
+      if (await fs.pathExists(this.storeFile)) {
+        const data = await fs.readJSON(this.storeFile);
+        this.documents = new Map(Object.entries(data));
+      }
+
+      // Rebuild the embedding vocabulary so query vectors line up with stored ones after a restart
+      const texts = this.getAllChunkTexts();
+      if (texts.length > 0) updateVocabulary(texts);
+
+      logger.info(`📚 Document store loaded: ${this.documents.size} documents, ${texts.length} chunks`);
+    } catch (error) {
+      logger.error('Failed to load document store:', error);
+    }
+  }
+
+  async saveDocuments() {
+    // Chain writes so concurrent uploads never interleave on disk
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.storeFile));
+        // Written without indentation: chunks carry full embedding arrays
+        await fs.writeJSON(this.storeFile, Object.fromEntries(this.documents));
+      } catch (error) {
+        logger.error('Failed to save document store:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  async addDocument(userId, { source, type = 'document', collection = DEFAULT_COLLECTION, chunks = [], metadata = {} }) {
+    await this.ready;
+
+    const document = {
+      id: uuidv4(),
+      userId,
+      collection,
+      source,
+      type,
+      createdAt: new Date().toISOString(),
+      metadata,
+      vectorIds: [],
+      chunks: chunks.map(chunk => ({
+        id: uuidv4(),
+        text: chunk.text,
+        embedding: chunk.embedding,
+        page: chunk.page ?? null,
+        pageEnd: chunk.pageEnd ?? null,
+        headingPath: chunk.headingPath || [],
+        startOffset: chunk.startOffset ?? null,
+        endOffset: chunk.endOffset ?? null,
+        tokenCount: chunk.tokenCount ?? null,
+        strategy: chunk.strategy || null
+      }))
+    };
+
+    this.documents.set(document.id, document);
+    await this.saveDocuments();
+
+    logger.info(`Stored document ${document.id} (${source}) in "${collection}" with ${document.chunks.length} chunks for user ${userId}`);
+    return document;
+  }
+
+  async getDocument(documentId) {
+    await this.ready;
+    return this.documents.get(documentId) || null;
+  }
+
+  // Documents written before collections existed belong to "default"
+  collectionOf(document) {
+    return document.collection || DEFAULT_COLLECTION;
+  }
+
+  // `collection` narrows the list to one collection; omit it for all of the user's documents
+  async listDocuments(userId, collection) {
+    await this.ready;
+    return Array.from(this.documents.values())
+      .filter(document => document.userId === userId)
+      .filter(document => !collection || this.collectionOf(document) === collection)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Every user's documents in a collection
+  async listCollectionDocuments(collection) {
+    await this.ready;
+    return Array.from(this.documents.values()).filter(document => this.collectionOf(document) === collection);
+  }
+
+  // Documents in a collection created before `cutoff` (ms since epoch), for retention cleanup
+  async listExpiredDocuments(collection, cutoff) {
+    const documents = await this.listCollectionDocuments(collection);
+    return documents.filter(document => new Date(document.createdAt).getTime() < cutoff);
+  }
+
+  async updateDocument(documentId, changes) {
+    await this.ready;
+
+    const document = this.documents.get(documentId);
+    if (!document) return null;
+
+    const updated = { ...document, ...changes, updatedAt: new Date().toISOString() };
+    this.documents.set(documentId, updated);
+    await this.saveDocuments();
+    return updated;
+  }
+
+  async deleteDocument(documentId) {
+    await this.ready;
+
+    const document = this.documents.get(documentId);
+    if (!document) return null;
+
+    this.documents.delete(documentId);
+    await this.saveDocuments();
+
+    logger.info(`Deleted document ${documentId} (${document.source}) with ${document.chunks.length} chunks`);
+    return document;
+  }
+
+  async deleteCollectionDocuments(collection) {
+    await this.ready;
+
+    const documents = await this.listCollectionDocuments(collection);
+    documents.forEach(document => this.documents.delete(document.id));
+    if (documents.length > 0) await this.saveDocuments();
+
+    logger.info(`Deleted ${documents.length} documents in collection "${collection}"`);
+    return documents.length;
+  }
+
+  async getChunks(userId, collection = DEFAULT_COLLECTION) {
+    await this.ready;
+
+    const chunks = [];
+    for (const document of this.documents.values()) {
+      if (document.userId !== userId || this.collectionOf(document) !== collection) continue;
+      document.chunks.forEach(chunk => {
+        chunks.push({
+          chunk: chunk.text,
+          embedding: chunk.embedding,
+          chunkId: chunk.id,
+          documentId: document.id,
+          page: chunk.page,
+          headingPath: chunk.headingPath,
+          startOffset: chunk.startOffset,
+          endOffset: chunk.endOffset,
+          source: document.source,
+          type: document.type,
+          collection,
+          timestamp: document.createdAt,
+          userId
+        });
+      });
+    }
+    return chunks;
+  }
+
+  async countChunks(userId, collection) {
+    await this.ready;
+
+    let count = 0;
+    for (const document of this.documents.values()) {
+      if ((userId === undefined || document.userId === userId) &&
+          (collection === undefined || this.collectionOf(document) === collection)) {
+        count += document.chunks.length;
+      }
+    }
+    return count;
+  }
+
+  getAllChunkTexts() {
+    const texts = [];
+    for (const document of this.documents.values()) {
+      document.chunks.forEach(chunk => texts.push(chunk.text));
+    }
+    return texts;
+  }
+}
+
+module.exports = new DocumentStoreService();
@@ -1,7 +1,10 @@
 // Free embedding service using TF-IDF and simple text vectorization
-// No external API calls required
+// No external API calls required. With EMBEDDING_PROVIDER=local a real sentence-transformer
+// runs in-process instead (see localEmbeddingService).
 
 const crypto = require('crypto');
+const localEmbeddingService = require('./localEmbeddingService');
+const usageService = require('./usageService');
 
 class FreeEmbedding {
   constructor() {
@@ -138,6 +141,11 @@ const freeEmbedding = new FreeEmbedding();
 
 const getEmbeddings = async (text) => {
   try {
+    if (localEmbeddingService.isEnabled()) {
+      const embedding = await localEmbeddingService.embed(text);
+      usageService.recordEmbedding({ provider: 'local', model: localEmbeddingService.modelName, text });
+      return embedding;
+    }
     // For consistency with OpenAI API, we return the embedding directly
     return freeEmbedding.createEmbedding(text);
   } catch (err) {
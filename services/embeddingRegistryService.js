@@ -0,0 +1,182 @@
+// Embedding provider registry: which provider/model/dimension each vector collection was built with
+// Once a collection has vectors it is pinned to that profile; embeddings are never silently
+// taken from another provider, and vectors of a different dimension are refused.
+const OpenAI = require('openai');
+const { HfInference } = require('@huggingface/inference');
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const localEmbeddingService = require('./localEmbeddingService');
+const collectionService = require('./collectionService');
+const usageService = require('./usageService');
+
+const DEFAULT_COLLECTION = 'default';
+
+class EmbeddingRegistryService {
+  constructor() {
+    this.openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+    this.hf = process.env.HUGGINGFACE_API_KEY ? new HfInference(process.env.HUGGINGFACE_API_KEY) : null;
+
+    this.registryFile = path.join(__dirname, '../data/embedding_registry.json');
+    this.profiles = {}; // collection -> { provider, model, dimension, createdAt, updatedAt }
+    this.providers = new Map();
+
+    this.register('openai', {
+      defaultModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-large',
+      embed: async (text, model) => {
+        const response = await this.openai.embeddings.create({
+          model,
+          input: text,
+          encoding_format: 'float',
+          dimensions: model.includes('3-large') ? 3072 : 1536
+        });
+        return response.data[0].embedding;
+      }
+    });
+    this.register('huggingface', {
+      defaultModel: process.env.MULTILINGUAL_EMBED_MODEL || 'sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2',
+      embed: async (text, model) => {
+        if (!this.hf) throw new Error('HuggingFace API key not configured');
+        const resp = await this.hf.featureExtraction({ model, inputs: text });
+        // HF can return nested arrays; flatten if needed
+        const embedding = Array.isArray(resp[0]) ? resp[0] : resp;
+        return embedding.map(Number);
+      }
+    });
+    this.register('local', {
+      defaultModel: localEmbeddingService.modelName,
+      embed: (text, model) => localEmbeddingService.embed(text, model)
+    });
+
+    this.ready = this.loadProfiles();
+  }
+
+  register(name, provider) {
+    this.providers.set(name, { name, ...provider });
+  }
+
+  listProviders() {
+    return Array.from(this.providers.values()).map(({ name, defaultModel }) => ({ name, defaultModel }));
+  }
+
+  async loadProfiles() {
+    try {
+      if (await fs.pathExists(this.registryFile)) {
+        this.profiles = await fs.readJSON(this.registryFile);
+      }
+      const preferred = this.getPreferredProvider();
+      for (const [collection, profile] of Object.entries(this.profiles)) {
+        if (preferred && profile.provider !== preferred) {
+          logger.warn(`⚠️ Collection "${collection}" is embedded with ${profile.provider}/${profile.model}; EMBEDDING_PROVIDER=${preferred} is ignored until it is re-embedded (POST /api/vector/reembed)`);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to load embedding registry:', error);
+    }
+  }
+
+  async saveProfiles() {
+    try {
+      await fs.ensureDir(path.dirname(this.registryFile));
+      await fs.writeJSON(this.registryFile, this.profiles, { spaces: 2 });
+    } catch (error) {
+      logger.error('Failed to save embedding registry:', error);
+    }
+  }
+
+  getPreferredProvider() {
+    const preferred = (process.env.EMBEDDING_PROVIDER || '').toLowerCase();
+    return this.providers.has(preferred) ? preferred : null;
+  }
+
+  async getProfile(collection = DEFAULT_COLLECTION) {
+    await this.ready;
+    return this.profiles[collection] || null;
+  }
+
+  async listProfiles() {
+    await this.ready;
+    return { ...this.profiles };
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown embedding provider "${name}". Available: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+    return provider;
+  }
+
+  async embedWith(providerName, text, model) {
+    const provider = this.getProvider(providerName);
+    const modelName = model || provider.defaultModel;
+    const embedding = await provider.embed(text, modelName);
+    usageService.recordEmbedding({ provider: providerName, model: modelName, text });
+    return { embedding, provider: providerName, model: modelName, dimension: embedding.length };
+  }
+
+  // Embed for a collection: its pinned profile if it has one, then the collection's configured
+  // embedding, otherwise the provider chain
+  async embed(text, collection = DEFAULT_COLLECTION) {
+    const profile = await this.getProfile(collection);
+    if (profile) {
+      const result = await this.embedWith(profile.provider, text, profile.model);
+      this.assertDimension(collection, profile, result.dimension);
+      return result;
+    }
+
+    const settings = (await collectionService.getCollection(collection))?.embedding;
+    if (settings) return this.embedWith(settings.provider, text, settings.model);
+
+    const preferred = this.getPreferredProvider();
+    if (preferred) return this.embedWith(preferred, text);
+
+    try {
+      return await this.embedWith('openai', text);
+    } catch (err) {
+      if (!this.hf) throw err;
+      return this.embedWith('huggingface', text);
+    }
+  }
+
+  assertDimension(collection, profile, dimension) {
+    if (dimension !== profile.dimension) {
+      throw new Error(`Embedding dimension mismatch for collection "${collection}": expected ${profile.dimension} (${profile.provider}/${profile.model}), got ${dimension}`);
+    }
+  }
+
+  // Called before vectors are written; pins the profile on first write and refuses anything that doesn't match
+  async ensureProfile(collection, { provider, model, dimension }) {
+    const profile = await this.getProfile(collection);
+    if (profile) {
+      this.assertDimension(collection, profile, dimension);
+      return profile;
+    }
+    return this.setProfile(collection, { provider, model, dimension });
+  }
+
+  async setProfile(collection, { provider, model, dimension }) {
+    await this.ready;
+    const now = new Date().toISOString();
+    this.profiles[collection] = {
+      provider,
+      model,
+      dimension,
+      createdAt: this.profiles[collection]?.createdAt || now,
+      updatedAt: now
+    };
+    await this.saveProfiles();
+    logger.info(`📐 Collection "${collection}" uses ${provider}/${model} (${dimension} dims)`);
+    return this.profiles[collection];
+  }
+
+  async removeProfile(collection) {
+    await this.ready;
+    delete this.profiles[collection];
+    await this.saveProfiles();
+  }
+}
+
+module.exports = new EmbeddingRegistryService();
@@ -0,0 +1,231 @@
+// FAISS approximate-nearest-neighbour index over the local vector store
+// faiss-node only assigns sequential labels, so labels map back to vector ids through `this.labels`.
+// Deletes are tombstoned (HNSW can't remove, Flat renumbers on removal) and the index is
+// compacted once tombstones pile up. Vectors are L2-normalised so inner product == cosine.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+
+const INDEX_TYPES = ['flat', 'ivf', 'hnsw'];
+const IVF_TRAINING_FACTOR = 39; // FAISS wants ~39 training points per IVF list
+const TRAINING_SAMPLE_FACTOR = 256; // ...and gains little beyond ~256
+const ADD_BATCH_SIZE = 1000;
+const COMPACT_RATIO = 0.2;
+
+// Loaded once for all collection indexes; null when the native module is unavailable
+let faissModule;
+function loadFaiss() {
+  if (faissModule === undefined) {
+    try {
+      faissModule = require('faiss-node');
+    } catch (error) {
+      faissModule = null;
+      logger.warn(`faiss-node unavailable, local search falls back to a linear scan: ${error.message}`);
+    }
+  }
+  return faissModule;
+}
+
+class FaissVectorStore {
+  constructor({ dir, name = 'default', type, nlist, hnswM } = {}) {
+    this.dir = dir;
+    this.name = name;
+    this.type = INDEX_TYPES.includes(type) ? type : 'flat';
+    this.nlist = nlist || 100;
+    this.hnswM = hnswM || 32;
+
+    this.faiss = loadFaiss();
+    this.index = null;
+    this.builtType = null; // IVF runs as flat until there is enough data to train it
+    this.dimension = null;
+    this.labels = []; // faiss label -> vector id (null once deleted)
+    this.labelOf = new Map(); // vector id -> faiss label
+    this.tombstones = 0;
+    this.dirty = false;
+  }
+
+  get indexFile() {
+    return path.join(this.dir, `${this.name}.faiss`);
+  }
+
+  get labelsFile() {
+    return path.join(this.dir, `${this.name}.labels.json`);
+  }
+
+  isAvailable() {
+    return Boolean(this.faiss);
+  }
+
+  isReady() {
+    return Boolean(this.index) && this.index.ntotal() > this.tombstones;
+  }
+
+  // Reuse the on-disk index when it still matches `vectors` (Map id -> { values }), otherwise rebuild
+  async load(vectors, dimension) {
+    if (!this.faiss) return;
+    try {
+      if (await fs.pathExists(this.indexFile) && await fs.pathExists(this.labelsFile)) {
+        const saved = await fs.readJSON(this.labelsFile);
+        const index = this.faiss.Index.read(this.indexFile);
+        const consistent = saved.type === this.type &&
+          index.getDimension() === dimension &&
+          index.ntotal() === saved.labels.length &&
+          saved.labels.every(id => id === null || vectors.has(id)) &&
+          Array.from(vectors.values()).filter(v => v.values.length === dimension).length ===
+            saved.labels.filter(id => id !== null).length;
+
+        if (consistent) {
+          this.index = index;
+          this.builtType = saved.builtType;
+          this.dimension = dimension;
+          this.labels = saved.labels;
+          this.labelOf = new Map(saved.labels.map((id, label) => [id, label]).filter(([id]) => id !== null));
+          this.tombstones = saved.labels.filter(id => id === null).length;
+          logger.info(`⚡ Loaded FAISS ${this.builtType} index "${this.name}" (${this.labelOf.size} vectors)`);
+          return;
+        }
+        logger.info(`FAISS index "${this.name}" is out of date, rebuilding`);
+      }
+    } catch (error) {
+      logger.warn(`Could not read FAISS index "${this.name}", rebuilding: ${error.message}`);
+    }
+    this.rebuild(vectors, dimension);
+  }
+
+  createIndex(dimension, count) {
+    const { Index, IndexFlatIP, MetricType } = this.faiss;
+    if (this.type === 'hnsw') {
+      return { index: Index.fromFactory(dimension, `HNSW${this.hnswM}`, MetricType.METRIC_INNER_PRODUCT), type: 'hnsw' };
+    }
+    if (this.type === 'ivf' && count >= this.nlist * IVF_TRAINING_FACTOR) {
+      return { index: Index.fromFactory(dimension, `IVF${this.nlist},Flat`, MetricType.METRIC_INNER_PRODUCT), type: 'ivf' };
+    }
+    return { index: new IndexFlatIP(dimension), type: 'flat' };
+  }
+
+  rebuild(vectors, dimension) {
+    if (!this.faiss) return;
+    const entries = Array.from(vectors.entries()).filter(([, vector]) => vector.values.length === dimension);
+
+    this.dimension = dimension;
+    this.labels = [];
+    this.labelOf = new Map();
+    this.tombstones = 0;
+    this.index = null;
+    this.builtType = null;
+    this.dirty = true;
+    if (!dimension || entries.length === 0) return;
+
+    const { index, type } = this.createIndex(dimension, entries.length);
+    const toFlat = batch => batch.flatMap(([, vector]) => this.normalize(vector.values));
+
+    if (!index.isTrained()) {
+      index.train(toFlat(entries.slice(0, this.nlist * TRAINING_SAMPLE_FACTOR)));
+    }
+    // Added in batches to keep the flattened float arrays small
+    for (let start = 0; start < entries.length; start += ADD_BATCH_SIZE) {
+      const batch = entries.slice(start, start + ADD_BATCH_SIZE);
+      batch.forEach(([id]) => {
+        this.labelOf.set(id, this.labels.length);
+        this.labels.push(id);
+      });
+      index.add(toFlat(batch));
+    }
+    this.index = index;
+    this.builtType = type;
+    logger.info(`⚡ Built FAISS ${type} index "${this.name}" with ${entries.length} vectors (${dimension} dims)`);
+  }
+
+  // Incremental add; falls back to a rebuild for the first vector and when IVF has enough data to train
+  add(id, values, vectors) {
+    if (!this.faiss) return;
+    if (!this.index || this.dimension !== values.length) {
+      if (this.dimension && this.dimension !== values.length) return; // other embedding space, never indexed
+      this.rebuild(vectors, values.length);
+      return;
+    }
+    if (this.type === 'ivf' && this.builtType === 'flat' && this.labelOf.size + 1 >= this.nlist * IVF_TRAINING_FACTOR) {
+      this.rebuild(vectors, this.dimension);
+      return;
+    }
+
+    if (this.labelOf.has(id)) {
+      this.remove(id, vectors);
+      if (this.labelOf.has(id)) return; // compaction already rebuilt with the new values
+    }
+    this.labelOf.set(id, this.labels.length);
+    this.labels.push(id);
+    this.index.add(this.normalize(values));
+    this.dirty = true;
+  }
+
+  remove(id, vectors) {
+    if (!this.index || !this.labelOf.has(id)) return;
+    this.labels[this.labelOf.get(id)] = null;
+    this.labelOf.delete(id);
+    this.tombstones++;
+    this.dirty = true;
+
+    if (this.tombstones > this.labels.length * COMPACT_RATIO) {
+      this.rebuild(vectors, this.dimension);
+    }
+  }
+
+  // Returns [{ id, score }]; `accept(id)` applies metadata filters. The search widens until
+  // enough live, accepted hits are found or the whole index has been returned.
+  search(queryEmbedding, topK, accept = () => true) {
+    if (!this.isReady() || queryEmbedding.length !== this.dimension) return [];
+
+    const query = this.normalize(queryEmbedding);
+    const ntotal = this.index.ntotal();
+    let k = Math.min(ntotal, (topK + this.tombstones) * 2);
+
+    while (true) {
+      const { labels, distances } = this.index.search(query, k);
+      const results = [];
+      for (let i = 0; i < labels.length && results.length < topK; i++) {
+        const id = labels[i] >= 0 ? this.labels[labels[i]] : null;
+        if (id !== null && id !== undefined && accept(id)) {
+          results.push({ id, score: distances[i] });
+        }
+      }
+      if (results.length >= topK || k >= ntotal) return results;
+      k = Math.min(ntotal, k * 4);
+    }
+  }
+
+  normalize(values) {
+    const magnitude = Math.sqrt(values.reduce((sum, val) => sum + val * val, 0)) || 1;
+    return values.map(val => val / magnitude);
+  }
+
+  async save() {
+    if (!this.faiss || !this.dirty) return;
+    try {
+      await fs.ensureDir(this.dir);
+      if (this.index) {
+        this.index.write(this.indexFile);
+        await fs.writeJSON(this.labelsFile, { type: this.type, builtType: this.builtType, labels: this.labels });
+      } else {
+        await fs.remove(this.indexFile);
+        await fs.remove(this.labelsFile);
+      }
+      this.dirty = false;
+    } catch (error) {
+      logger.error(`Failed to save FAISS index "${this.name}":`, error);
+    }
+  }
+
+  getStats() {
+    return {
+      backend: this.index ? 'faiss' : 'linear',
+      type: this.type,
+      builtType: this.builtType,
+      vectors: this.labelOf.size,
+      tombstones: this.tombstones,
+      dimension: this.dimension
+    };
+  }
+}
+
+module.exports = FaissVectorStore;
@@ -1,41 +1,7 @@
-// Free AI Service with multiple high-level models
-const { HfInference } = require('@huggingface/inference');
-const axios = require('axios');
+// Free AI Service: answers from the LLM provider chain, with local text analysis as the last resort
+const llmProviderService = require('./llmProviderService');
 
 class FreeAIService {
-  constructor() {
-    // Initialize Hugging Face (free tier available)
-    this.hf = new HfInference(); // No API key needed for some models
-    
-    this.models = {
-      // Free Hugging Face models (no API key required for some)
-      huggingface: [
-        'microsoft/DialoGPT-large',
-        'facebook/blenderbot-400M-distill',
-        'microsoft/DialoGPT-medium',
-        'facebook/blenderbot_small-90M'
-      ],
-      
-      // Ollama local models (if available)
-      ollama: [
-        'llama2',
-        'codellama',
-        'mistral',
-        'phi'
-      ],
-      
-      // Other free APIs
-      groq: 'llama3-8b-8192', // Free tier available
-      together: 'meta-llama/Llama-2-7b-chat-hf'
-    };
-
-    this.endpoints = {
-      groq: 'https://api.groq.com/openai/v1/chat/completions',
-      together: 'https://api.together.xyz/v1/chat/completions',
-      ollama: 'http://localhost:11434/api/generate'
-    };
-  }
-
   // Enhanced fallback response with better analysis
   generateAdvancedFallback(context, question) {
     try {
@@ -263,146 +229,70 @@ class FreeAIService {
     return stopWords.has(word.toLowerCase());
   }
 
-  // Try Groq API (free tier available)
-  async tryGroq(context, question) {
-    try {
-      const response = await axios.post(this.endpoints.groq, {
-        messages: [
-          {
-            role: "system",
-            content: "You are a helpful assistant that answers questions based on provided context. Be concise and accurate."
-          },
-          {
-            role: "user", 
-            content: `Context: ${context}\n\nQuestion: ${question}\n\nAnswer based only on the provided context:`
-          }
-        ],
-        model: this.models.groq,
-        temperature: 0.3,
-        max_tokens: 500
-      }, {
-        headers: {
-          'Authorization': `Bearer ${process.env.GROQ_API_KEY || ''}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      });
-
-      if (response.data?.choices?.[0]?.message?.content) {
-        return {
-          success: true,
-          answer: response.data.choices[0].message.content,
-          model: 'Groq Llama3'
-        };
+  // `history` holds earlier turns of the conversation as { role, content } messages
+  buildMessages(context, question, history = []) {
+    return [
+      {
+        role: "system",
+        content: "You are a helpful assistant that answers questions based on provided context. Be concise and accurate."
+      },
+      ...history,
+      {
+        role: "user", 
+        content: `Context: ${context}\n\nQuestion: ${question}\n\nAnswer based only on the provided context, citing numbered sources inline like [1]:`
       }
-    } catch (error) {
-      console.log('Groq API not available:', error.message);
-    }
-    return { success: false };
+    ];
   }
 
-  // Try Ollama (local models)
-  async tryOllama(context, question) {
-    try {
-      const prompt = `Context: ${context}\n\nQuestion: ${question}\n\nBased on the context above, provide a helpful and accurate answer:`;
-      
-      for (const model of this.models.ollama) {
-        try {
-          const response = await axios.post(this.endpoints.ollama, {
-            model: model,
-            prompt: prompt,
-            stream: false,
-            options: {
-              temperature: 0.3,
-              num_predict: 500
-            }
-          }, {
-            timeout: 15000
-          });
-
-          if (response.data?.response) {
-            return {
-              success: true,
-              answer: response.data.response,
-              model: `Ollama ${model}`
-            };
-          }
-        } catch (modelError) {
-          console.log(`Ollama model ${model} not available:`, modelError.message);
-          continue;
-        }
-      }
-    } catch (error) {
-      console.log('Ollama not available:', error.message);
-    }
-    return { success: false };
+  // Used when no LLM provider could answer; shaped like an llmProviderService result
+  generateLocalResponse(context, question) {
+    console.log('🔄 Using enhanced local analysis...');
+    const startTime = Date.now();
+    const answer = this.generateAdvancedFallback(context, question);
+    return {
+      answer,
+      provider: 'local',
+      model: 'Enhanced Local Analysis',
+      usage: null,
+      latencyMs: Date.now() - startTime,
+      finishReason: 'stop'
+    };
   }
 
-  // Try Hugging Face models
-  async tryHuggingFace(context, question) {
+  // Streaming counterpart of generateResponse; resolves to the same result shape.
+  // Local analysis only steps in if no provider produced a token.
+  async streamResponse(context, question, onToken = () => {}, { history = [] } = {}) {
+    console.log('🤖 Streaming from AI providers...');
+    let emitted = false;
+
     try {
-      // Try conversation models
-      for (const model of this.models.huggingface) {
-        try {
-          const prompt = `Context: ${context.slice(0, 1500)}\nQuestion: ${question}\nAnswer:`;
-          
-          const response = await this.hf.textGeneration({
-            model: model,
-            inputs: prompt,
-            parameters: {
-              max_length: 200,
-              temperature: 0.3,
-              do_sample: true,
-              return_full_text: false
-            }
-          });
-
-          if (response?.generated_text) {
-            return {
-              success: true,
-              answer: response.generated_text.trim(),
-              model: `HuggingFace ${model.split('/')[1]}`
-            };
-          }
-        } catch (modelError) {
-          console.log(`HF model ${model} failed:`, modelError.message);
-          continue;
-        }
-      }
+      return await llmProviderService.stream(this.buildMessages(context, question, history), { maxTokens: 500 }, token => {
+        emitted = true;
+        onToken(token);
+      });
     } catch (error) {
-      console.log('HuggingFace API not available:', error.message);
+      if (emitted) throw error;
+      console.log('AI providers unavailable:', error.message);
     }
-    return { success: false };
+
+    const result = this.generateLocalResponse(context, question);
+    onToken(result.answer);
+    return result;
   }
 
-  // Main method to get AI response with multiple fallbacks
-  async generateResponse(context, question) {
-    console.log('🤖 Trying free AI models for enhanced response...');
+  // Main method to get AI response with multiple fallbacks.
+  // Resolves to { answer, provider, model, usage, latencyMs, finishReason }.
+  async generateResponse(context, question, { history = [] } = {}) {
+    console.log('🤖 Trying AI providers for enhanced response...');
 
-    // Try different AI services in order of preference
-    const attempts = [
-      () => this.tryGroq(context, question),
-      () => this.tryOllama(context, question),
-      () => this.tryHuggingFace(context, question)
-    ];
-
-    for (const attempt of attempts) {
-      try {
-        const result = await attempt();
-        if (result.success) {
-          console.log(`✅ Success with ${result.model}`);
-          return `**[Generated by ${result.model}]**\n\n${result.answer}`;
-        }
-      } catch (error) {
-        console.log('AI service attempt failed:', error.message);
-        continue;
-      }
+    try {
+      return await llmProviderService.chat(this.buildMessages(context, question, history), { maxTokens: 500 });
+    } catch (error) {
+      console.log('AI providers unavailable:', error.message);
     }
 
     // If all AI services fail, use enhanced fallback
-    console.log('🔄 Using enhanced local analysis...');
-    const fallbackResponse = this.generateAdvancedFallback(context, question);
-    return `**[Generated by Enhanced Local Analysis]**\n\n${fallbackResponse}`;
+    return this.generateLocalResponse(context, question);
   }
 }
 
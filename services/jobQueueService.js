@@ -0,0 +1,280 @@
+// Persistent background job queue
+// Jobs are kept in the "jobs" state document (data/jobs.json, or the app_state table with
+// STORAGE_BACKEND=sqlite), so queued work survives a restart; jobs that were running when the
+// process stopped are queued again and their handler picks up where it left off. Handlers are
+// registered per job type and JOB_CONCURRENCY jobs (default 2) run at a time. Every change is
+// emitted as a 'job' event (job, change: queued, started, progress or finished) so the server can
+// push it to the owner's Socket.IO room.
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./loggerService');
+const usageService = require('./usageService');
+const { createStateStorage } = require('./stateStorage');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const SAVE_DELAY_MS = 1000;
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+class JobQueueService extends EventEmitter {
+  constructor({ storage = createStateStorage() } = {}) {
+    super();
+    this.storage = storage;
+    this.jobs = new Map(); // id -> { id, type, userId, workspaceId, status, data, progress, result, error, ... }
+    this.handlers = new Map(); // type -> { run(job, context), cleanup(job), describe(job) }
+    this.runs = new Map(); // id -> promise of a running job
+    this.concurrency = Math.max(1, Number(process.env.JOB_CONCURRENCY) || 2);
+    this.maxAttempts = Math.max(1, Number(process.env.JOB_MAX_ATTEMPTS) || 3);
+    this.retryDelayMs = Number(process.env.JOB_RETRY_DELAY_MS ?? 1000);
+    this.retentionMs = Number(process.env.JOB_RETENTION_DAYS || 7) * 24 * 60 * 60 * 1000;
+    this.saveTimer = null;
+    this.ready = this.loadJobs();
+  }
+
+  async loadJobs() {
+    try {
+      const data = await this.storage.get('jobs');
+      for (const job of data?.jobs || []) {
+        if (job.status === 'running') job.status = 'queued';
+        this.jobs.set(job.id, job);
+      }
+      this.pruneFinished();
+    } catch (error) {
+      logger.error('Failed to load jobs:', error);
+    }
+  }
+
+  // Progress arrives per chunk, so writes are coalesced; status changes are saved right away
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveJobs();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async saveJobs() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.storage.set('jobs', { jobs: Array.from(this.jobs.values()) });
+  }
+
+  async flush() {
+    if (this.saveTimer) await this.saveJobs();
+    await this.storage.flush();
+  }
+
+  // Finished jobs are kept for JOB_RETENTION_DAYS (default 7)
+  pruneFinished() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) this.jobs.delete(id);
+    }
+  }
+
+  // === HANDLERS ===
+
+  // run(job, { progress, checkCancelled, retry, checkpoint }) resolves the job's result and may record
+  // its own state in job.data to resume after a restart (checkpoint() saves it right away rather than
+  // with the next progress write); cleanup(job) runs once the job is finished and describe(job) picks
+  // what clients may see of job.data
+  registerHandler(type, { run, cleanup = async () => {}, describe = () => ({}) }) {
+    this.handlers.set(type, { run, cleanup, describe });
+    this.ready.then(() => this.drain());
+  }
+
+  // === JOBS ===
+
+  async enqueue(type, { userId, workspaceId = null, data = {} }) {
+    await this.ready;
+    if (!this.handlers.has(type)) throw new Error(`Unknown job type "${type}"`);
+    this.pruneFinished();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      userId,
+      workspaceId,
+      status: 'queued',
+      data,
+      progress: {},
+      result: null,
+      error: null,
+      cancelRequested: false,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    this.jobs.set(job.id, job);
+    await this.saveJobs();
+    this.notify(job, 'queued');
+    this.drain();
+    return job;
+  }
+
+  async getJob(id) {
+    await this.ready;
+    return this.jobs.get(id) || null;
+  }
+
+  // Newest first; `status` filters to one status
+  async listJobs({ userId, workspaceId, status } = {}) {
+    await this.ready;
+    return Array.from(this.jobs.values())
+      .filter(job => (!userId || job.userId === userId) && (!workspaceId || job.workspaceId === workspaceId) && (!status || job.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Queued jobs are cancelled at once; running jobs stop at their handler's next checkpoint, which
+  // `wait` waits for
+  async cancelJob(id, { wait = false } = {}) {
+    await this.ready;
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED.includes(job.status)) throw new Error(`Job is already ${job.status}`);
+
+    if (job.status === 'queued') {
+      await this.finish(job, 'cancelled');
+    } else {
+      job.cancelRequested = true;
+      this.update(job);
+      if (wait) await this.runs.get(id);
+    }
+    return job;
+  }
+
+  // Cancels every unfinished job matching the filter (e.g. of a workspace being deleted) and waits
+  // until none of them is running
+  async cancelJobs({ userId, workspaceId } = {}) {
+    const jobs = await this.listJobs({ userId, workspaceId });
+    await Promise.all(jobs.filter(job => !FINISHED.includes(job.status)).map(job => this.cancelJob(job.id, { wait: true })));
+  }
+
+  // Forgets every finished job matching the filter, e.g. of a deleted workspace
+  async deleteJobs({ userId, workspaceId } = {}) {
+    const jobs = (await this.listJobs({ userId, workspaceId })).filter(job => FINISHED.includes(job.status));
+    jobs.forEach(job => this.jobs.delete(job.id));
+    if (jobs.length) await this.saveJobs();
+    return jobs.length;
+  }
+
+  // Removes a finished job from the history
+  async deleteJob(id) {
+    await this.ready;
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (!FINISHED.includes(job.status)) throw new Error('Cancel the job before deleting it');
+
+    this.jobs.delete(id);
+    await this.saveJobs();
+    return job;
+  }
+
+  // === WORKERS ===
+
+  // Starts queued jobs, oldest first, until JOB_CONCURRENCY are running
+  drain() {
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && this.handlers.has(job.type))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of queued) {
+      if (this.runs.size >= this.concurrency) break;
+      const run = this.runJob(job).finally(() => {
+        this.runs.delete(job.id);
+        this.drain();
+      });
+      this.runs.set(job.id, run);
+    }
+  }
+
+  async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    job.error = null;
+    await this.saveJobs();
+    this.notify(job, 'started');
+
+    const context = {
+      // Merges into job.progress and pushes the update
+      progress: (changes = {}) => {
+        Object.assign(job.progress, changes);
+        this.update(job);
+      },
+      checkCancelled: () => {
+        if (job.cancelRequested) throw new JobCancelledError();
+      },
+      retry: fn => this.retry(job, fn),
+      checkpoint: () => this.saveJobs()
+    };
+
+    try {
+      const result = await usageService.runWithContext(
+        { userId: job.userId, workspaceId: job.workspaceId, route: `job ${job.type}` },
+        () => handler.run(job, context)
+      );
+      await this.finish(job, 'completed', { result });
+    } catch (error) {
+      if (error instanceof JobCancelledError) {
+        await this.finish(job, 'cancelled');
+      } else {
+        logger.error(`Job ${job.id} (${job.type}) failed:`, error);
+        await this.finish(job, 'failed', { error: error.message });
+      }
+    }
+  }
+
+  // Runs fn up to JOB_MAX_ATTEMPTS times, waiting JOB_RETRY_DELAY_MS and then twice as long each time
+  async retry(job, fn) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (error instanceof JobCancelledError || attempt >= this.maxAttempts) throw error;
+        logger.warn(`Job ${job.id} attempt ${attempt} failed, retrying: ${error.message}`);
+        await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+        if (job.cancelRequested) throw new JobCancelledError();
+      }
+    }
+  }
+
+  async finish(job, status, { result = null, error = null } = {}) {
+    Object.assign(job, { status, result, error, cancelRequested: false, finishedAt: new Date().toISOString() });
+    try {
+      await this.handlers.get(job.type)?.cleanup(job);
+    } catch (cleanupError) {
+      logger.warn(`Cleanup of job ${job.id} failed:`, cleanupError.message);
+    }
+    await this.saveJobs();
+    this.notify(job, 'finished');
+  }
+
+  // What the API and socket events show of a job
+  describeJob(job) {
+    const { data, ...fields } = job;
+    return { ...fields, ...this.handlers.get(job.type)?.describe(job) };
+  }
+
+  update(job) {
+    job.updatedAt = new Date().toISOString();
+    this.scheduleSave();
+    this.notify(job, 'progress');
+  }
+
+  notify(job, change) {
+    this.emit('job', this.describeJob(job), change);
+  }
+}
+
+module.exports = new JobQueueService();
+module.exports.JobCancelledError = JobCancelledError;
+module.exports.JobQueueService = JobQueueService;
@@ -0,0 +1,492 @@
+// LLM provider registry: one chat interface over OpenAI, Groq, Ollama and Hugging Face
+// Every call resolves to { answer, provider, model, usage, latencyMs, finishReason }, where usage is
+// { promptTokens, completionTokens, totalTokens } or null. Providers are tried in LLM_PROVIDERS order. Each call gets a per-provider timeout and
+// retries with exponential backoff on transient errors; a provider that keeps failing is
+// circuit-broken (skipped) for a cooldown, then let through for a single trial call.
+const OpenAI = require('openai');
+const { HfInference } = require('@huggingface/inference');
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const logger = require('./loggerService');
+const usageService = require('./usageService');
+
+const DEFAULT_ORDER = ['openai', 'groq', 'ollama', 'huggingface'];
+// Providers left to a user who has spent their monthly budget (USAGE_MONTHLY_BUDGET)
+const BUDGET_PROVIDERS = (process.env.USAGE_BUDGET_PROVIDERS || 'ollama,huggingface').split(',').map(name => name.trim());
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 1);
+const RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 500);
+const CIRCUIT_THRESHOLD = Number(process.env.LLM_CIRCUIT_THRESHOLD || 3);
+const CIRCUIT_COOLDOWN_MS = Number(process.env.LLM_CIRCUIT_COOLDOWN_MS || 60000);
+// Longest gap between two streamed tokens before the stream counts as stalled and is aborted
+const STREAM_IDLE_TIMEOUT_MS = Number(process.env.LLM_STREAM_IDLE_TIMEOUT_MS || 30000);
+
+class LLMProviderService {
+  constructor() {
+    this.openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+    this.hf = new HfInference(process.env.HUGGINGFACE_API_KEY); // some models work without a key
+
+    this.providers = new Map();
+    this.circuits = new Map(); // name -> { failures, openedAt, lastError }
+
+    this.register('openai', {
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-2024-08-06',
+      timeoutMs: 30000,
+      isConfigured: () => Boolean(process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.length > 20),
+      chat: (messages, options) => this.openaiChat(messages, options),
+      stream: (messages, options, onToken) => this.openaiStream(messages, options, onToken)
+    });
+    this.register('groq', {
+      defaultModel: process.env.GROQ_MODEL || 'llama3-8b-8192',
+      timeoutMs: 10000,
+      isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+      chat: (messages, options) => this.groqChat(messages, options),
+      stream: (messages, options, onToken) => this.groqStream(messages, options, onToken)
+    });
+    this.register('ollama', {
+      defaultModel: process.env.OLLAMA_MODEL || 'llama2',
+      timeoutMs: 15000,
+      isConfigured: () => true,
+      chat: (messages, options) => this.ollamaChat(messages, options),
+      stream: (messages, options, onToken) => this.ollamaStream(messages, options, onToken)
+    });
+    this.register('huggingface', {
+      defaultModel: process.env.HF_CHAT_MODEL || 'microsoft/DialoGPT-large',
+      timeoutMs: 20000,
+      isConfigured: () => true,
+      chat: (messages, options) => this.huggingFaceChat(messages, options)
+    });
+  }
+
+  // provider: { defaultModel, timeoutMs, isConfigured(), chat(messages, options), stream?(messages, options, onToken) }
+  // chat/stream resolve to { answer, model, usage, finishReason }; options carry { model, temperature, maxTokens, signal }
+  register(name, provider) {
+    const envTimeout = Number(process.env[`LLM_${name.toUpperCase()}_TIMEOUT_MS`]);
+    this.providers.set(name, { name, ...provider, timeoutMs: envTimeout || provider.timeoutMs });
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${name}". Available: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+    return provider;
+  }
+
+  // LLM_PROVIDERS=groq,openai reorders or narrows the chain; unknown names are ignored
+  getOrder() {
+    const configured = (process.env.LLM_PROVIDERS || '')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => this.providers.has(name));
+    return configured.length ? configured : DEFAULT_ORDER.filter(name => this.providers.has(name));
+  }
+
+  // Providers to try for a call: options.providers narrows the chain (e.g. vision needs openai),
+  // and users over their monthly budget are degraded to the cheap providers
+  resolveChain(options = {}) {
+    let names = options.providers
+      ? options.providers.map(name => this.getProvider(name).name)
+      : this.getOrder();
+    if (usageService.isOverBudget()) {
+      logger.info(`Monthly budget exceeded for user ${usageService.getContext().userId}; using ${BUDGET_PROVIDERS.join(', ')}`);
+      names = names.filter(name => BUDGET_PROVIDERS.includes(name));
+    }
+    return names.map(name => this.providers.get(name)).filter(provider => provider.isConfigured());
+  }
+
+  listProviders() {
+    const order = this.getOrder();
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      defaultModel: provider.defaultModel,
+      configured: provider.isConfigured(),
+      enabled: order.includes(provider.name),
+      streaming: Boolean(provider.stream),
+      timeoutMs: provider.timeoutMs,
+      circuit: this.getCircuitState(provider.name)
+    }));
+  }
+
+  // === CHAT ===
+
+  // messages: [{ role, content }]; options: { providers, models: { openai: 'gpt-4' }, temperature, maxTokens }
+  // Throws once every provider has failed.
+  async chat(messages, options = {}) {
+    const errors = [];
+
+    for (const provider of this.resolveChain(options)) {
+      if (!this.allowRequest(provider.name)) continue;
+      const startTime = Date.now();
+      try {
+        const result = await this.callWithRetries(provider, signal =>
+          provider.chat(messages, this.providerOptions(provider, options, signal))
+        );
+        if (!result.answer) throw new Error('Empty response');
+        this.recordSuccess(provider.name);
+        return this.finish(provider, result, startTime, messages);
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        errors.push(`${provider.name}: ${error.message}`);
+        logger.warn(`LLM provider ${provider.name} failed: ${error.message}`);
+      }
+    }
+    throw this.exhaustedError(errors);
+  }
+
+  // Streaming chat: onToken(token) per fragment. Providers without streaming send their whole
+  // answer as one token. A provider that fails before its first token is retried or skipped;
+  // one that fails mid-answer throws, because another model can't continue it.
+  async stream(messages, options = {}, onToken = () => {}) {
+    const errors = [];
+
+    for (const provider of this.resolveChain(options)) {
+      if (!this.allowRequest(provider.name)) continue;
+      const startTime = Date.now();
+      let lastTokenAt = null;
+      const emitted = () => lastTokenAt !== null;
+      const emit = token => {
+        lastTokenAt = Date.now();
+        onToken(token);
+      };
+      try {
+        const result = await this.callWithRetries(provider, signal => {
+          const providerOptions = this.providerOptions(provider, options, signal);
+          if (provider.stream) return provider.stream(messages, providerOptions, emit);
+          return provider.chat(messages, providerOptions).then(result => {
+            if (result.answer) emit(result.answer);
+            return result;
+          });
+        }, () => lastTokenAt);
+        if (!result.answer) throw new Error('Empty response');
+        this.recordSuccess(provider.name);
+        return this.finish(provider, result, startTime, messages);
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        if (emitted()) throw error;
+        errors.push(`${provider.name}: ${error.message}`);
+        logger.warn(`LLM provider ${provider.name} failed: ${error.message}`);
+      }
+    }
+    throw this.exhaustedError(errors);
+  }
+
+  providerOptions(provider, options, signal) {
+    return {
+      model: options.models?.[provider.name] || provider.defaultModel,
+      temperature: options.temperature ?? 0.3,
+      maxTokens: options.maxTokens || 1000,
+      signal
+    };
+  }
+
+  // Final result shape; every successful call is also booked with usageService
+  finish(provider, { answer, model, usage = null, finishReason = null }, startTime, messages) {
+    const result = {
+      answer,
+      provider: provider.name,
+      model,
+      usage,
+      latencyMs: Date.now() - startTime,
+      finishReason
+    };
+    usageService.recordChat(result, messages);
+    return result;
+  }
+
+  // OpenAI-style usage ({ prompt_tokens, completion_tokens, total_tokens }) in this service's shape
+  toUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens ?? 0,
+      completionTokens: usage.completion_tokens ?? 0,
+      totalTokens: usage.total_tokens ?? (usage.prompt_tokens ?? 0) + (usage.completion_tokens ?? 0)
+    };
+  }
+
+  exhaustedError(errors) {
+    return new Error(errors.length
+      ? `All LLM providers failed (${errors.join('; ')})`
+      : 'No LLM provider available');
+  }
+
+  // === TIMEOUTS & RETRIES ===
+
+  // Runs fn(signal) under the provider's timeout, retrying transient failures with backoff.
+  // For streams `lastTokenAt()` is when the latest token arrived (null before the first): the provider's
+  // timeout covers the wait for the first token, STREAM_IDLE_TIMEOUT_MS each gap after it, and retries
+  // stop once tokens flowed.
+  async callWithRetries(provider, fn, lastTokenAt = () => null) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.withTimeout(provider, fn, lastTokenAt);
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || lastTokenAt() !== null || !this.isRetryable(error)) throw error;
+        const delay = RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+        logger.info(`Retrying ${provider.name} in ${delay}ms (${error.message})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  withTimeout(provider, fn, lastTokenAt = () => null) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      const fail = message => {
+        controller.abort();
+        const error = new Error(message);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      };
+      const check = () => {
+        const last = lastTokenAt();
+        if (last === null) return fail(`${provider.name} timed out after ${provider.timeoutMs}ms`);
+        const idleMs = Date.now() - last;
+        if (idleMs >= STREAM_IDLE_TIMEOUT_MS) return fail(`${provider.name} stream stalled: no tokens for ${STREAM_IDLE_TIMEOUT_MS}ms`);
+        timer = setTimeout(check, STREAM_IDLE_TIMEOUT_MS - idleMs);
+      };
+      timer = setTimeout(check, provider.timeoutMs);
+    });
+    return Promise.race([fn(controller.signal), timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Timeouts, dropped connections, rate limits and 5xx are worth another try; bad requests and auth errors are not
+  isRetryable(error) {
+    const status = error.status || error.response?.status;
+    if (status) return status === 408 || status === 429 || status >= 500;
+    return ['ETIMEDOUT', 'ECONNRESET', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code) ||
+      error.name === 'APIConnectionTimeoutError';
+  }
+
+  // === CIRCUIT BREAKER ===
+
+  getCircuitState(name) {
+    const circuit = this.circuits.get(name);
+    if (!circuit || circuit.failures < CIRCUIT_THRESHOLD) return 'closed';
+    return Date.now() - circuit.openedAt >= CIRCUIT_COOLDOWN_MS ? 'half-open' : 'open';
+  }
+
+  // Open circuits are skipped; once the cooldown passes one trial call goes through
+  allowRequest(name) {
+    const state = this.getCircuitState(name);
+    if (state === 'open') return false;
+    if (state === 'half-open') {
+      this.circuits.get(name).openedAt = Date.now(); // re-armed until the trial call reports back
+    }
+    return true;
+  }
+
+  recordSuccess(name) {
+    this.circuits.delete(name);
+  }
+
+  recordFailure(name, error) {
+    const circuit = this.circuits.get(name) || { failures: 0, openedAt: null, lastError: null };
+    circuit.failures++;
+    circuit.lastError = error.message;
+    if (circuit.failures >= CIRCUIT_THRESHOLD) {
+      if (circuit.failures === CIRCUIT_THRESHOLD) {
+        logger.warn(`⚡ Circuit open for LLM provider ${name} after ${circuit.failures} failures; skipping it for ${CIRCUIT_COOLDOWN_MS}ms`);
+      }
+      circuit.openedAt = Date.now();
+    }
+    this.circuits.set(name, circuit);
+  }
+
+  // === PROVIDERS ===
+
+  async openaiChat(messages, { model, temperature, maxTokens, signal }) {
+    const completion = await this.openai.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    }, { signal, maxRetries: 0 });
+    const choice = completion.choices[0];
+    return {
+      answer: choice?.message?.content || '',
+      model: completion.model || model,
+      usage: this.toUsage(completion.usage),
+      finishReason: choice?.finish_reason || null
+    };
+  }
+
+  async openaiStream(messages, { model, temperature, maxTokens, signal }, onToken) {
+    const stream = await this.openai.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal, maxRetries: 0 });
+
+    let answer = '';
+    let usage = null;
+    let finishReason = null;
+    for await (const chunk of stream) {
+      const token = chunk.choices[0]?.delta?.content;
+      if (token) {
+        answer += token;
+        onToken(token);
+      }
+      finishReason = chunk.choices[0]?.finish_reason || finishReason;
+      usage = this.toUsage(chunk.usage) || usage; // sent in a final chunk without choices
+    }
+    return { answer, model, usage, finishReason };
+  }
+
+  groqRequest(messages, { model, temperature, maxTokens, signal }, stream = false) {
+    return axios.post('https://api.groq.com/openai/v1/chat/completions', {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream
+    }, {
+      headers: {
+        'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      responseType: stream ? 'stream' : 'json',
+      signal
+    });
+  }
+
+  async groqChat(messages, options) {
+    const response = await this.groqRequest(messages, options);
+    const choice = response.data?.choices?.[0];
+    return {
+      answer: choice?.message?.content || '',
+      model: response.data?.model || options.model,
+      usage: this.toUsage(response.data?.usage),
+      finishReason: choice?.finish_reason || null
+    };
+  }
+
+  // OpenAI-compatible SSE: `data: {choices: [{delta: {content}}]}` lines, ending with `data: [DONE]`
+  async groqStream(messages, options, onToken) {
+    const response = await this.groqRequest(messages, options, true);
+
+    let answer = '';
+    let usage = null;
+    let finishReason = null;
+    for await (const line of this.readLines(response.data)) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data);
+      const token = chunk.choices?.[0]?.delta?.content;
+      if (token) {
+        answer += token;
+        onToken(token);
+      }
+      finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+      usage = this.toUsage(chunk.x_groq?.usage || chunk.usage) || usage; // Groq reports usage on the last chunk
+    }
+    return { answer, model: options.model, usage, finishReason };
+  }
+
+  ollamaRequest(messages, { model, temperature, maxTokens, signal }, stream = false) {
+    const baseUrl = process.env.OLLAMA_HOST || 'http://localhost:11434';
+    return axios.post(`${baseUrl}/api/chat`, {
+      model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    }, {
+      responseType: stream ? 'stream' : 'json',
+      signal
+    });
+  }
+
+  async ollamaChat(messages, options) {
+    const response = await this.ollamaRequest(messages, options);
+    return {
+      answer: response.data?.message?.content || '',
+      model: options.model,
+      usage: this.ollamaUsage(response.data),
+      finishReason: response.data?.done_reason || null
+    };
+  }
+
+  // Ollama counts tokens as prompt_eval_count / eval_count on the final message
+  ollamaUsage(data) {
+    if (!data || data.eval_count === undefined) return null;
+    return this.toUsage({ prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count });
+  }
+
+  // NDJSON: one `{ message: { content }, done }` object per line
+  async ollamaStream(messages, options, onToken) {
+    const response = await this.ollamaRequest(messages, options, true);
+
+    let answer = '';
+    for await (const line of this.readLines(response.data)) {
+      const data = JSON.parse(line);
+      if (data.error) throw new Error(data.error);
+      const token = data.message?.content;
+      if (token) {
+        answer += token;
+        onToken(token);
+      }
+      if (data.done) {
+        return { answer, model: options.model, usage: this.ollamaUsage(data), finishReason: data.done_reason || 'stop' };
+      }
+    }
+    return { answer, model: options.model };
+  }
+
+  // Text-generation models take a flat prompt rather than chat messages
+  async huggingFaceChat(messages, { model, temperature, maxTokens, signal }) {
+    const prompt = messages
+      .map(message => `${message.role === 'assistant' ? 'Assistant' : message.role === 'system' ? 'Instructions' : 'User'}: ${this.textOf(message.content)}`)
+      .join('\n\n')
+      .slice(-4000);
+
+    const response = await this.hf.textGeneration({
+      model,
+      inputs: `${prompt}\n\nAssistant:`,
+      parameters: {
+        max_new_tokens: Math.min(maxTokens, 500),
+        temperature,
+        do_sample: true,
+        return_full_text: false
+      }
+    }, { signal });
+    return {
+      answer: response?.generated_text?.trim() || '',
+      model,
+      usage: null, // the inference API doesn't report token counts
+      finishReason: response?.details?.finish_reason || null
+    };
+  }
+
+  // Multimodal message content is an array of parts; only the text survives for text-only models
+  textOf(content) {
+    if (typeof content === 'string') return content;
+    return (content || []).filter(part => part.type === 'text').map(part => part.text).join('\n');
+  }
+
+  // Complete lines from a streamed HTTP body, decoded without splitting multi-byte characters
+  async *readLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of stream) {
+      buffer += decoder.write(chunk);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) yield line.trim();
+      }
+    }
+    buffer += decoder.end();
+    if (buffer.trim()) yield buffer.trim();
+  }
+}
+
+module.exports = new LLMProviderService();
@@ -0,0 +1,79 @@
+// In-process sentence embeddings (transformers.js / onnxruntime) for offline deployments
+// Selected with EMBEDDING_PROVIDER=local. Models are read from LOCAL_MODEL_PATH
+// (e.g. models/Xenova/all-MiniLM-L6-v2/...) and are only downloaded when ALLOW_REMOTE_MODELS=true.
+const path = require('path');
+const logger = require('./loggerService');
+
+class LocalEmbeddingService {
+  constructor() {
+    this.modelName = process.env.LOCAL_EMBEDDING_MODEL || 'Xenova/all-MiniLM-L6-v2';
+    this.modelPath = process.env.LOCAL_MODEL_PATH || path.join(__dirname, '../models');
+    this.allowRemoteModels = process.env.ALLOW_REMOTE_MODELS === 'true';
+    this.transformers = null;
+    this.extractors = new Map(); // model name -> Promise of its feature-extraction pipeline
+    this.dimensions = new Map(); // model name -> vector length, known after the first embedding
+  }
+
+  isEnabled() {
+    return (process.env.EMBEDDING_PROVIDER || '').toLowerCase() === 'local';
+  }
+
+  // Shared with the cross-encoder reranker so both read models from the same place
+  loadTransformers() {
+    if (!this.transformers) {
+      // Optional dependency; installs skipped with --omit=optional or failed on the platform leave it out
+      let transformers;
+      try {
+        transformers = require('@huggingface/transformers');
+      } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        throw new Error('@huggingface/transformers is not installed; run npm install @huggingface/transformers');
+      }
+      transformers.env.localModelPath = this.modelPath;
+      transformers.env.allowRemoteModels = this.allowRemoteModels;
+      this.transformers = transformers;
+    }
+    return this.transformers;
+  }
+
+  async getExtractor(modelName = this.modelName) {
+    if (!this.extractors.has(modelName)) {
+      const { pipeline } = this.loadTransformers();
+      logger.info(`🧠 Loading local embedding model ${modelName} from ${this.modelPath}`);
+      const extractor = pipeline('feature-extraction', modelName);
+      this.extractors.set(modelName, extractor);
+      // Let the next call retry instead of caching a failed load
+      extractor.catch(error => {
+        logger.error(`Failed to load local embedding model ${modelName}:`, error);
+        this.extractors.delete(modelName);
+      });
+    }
+    return this.extractors.get(modelName);
+  }
+
+  async embed(text, modelName = this.modelName) {
+    const [embedding] = await this.embedBatch([text], modelName);
+    return embedding;
+  }
+
+  // Mean-pooled, L2-normalised sentence vectors
+  async embedBatch(texts, modelName = this.modelName) {
+    const extractor = await this.getExtractor(modelName);
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    const embeddings = output.tolist();
+    if (embeddings.length > 0) this.dimensions.set(modelName, embeddings[0].length);
+    return embeddings;
+  }
+
+  getInfo() {
+    return {
+      provider: 'local',
+      model: this.modelName,
+      modelPath: this.modelPath,
+      dimension: this.dimensions.get(this.modelName) || null,
+      loaded: this.extractors.has(this.modelName)
+    };
+  }
+}
+
+module.exports = new LocalEmbeddingService();
@@ -16,6 +16,8 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'advanced-rag-app' },
+  // Tests don't append to the log files
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     // Write all logs with importance level of 'error' or less to 'error.log'
     new winston.transports.File({ 
@@ -0,0 +1,105 @@
+// Explicit memory commands in chat: "remember that I prefer Python", "forget my address"
+// A message is a command only when it starts with the verb and isn't a question, so "remember
+// when we discussed X?" still goes to the model. Remembered facts are stored with source
+// 'explicit': they are kept past the retention period, always included in the prompt and never
+// overwritten by automatic extraction. Forgetting removes every memory matching the subject,
+// explicit or extracted.
+const memoryService = require('./memoryService');
+
+const MAX_COMMAND_LENGTH = 300;
+const MAX_FORGET_WORDS = 5;
+const REMEMBER_PATTERN = /^(?:please\s+)?(?:remember|don'?t forget|do not forget|keep in mind|note)\s+(?:that\s+)?(.+)$/i;
+const FORGET_PATTERN = /^(?:please\s+)?(?:forget|stop remembering)\s+(?:about\s+)?(?:that\s+)?(.+)$/i;
+const FORGET_ALL_PATTERN = /^(?:everything|all)(?:\s+(?:you know\s+)?about me)?$/i;
+// "my X is Y" keys the memory by X, so a later "my X is Z" replaces it
+const ATTRIBUTE_PATTERN = /^my\s+(.{1,40}?)\s+(?:is|are|was)\s+.+$/i;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'my', 'i', 'me', 'it', 'that', 'this', 'about', 'is', 'are', 'was', 'am', 'of', 'to', 'you', 'know', 'what', 'please', 'and', 'or']);
+// Turns the user's words into the assistant's: "I prefer" -> "you prefer"
+const PERSPECTIVE = { i: 'you', me: 'you', my: 'your', mine: 'yours', myself: 'yourself', am: 'are', "i'm": "you're", "i've": "you've", "i'll": "you'll", "i'd": "you'd" };
+
+class MemoryCommandService {
+  // Resolves a chat message to { action: 'remember' | 'forget', subject } or null
+  parse(message) {
+    if (typeof message !== 'string') return null;
+    const text = message.trim().replace(/^(?:hey|ok|okay)[,!]?\s+/i, '');
+    if (!text || text.length > MAX_COMMAND_LENGTH || text.endsWith('?')) return null;
+
+    const remember = text.match(REMEMBER_PATTERN);
+    if (remember) return { action: 'remember', subject: this.cleanSubject(remember[1]) };
+
+    // A long "forget ..." is more likely an instruction about the conversation than about memory
+    const forget = text.match(FORGET_PATTERN);
+    if (forget) {
+      const subject = this.cleanSubject(forget[1]);
+      const words = this.significantWords(subject).length;
+      if (FORGET_ALL_PATTERN.test(subject) || (words > 0 && words <= MAX_FORGET_WORDS)) return { action: 'forget', subject };
+    }
+    return null;
+  }
+
+  // Applies a parsed command; resolves { action, subject, memories, reply }
+  async apply(userId, command) {
+    return command.action === 'remember'
+      ? this.remember(userId, command.subject)
+      : this.forget(userId, command.subject);
+  }
+
+  async remember(userId, fact) {
+    const memory = await memoryService.storeMemory(userId, this.keyFor(fact), fact, {
+      category: 'user_fact',
+      importance: 3,
+      source: 'explicit'
+    });
+    return {
+      action: 'remember',
+      subject: fact,
+      memories: [memory],
+      reply: `Got it. I'll remember that ${this.toSecondPerson(fact)}.`
+    };
+  }
+
+  async forget(userId, subject) {
+    const memories = await memoryService.listMemories(userId);
+    const matches = FORGET_ALL_PATTERN.test(subject) ? memories : memories.filter(item => this.matches(item, subject));
+
+    const deleted = [];
+    for (const item of matches) {
+      if (await memoryService.deleteMemory(userId, item.key)) deleted.push(item);
+    }
+
+    let reply;
+    if (deleted.length === 0) reply = `I don't have anything stored about ${this.toSecondPerson(subject)}.`;
+    else if (FORGET_ALL_PATTERN.test(subject)) reply = `Done. I've forgotten everything I had stored about you (${deleted.length} ${deleted.length === 1 ? 'memory' : 'memories'}).`;
+    else reply = `Done. I've forgotten ${deleted.length === 1 ? 'what I knew' : `${deleted.length} things I knew`} about ${this.toSecondPerson(subject)}.`;
+
+    return { action: 'forget', subject, memories: deleted, reply };
+  }
+
+  // Every significant word of the subject must appear in the memory's key or value
+  matches(item, subject) {
+    const words = this.significantWords(subject);
+    if (words.length === 0) return false;
+    const haystack = `${item.key.replace(/[_-]+/g, ' ')} ${typeof item.value === 'string' ? item.value : JSON.stringify(item.value)}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+  }
+
+  keyFor(fact) {
+    const attribute = fact.match(ATTRIBUTE_PATTERN);
+    const words = attribute ? attribute[1].toLowerCase().split(/\s+/) : this.significantWords(fact).slice(0, 6);
+    return words.join('_').replace(/[^a-z0-9_]/g, '') || `fact_${Date.now()}`;
+  }
+
+  significantWords(text) {
+    return text.toLowerCase().split(/[^a-z0-9']+/).filter(word => word && !STOP_WORDS.has(word));
+  }
+
+  cleanSubject(text) {
+    return text.trim().replace(/[.!]+$/, '').trim();
+  }
+
+  toSecondPerson(text) {
+    return text.replace(/\b(i'm|i've|i'll|i'd|i|me|my|mine|myself|am)\b/gi, word => PERSPECTIVE[word.toLowerCase()]);
+  }
+}
+
+module.exports = new MemoryCommandService();
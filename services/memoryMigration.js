@@ -0,0 +1,156 @@
+// Merges the legacy memory files into the unified memory store
+// Two services used to share data/: one wrote conversations (as an array, or an object keyed
+// "0", "1", ...) plus behavior.json, context.json and feedback.json; the other wrote fact memories
+// keyed "memory:<user>:<key>" to the same memory.json, with conversations.json and
+// user_profiles.json beside it. Whatever is found is imported into the configured store and the
+// originals are moved to data/legacy-memory/<timestamp>/. Runs at startup, or by hand:
+//   node services/memoryMigration.js
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const { SCHEMA_VERSION } = require('./memoryStorage');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const LEGACY_FILES = ['memory.json', 'conversations.json', 'user_profiles.json', 'behavior.json', 'context.json', 'feedback.json'];
+
+async function readJSON(file) {
+  try {
+    return await fs.readJSON(file);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Collects every legacy record; resolves null when there is nothing to migrate
+async function readLegacyData(dataDir = DATA_DIR) {
+  const found = {};
+  for (const name of LEGACY_FILES) {
+    const file = path.join(dataDir, name);
+    if (!await fs.pathExists(file)) continue;
+    const data = await readJSON(file);
+    // An up-to-date memory.json is the JSON store itself
+    if (name === 'memory.json' && data?.version === SCHEMA_VERSION) continue;
+    found[name] = data;
+  }
+  if (Object.keys(found).length === 0) return null;
+
+  const legacy = { files: Object.keys(found), conversations: new Map(), memories: [], profiles: {}, state: {} };
+
+  // memory.json: conversations from one service and "memory:<user>:<key>" facts from the other
+  const memoryRecords = found['memory.json'];
+  const records = Array.isArray(memoryRecords) ? memoryRecords
+    : Array.isArray(memoryRecords?.conversations) ? memoryRecords.conversations
+    : Object.values(memoryRecords || {});
+  for (const record of records) {
+    if (record?.question !== undefined && record?.answer !== undefined) {
+      const userId = record.metadata?.userId || record.sessionId || 'default';
+      legacy.conversations.set(record.id, {
+        id: record.id,
+        userId,
+        sessionId: record.sessionId || userId,
+        question: record.question,
+        answer: record.answer,
+        timestamp: record.timestamp,
+        metadata: record.metadata || {}
+      });
+    } else if (record?.userId && record?.key !== undefined) {
+      legacy.memories.push(record);
+    }
+  }
+
+  // conversations.json: { "conversation:<user>:<id>": { id, userId, message, response, context, timestamp } }
+  for (const record of Object.values(found['conversations.json'] || {})) {
+    if (!record?.id || legacy.conversations.has(record.id)) continue;
+    legacy.conversations.set(record.id, {
+      id: record.id,
+      userId: record.userId,
+      sessionId: record.userId,
+      question: record.message,
+      answer: record.response,
+      timestamp: record.timestamp,
+      metadata: record.context || {}
+    });
+  }
+
+  // user_profiles.json: { "profile:<user>": profile }
+  for (const [key, profile] of Object.entries(found['user_profiles.json'] || {})) {
+    legacy.profiles[key.replace(/^profile:/, '')] = profile;
+  }
+
+  legacy.state.behavior = found['behavior.json'];
+  legacy.state.context = found['context.json'];
+  // Older feedback files hold only a placeholder ({ message, initialized })
+  if (Array.isArray(found['feedback.json']?.ratings)) legacy.state.feedback = found['feedback.json'];
+
+  return legacy;
+}
+
+// Imports legacy data into `storage` (a memoryStorage adapter). Records already in the store win.
+async function migrateLegacyMemory(storage, { dataDir = DATA_DIR } = {}) {
+  const legacy = await readLegacyData(dataDir);
+  if (!legacy) return null;
+
+  // Back up first: for the JSON store, memory.json is about to be rewritten in the new schema
+  const backupDir = path.join(dataDir, 'legacy-memory', new Date().toISOString().replace(/[:.]/g, '-'));
+  await fs.ensureDir(backupDir);
+  for (const name of legacy.files) {
+    await fs.copy(path.join(dataDir, name), path.join(backupDir, name));
+  }
+
+  const summary = { conversations: 0, memories: 0, profiles: 0, state: [], backupDir };
+
+  const conversations = Array.from(legacy.conversations.values())
+    .filter(conv => conv.question && conv.answer)
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  for (const conversation of conversations) {
+    if (await storage.getConversation(conversation.id)) continue;
+    await storage.addConversation(conversation);
+    summary.conversations++;
+  }
+
+  for (const item of legacy.memories) {
+    if (await storage.getMemory(item.userId, item.key)) continue;
+    await storage.setMemory(item);
+    summary.memories++;
+  }
+
+  for (const [userId, profile] of Object.entries(legacy.profiles)) {
+    if (await storage.getProfile(userId)) continue;
+    await storage.setProfile(userId, profile);
+    summary.profiles++;
+  }
+
+  for (const [name, value] of Object.entries(legacy.state)) {
+    if (!value || await storage.getState(name)) continue;
+    await storage.setState(name, value);
+    summary.state.push(name);
+  }
+
+  // memory.json now belongs to the JSON store (rewritten even if nothing was imported) or is
+  // no longer used; the rest are retired
+  if (storage.type === 'json') await storage.save();
+  for (const name of legacy.files) {
+    if (name === 'memory.json' && storage.type === 'json') continue;
+    await fs.remove(path.join(dataDir, name));
+  }
+  await storage.flush();
+
+  logger.info(`🧠 Migrated legacy memory into ${storage.type} store: ${summary.conversations} conversations, ${summary.memories} memories, ${summary.profiles} profiles, state ${summary.state.join(', ') || 'none'} (originals in ${backupDir})`);
+  return summary;
+}
+
+module.exports = { migrateLegacyMemory, readLegacyData };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const memoryService = require('./memoryService');
+  memoryService.ready
+    .then(() => {
+      console.log(memoryService.lastMigration ? 'Migration complete:' : 'Nothing to migrate', memoryService.lastMigration || '');
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -1,63 +1,63 @@
-// Advanced Memory Service with Reinforcement Learning
-const fs = require('fs').promises;
+// Memory subsystem: conversations, long-term facts, user profiles and the learning aggregates
+// (behavior patterns, topic context, feedback) behind one storage adapter. The aggregates are kept
+// per workspace: default uses the original state names, other workspaces suffix them ("behavior:acme"). MEMORY_STORE selects
+// json (data/memory.json, default), redis (REDIS_URL) or sqlite (default with STORAGE_BACKEND=sqlite);
+// legacy data files are merged into the store on startup (see memoryMigration.js).
 const path = require('path');
 const crypto = require('crypto');
-const { getRedisClient, getRedisStatus } = require('./redisClient');
+const logger = require('./loggerService');
+const vectorDatabaseService = require('./vectorDatabaseService');
+const workspaceService = require('./workspaceService');
+const { createMemoryStorage } = require('./memoryStorage');
+const { migrateLegacyMemory } = require('./memoryMigration');
 
-class AdvancedMemoryService {
+class MemoryService {
   constructor() {
     this.memoryPath = path.join(__dirname, '..', 'data', 'memory.json');
-    this.behaviorPath = path.join(__dirname, '..', 'data', 'behavior.json');
-    this.contextPath = path.join(__dirname, '..', 'data', 'context.json');
-    this.feedbackPath = path.join(__dirname, '..', 'data', 'feedback.json');
-    
-    // In-memory caches
-    this.conversationHistory = [];
-    this.userBehavior = {
-      questionPatterns: {},
-      topicPreferences: {},
-      responseQuality: {},
-      sessionData: {},
-      learningMetrics: {}
-    };
-    this.contextMemory = {
-      activeTopics: [],
-      semanticClusters: {},
-      documentSummaries: {},
-      keyEntities: {}
-    };
-    this.feedbackData = {
-      ratings: [],
-      corrections: [],
-      preferences: {},
-      modelPerformance: {}
-    };
+    this.maxConversations = parseInt(process.env.MAX_MEMORY_SIZE) || 1000; // per user
+    this.retentionDays = parseInt(process.env.MEMORY_RETENTION_DAYS) || 30;
+
+    this.storage = null;
+    this.lastMigration = null;
 
-    this.initialize();
+    // Learning aggregates, loaded per workspace on first use and written through to the store
+    this.learning = new Map(); // workspaceId -> promise of { workspaceId, behavior, context, feedback }
+
+    this.ready = this.initialize();
+  }
+
+  // STORAGE_BACKEND=sqlite moves memory along with analytics and vectors; otherwise Redis when
+  // REDIS_URL points at a real server, else the JSON file
+  defaultStoreType() {
+    if (process.env.STORAGE_BACKEND === 'sqlite') return 'sqlite';
+    return process.env.REDIS_URL && process.env.REDIS_URL !== 'redis://localhost:6379' ? 'redis' : 'json';
   }
 
   async initialize() {
+    this.storage = await createMemoryStorage({
+      type: process.env.MEMORY_STORE || this.defaultStoreType(),
+      file: this.memoryPath,
+      retentionDays: this.retentionDays,
+      maxConversationsPerUser: this.maxConversations
+    });
+
     try {
-      await this.loadMemory();
-      await this.loadBehaviorData();
-      await this.loadContextData();
-      await this.loadFeedbackData();
-      console.log('🧠 Advanced Memory System initialized');
+      this.lastMigration = await migrateLegacyMemory(this.storage);
     } catch (error) {
-      console.log('📝 Creating new memory system...');
-      await this.saveAllData();
+      logger.error('Legacy memory migration failed; the original files are untouched:', error);
     }
+
+    logger.info(`🧠 Memory system initialized (${this.storage.type} store)`);
   }
 
   // === CONVERSATION MEMORY ===
-  
+
+  // sessionId groups a chat; metadata.userId names its owner when it differs from the session
   async recordConversation(sessionId, question, answer, metadata = {}) {
-    if (!Array.isArray(this.conversationHistory)) {
-      console.warn('conversationHistory corrupted; reinitializing as []');
-      this.conversationHistory = [];
-    }
+    await this.ready;
     const conversation = {
       id: this.generateId(),
+      userId: metadata.userId || sessionId,
       sessionId,
       timestamp: new Date().toISOString(),
       question: question.trim(),
@@ -71,73 +71,369 @@ class AdvancedMemoryService {
         topics: this.extractTopics(question + ' ' + answer)
       }
     };
-    try { this.conversationHistory.push(conversation); } catch(e) { console.error('Failed to push conversation, resetting array', e); this.conversationHistory = [conversation]; }
 
-    // Redis persistence (list per session + global list)
+    await this.storage.addConversation(conversation);
+
+    const state = await this.getLearningState(workspaceService.workspaceOf(conversation.userId));
+
+    // Update behavior patterns
+    await this.updateBehaviorPatterns(conversation, state);
+    
+    // Update context memory
+    await this.updateContextMemory(conversation, state);
+
+    return conversation.id;
+  }
+
+  // Used by the LLM services; same record as recordConversation, keyed by user
+  async storeConversation(userId, message, response, context = {}) {
+    const id = await this.recordConversation(userId, message, response, context);
+    logger.info(`Stored conversation for user ${userId}`);
+    return this.storage.getConversation(id);
+  }
+
+  // Newest first
+  async getConversationHistory(userId, limit = 20) {
+    await this.ready;
     try {
-      const redis = getRedisClient();
-      if (redis && getRedisStatus() === 'connected') {
-        await redis.lPush(`conv:${sessionId}`, JSON.stringify(conversation));
-        await redis.lTrim(`conv:${sessionId}`, 0, 999);
-        await redis.lPush(`conv:global`, JSON.stringify(conversation));
-        await redis.lTrim(`conv:global`, 0, 4999);
+      return await this.storage.listConversations({ userId, limit });
+    } catch (error) {
+      logger.error('Failed to get conversation history:', error);
+      return [];
+    }
+  }
+
+  // A session's last `limit` exchanges, oldest first
+  async getRecentConversations(sessionId, limit = 10) {
+    await this.ready;
+    const conversations = await this.storage.listConversations({ sessionId, limit });
+    return conversations.reverse();
+  }
+
+  async getConversationById(id) {
+    await this.ready;
+    return this.storage.getConversation(id);
+  }
+
+  // === LONG-TERM MEMORIES ===
+
+  // Storing an existing key replaces its value but keeps its id and creation time
+  async storeMemory(userId, key, value, metadata = {}) {
+    await this.ready;
+    try {
+      const previous = await this.storage.getMemory(userId, key);
+      const now = new Date().toISOString();
+      const memoryItem = {
+        id: previous?.id || this.generateId(),
+        userId,
+        key,
+        value,
+        metadata: {
+          timestamp: now,
+          createdAt: previous?.metadata?.createdAt || previous?.metadata?.timestamp || now,
+          importance: metadata.importance || 1,
+          category: metadata.category || 'general',
+          ...metadata
+        }
+      };
+
+      // Also store in vector database for semantic search
+      memoryItem.metadata.vectorId = await this.embedMemory(memoryItem);
+      await this.storage.setMemory(memoryItem);
+      if (previous && previous.metadata?.vectorId !== memoryItem.metadata.vectorId) {
+        await this.removeMemoryVector(previous);
       }
-    } catch (e) { console.warn('Redis conversation store failed:', e.message); }
+
+      logger.info(`Stored memory for user ${userId}: ${key}`);
+      return memoryItem;
+    } catch (error) {
+      logger.error('Failed to store memory:', error);
+      throw error;
+    }
+  }
+
+  // changes: { value?, category?, importance? }; resolves null when the key doesn't exist
+  async updateMemory(userId, key, changes = {}) {
+    const { value, category, importance } = changes;
+    if (value === undefined && category === undefined && importance === undefined) {
+      throw new Error('Nothing to update: pass value, category or importance');
+    }
+    if (value === null || (typeof value === 'string' && !value.trim())) throw new Error('value must not be empty');
+    if (category !== undefined && (typeof category !== 'string' || !category.trim())) throw new Error('category must be a non-empty string');
+    if (importance !== undefined && (!Number.isInteger(importance) || importance < 1 || importance > 5)) {
+      throw new Error('importance must be an integer from 1 to 5');
+    }
+
+    const existing = await this.retrieveMemory(userId, key);
+    if (!existing) return null;
+
+    const { timestamp, vectorId, ...metadata } = existing.metadata || {};
+    if (changes.category !== undefined) metadata.category = changes.category;
+    if (changes.importance !== undefined) metadata.importance = changes.importance;
+    return this.storeMemory(userId, key, changes.value !== undefined ? changes.value : existing.value, {
+      ...metadata,
+      editedAt: new Date().toISOString()
+    });
+  }
+
+  // Resolves the deleted memory, or null when there was none
+  async deleteMemory(userId, key) {
+    await this.ready;
+    const existing = await this.storage.getMemory(userId, key);
+    if (!existing) return null;
+
+    await this.storage.deleteMemory(userId, key);
+    await this.removeMemoryVector(existing);
+    logger.info(`Deleted memory for user ${userId}: ${key}`);
+    return existing;
+  }
+
+  // The vector only powers semantic recall, so a failed embedding doesn't lose the memory
+  async embedMemory(item) {
+    try {
+      const { id } = await vectorDatabaseService.createEmbedding(
+        `${item.key}: ${JSON.stringify(item.value)}`,
+        {
+          collection: workspaceService.personalCollection(item.userId),
+          userId: item.userId,
+          type: 'memory',
+          memoryKey: item.key,
+          category: item.metadata.category,
+          importance: item.metadata.importance
+        }
+      );
+      return id;
+    } catch (error) {
+      logger.warn(`Memory "${item.key}" stored without a search vector: ${error.message}`);
+      return null;
+    }
+  }
+
+  async removeMemoryVector(item) {
+    if (!item.metadata?.vectorId) return;
+    try {
+      await vectorDatabaseService.deleteVector(item.metadata.vectorId, workspaceService.personalCollection(item.userId));
+    } catch (error) {
+      logger.warn(`Failed to remove the search vector of memory "${item.key}": ${error.message}`);
+    }
+  }
+
+  async retrieveMemory(userId, key) {
+    await this.ready;
+    try {
+      return await this.storage.getMemory(userId, key);
+    } catch (error) {
+      logger.error('Failed to retrieve memory:', error);
+      return null;
+    }
+  }
+
+  // Newest first
+  async listMemories(userId) {
+    await this.ready;
+    const memories = await this.storage.listMemories(userId);
+    return memories.sort((a, b) => String(b.metadata?.timestamp).localeCompare(String(a.metadata?.timestamp)));
+  }
+
+  async searchMemories(userId, query, limit = 10) {
+    try {
+      // Use vector similarity search for semantic memory retrieval
+      const results = await vectorDatabaseService.similaritySearch(
+        query,
+        limit,
+        { userId, type: 'memory' },
+        { collection: workspaceService.personalCollection(userId) }
+      );
+
+      return results.map(result => ({
+        id: result.id,
+        relevance: result.score,
+        content: result.text,
+        metadata: result.metadata
+      }));
+    } catch (error) {
+      logger.error('Failed to search memories:', error);
+      return [];
+    }
+  }
+
+  // === USER PROFILES ===
+
+  async updateUserProfile(userId, profileData) {
+    await this.ready;
+    try {
+      const existingProfile = await this.getUserProfile(userId) || {};
+      const updatedProfile = {
+        ...existingProfile,
+        ...profileData,
+        lastUpdated: new Date().toISOString()
+      };
+
+      await this.storage.setProfile(userId, updatedProfile);
+
+      // Store profile information in vector database
+      await vectorDatabaseService.createEmbedding(
+        `User profile: ${JSON.stringify(profileData)}`,
+        {
+          collection: workspaceService.personalCollection(userId),
+          userId,
+          type: 'profile',
+          lastUpdated: updatedProfile.lastUpdated
+        }
+      );
+
+      logger.info(`Updated profile for user ${userId}`);
+      return updatedProfile;
+    } catch (error) {
+      logger.error('Failed to update user profile:', error);
+      throw error;
+    }
+  }
+
+  async getUserProfile(userId) {
+    await this.ready;
+    try {
+      return await this.storage.getProfile(userId);
+    } catch (error) {
+      logger.error('Failed to get user profile:', error);
+      return null;
+    }
+  }
+
+  // Memories, recent exchanges and profile for the prompt
+  async getContextualMemory(userId, query, limit = 5) {
+    try {
+      const memories = await this.searchMemories(userId, query, limit);
+      const conversations = await this.getConversationHistory(userId, 5);
+      const profile = await this.getUserProfile(userId);
+      // What the user asked to be remembered always goes into the prompt, relevant or not
+      const facts = (await this.listMemories(userId)).filter(item => item.metadata?.source === 'explicit');
+
+      return {
+        memories,
+        facts,
+        recentConversations: conversations,
+        userProfile: profile,
+        summary: this.generateContextSummary(memories, conversations, profile, facts)
+      };
+    } catch (error) {
+      logger.error('Failed to get contextual memory:', error);
+      return {
+        memories: [],
+        facts: [],
+        recentConversations: [],
+        userProfile: null,
+        summary: ''
+      };
+    }
+  }
+
+  generateContextSummary(memories, conversations, profile, facts = []) {
+    let summary = '';
     
-    // Update behavior patterns
-    await this.updateBehaviorPatterns(conversation);
+    if (facts.length > 0) {
+      summary += `The user asked you to remember: ${facts.map(f => (typeof f.value === 'string' ? f.value : JSON.stringify(f.value))).join('; ')}\n`;
+    }
     
-    // Update context memory
-    await this.updateContextMemory(conversation);
+    if (profile) {
+      summary += `User preferences: ${JSON.stringify(profile)}\n`;
+    }
+    
+    if (memories.length > 0) {
+      summary += `Relevant memories: ${memories.map(m => m.content).join('; ')}\n`;
+    }
     
-    // Keep only last 1000 conversations in memory
-    if (this.conversationHistory.length > 1000) {
-      this.conversationHistory = this.conversationHistory.slice(-1000);
+    if (conversations.length > 0) {
+      summary += `Recent conversation context: ${conversations.slice(0, 3).map(c => `Q: ${c.question} A: ${c.answer}`).join('; ')}\n`;
     }
+    
+    return summary;
+  }
 
-    await this.saveMemory();
-    return conversation.id;
+  // Drops conversations and memories older than MEMORY_RETENTION_DAYS (run daily by server.js)
+  async cleanupOldMemories() {
+    await this.ready;
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - this.retentionDays);
+      const cutoff = cutoffDate.toISOString();
+
+      const conversations = await this.storage.deleteConversationsBefore(cutoff);
+      const memories = await this.storage.deleteMemoriesBefore(cutoff);
+      logger.info(`Completed memory cleanup (${conversations} conversations, ${memories} memories removed)`);
+      return { conversations, memories };
+    } catch (error) {
+      logger.error('Failed to cleanup old memories:', error);
+      return { conversations: 0, memories: 0 };
+    }
+  }
+
+  async getMemoryStats(userId) {
+    await this.ready;
+    try {
+      return {
+        memoryCount: (await this.storage.listMemories(userId)).length,
+        conversationCount: await this.storage.countConversations({ userId }),
+        hasProfile: !!(await this.getUserProfile(userId)),
+        store: this.storage.type
+      };
+    } catch (error) {
+      logger.error('Failed to get memory stats:', error);
+      return { memoryCount: 0, conversationCount: 0, hasProfile: false, store: this.storage.type };
+    }
   }
 
   // === BEHAVIOR LEARNING ===
   
-  async updateBehaviorPatterns(conversation) {
+  async updateBehaviorPatterns(conversation, state) {
     const { question, metadata, sessionId } = conversation;
+    const behavior = state.behavior;
     
     // Track question patterns
     const questionType = metadata.questionType;
-    this.userBehavior.questionPatterns[questionType] = 
-      (this.userBehavior.questionPatterns[questionType] || 0) + 1;
+    behavior.questionPatterns[questionType] = 
+      (behavior.questionPatterns[questionType] || 0) + 1;
 
     // Track topic preferences
     metadata.topics.forEach(topic => {
-      this.userBehavior.topicPreferences[topic] = 
-        (this.userBehavior.topicPreferences[topic] || 0) + 1;
+      behavior.topicPreferences[topic] = 
+        (behavior.topicPreferences[topic] || 0) + 1;
     });
 
+    // Recent question shapes for the workspace's trends
+    behavior.recentConversations = [
+      ...behavior.recentConversations,
+      { questionType, topics: metadata.topics, complexity: metadata.complexity }
+    ].slice(-50);
+
     // Update session data
-    if (!this.userBehavior.sessionData[sessionId]) {
-      this.userBehavior.sessionData[sessionId] = {
+    if (!behavior.sessionData[sessionId]) {
+      behavior.sessionData[sessionId] = {
         startTime: new Date().toISOString(),
         questionCount: 0,
         avgQuestionLength: 0,
-        topics: new Set(),
+        topics: [],
         patterns: []
       };
     }
 
-    const session = this.userBehavior.sessionData[sessionId];
+    const session = behavior.sessionData[sessionId];
     session.questionCount++;
     session.avgQuestionLength = (session.avgQuestionLength * (session.questionCount - 1) + question.length) / session.questionCount;
-    metadata.topics.forEach(topic => session.topics.add(topic));
+    session.topics = [...new Set([...(session.topics || []), ...metadata.topics])];
     session.patterns.push(questionType);
 
-    await this.saveBehaviorData();
+    await this.saveState(state, 'behavior');
   }
 
   // === REINFORCEMENT LEARNING ===
   
+  // Learned into the workspace of the conversation's owner
   async recordFeedback(conversationId, rating, feedback = '', correction = '') {
+    await this.ready;
+    const conversation = await this.getConversationById(conversationId);
+    if (!conversation) throw new Error(`Conversation ${conversationId} not found`);
+    const state = await this.getLearningState(workspaceService.workspaceOf(conversation.userId));
     const feedbackEntry = {
       id: this.generateId(),
       conversationId,
@@ -147,49 +443,47 @@ class AdvancedMemoryService {
       correction: correction.trim()
     };
 
-    this.feedbackData.ratings.push(feedbackEntry);
+    state.feedback.ratings.push(feedbackEntry);
     
     if (correction) {
-      this.feedbackData.corrections.push({
+      state.feedback.corrections.push({
         conversationId,
-        original: this.getConversationById(conversationId)?.answer,
+        original: conversation.answer,
         corrected: correction,
         timestamp: new Date().toISOString()
       });
     }
 
     // Update learning metrics
-    await this.updateLearningMetrics(feedbackEntry);
-    await this.saveFeedbackData();
+    await this.updateLearningMetrics(feedbackEntry, conversation, state);
+    await this.saveState(state, 'feedback');
+    await this.saveState(state, 'behavior');
     
     return feedbackEntry.id;
   }
 
-  async updateLearningMetrics(feedbackEntry) {
-    const conversation = this.getConversationById(feedbackEntry.conversationId);
-    if (!conversation) return;
-
+  async updateLearningMetrics(feedbackEntry, conversation, { behavior, feedback }) {
     const questionType = conversation.metadata.questionType;
     const model = conversation.metadata.model || 'unknown';
 
     // Update model performance
-    if (!this.feedbackData.modelPerformance[model]) {
-      this.feedbackData.modelPerformance[model] = { ratings: [], avgRating: 0 };
+    if (!feedback.modelPerformance[model]) {
+      feedback.modelPerformance[model] = { ratings: [], avgRating: 0 };
     }
     
-    this.feedbackData.modelPerformance[model].ratings.push(feedbackEntry.rating);
-    this.feedbackData.modelPerformance[model].avgRating = 
-      this.feedbackData.modelPerformance[model].ratings.reduce((a, b) => a + b, 0) / 
-      this.feedbackData.modelPerformance[model].ratings.length;
+    feedback.modelPerformance[model].ratings.push(feedbackEntry.rating);
+    feedback.modelPerformance[model].avgRating = 
+      feedback.modelPerformance[model].ratings.reduce((a, b) => a + b, 0) / 
+      feedback.modelPerformance[model].ratings.length;
 
     // Update learning metrics for question types
-    if (!this.userBehavior.learningMetrics[questionType]) {
-      this.userBehavior.learningMetrics[questionType] = { 
+    if (!behavior.learningMetrics[questionType]) {
+      behavior.learningMetrics[questionType] = { 
         count: 0, avgRating: 0, improvements: [] 
       };
     }
 
-    const metrics = this.userBehavior.learningMetrics[questionType];
+    const metrics = behavior.learningMetrics[questionType];
     metrics.count++;
     metrics.avgRating = (metrics.avgRating * (metrics.count - 1) + feedbackEntry.rating) / metrics.count;
 
@@ -203,26 +497,27 @@ class AdvancedMemoryService {
 
   // === CONTEXT MANAGEMENT ===
   
-  async updateContextMemory(conversation) {
+  async updateContextMemory(conversation, state) {
     const { question, answer, metadata } = conversation;
+    const context = state.context;
     
     // Update active topics
-    this.contextMemory.activeTopics = [...new Set([
-      ...this.contextMemory.activeTopics,
+    context.activeTopics = [...new Set([
+      ...context.activeTopics,
       ...metadata.topics
     ])].slice(-20); // Keep last 20 topics
 
     // Group topics into semantic clusters
     metadata.topics.forEach(topic => {
-      if (!this.contextMemory.semanticClusters[topic]) {
-        this.contextMemory.semanticClusters[topic] = {
+      if (!context.semanticClusters[topic]) {
+        context.semanticClusters[topic] = {
           count: 0,
           relatedQuestions: [],
           contexts: []
         };
       }
       
-      const cluster = this.contextMemory.semanticClusters[topic];
+      const cluster = context.semanticClusters[topic];
       cluster.count++;
       cluster.relatedQuestions.push(question);
       cluster.contexts.push(answer.substring(0, 200) + '...');
@@ -234,12 +529,13 @@ class AdvancedMemoryService {
       }
     });
 
-    await this.saveContextData();
+    await this.saveState(state, 'context');
   }
 
   // === INTELLIGENT QUERY ENHANCEMENT ===
   
   async enhanceQuery(query, sessionId) {
+    const { behavior, context } = await this.getLearningState(workspaceService.workspaceOf(sessionId));
     const enhancement = {
       originalQuery: query,
       enhancedQuery: query,
@@ -249,7 +545,7 @@ class AdvancedMemoryService {
     };
 
     // Get conversation history for context
-    const recentConversations = this.getRecentConversations(sessionId, 5);
+    const recentConversations = await this.getRecentConversations(sessionId, 5);
     
     // Extract context from recent conversations
     const recentTopics = recentConversations.flatMap(conv => conv.metadata.topics);
@@ -258,17 +554,17 @@ class AdvancedMemoryService {
     // Find related topics from semantic clusters
     const queryTopics = this.extractTopics(query);
     queryTopics.forEach(topic => {
-      if (this.contextMemory.semanticClusters[topic]) {
-        const cluster = this.contextMemory.semanticClusters[topic];
+      if (context.semanticClusters[topic]) {
+        const cluster = context.semanticClusters[topic];
         enhancement.relatedTopics.push(...cluster.relatedQuestions.slice(-3));
       }
     });
 
     // Generate suggestions based on user behavior
-    const userPatterns = this.userBehavior.questionPatterns;
+    const userPatterns = behavior.questionPatterns;
     const preferredQuestionType = Object.keys(userPatterns).reduce((a, b) => 
       userPatterns[a] > userPatterns[b] ? a : b
-    );
+    , 'general');
 
     enhancement.suggestions = this.generateQuerySuggestions(query, preferredQuestionType);
 
@@ -283,8 +579,9 @@ class AdvancedMemoryService {
   // === RESPONSE PERSONALIZATION ===
   
   async personalizeResponse(answer, sessionId, questionType) {
-    const userPreferences = this.getUserPreferences(sessionId);
-    const behavioral = this.userBehavior.sessionData[sessionId];
+    const state = await this.getLearningState(workspaceService.workspaceOf(sessionId));
+    const userPreferences = await this.getUserPreferences(sessionId);
+    const behavioral = state.behavior.sessionData[sessionId];
 
     let personalizedAnswer = answer;
 
@@ -308,7 +605,7 @@ class AdvancedMemoryService {
     }
 
     // Add learning-based improvements
-    const improvements = this.getLearningImprovements(questionType);
+    const improvements = this.getLearningImprovements(questionType, state);
     if (improvements.length > 0) {
       personalizedAnswer += `\n\n**💡 Enhanced based on previous feedback**: ${improvements[0]}`;
     }
@@ -318,39 +615,54 @@ class AdvancedMemoryService {
 
   // === ANALYTICS & INSIGHTS ===
   
-  getAnalytics() {
-    const totalConversations = this.conversationHistory.length;
-    const totalFeedback = this.feedbackData.ratings.length;
+  // Learning aggregates of one workspace
+  async getAnalytics(workspaceId) {
+    await this.ready;
+    const { behavior, context, feedback } = await this.getLearningState(workspaceId);
+    const totalFeedback = feedback.ratings.length;
     
     const analytics = {
       overview: {
-        totalConversations,
+        // Every recorded conversation counts towards exactly one question pattern
+        totalConversations: Object.values(behavior.questionPatterns).reduce((sum, count) => sum + count, 0),
         totalFeedback,
         avgRating: totalFeedback > 0 ? 
-          this.feedbackData.ratings.reduce((sum, f) => sum + f.rating, 0) / totalFeedback : 0,
-        activeTopics: this.contextMemory.activeTopics.length
+          feedback.ratings.reduce((sum, f) => sum + f.rating, 0) / totalFeedback : 0,
+        activeTopics: context.activeTopics.length
       },
       
-      questionPatterns: this.userBehavior.questionPatterns,
-      topicPreferences: Object.entries(this.userBehavior.topicPreferences)
+      questionPatterns: behavior.questionPatterns,
+      topicPreferences: Object.entries(behavior.topicPreferences)
         .sort(([,a], [,b]) => b - a)
         .slice(0, 10),
       
-      modelPerformance: this.feedbackData.modelPerformance,
+      modelPerformance: feedback.modelPerformance,
       
-      learningProgress: Object.entries(this.userBehavior.learningMetrics)
+      learningProgress: Object.entries(behavior.learningMetrics)
         .map(([type, metrics]) => ({
           questionType: type,
           avgRating: metrics.avgRating,
           improvements: metrics.improvements.length
         })),
       
-      recentTrends: this.getRecentTrends()
+      recentTrends: this.getRecentTrends(behavior.recentConversations)
     };
 
     return analytics;
   }
 
+  // Active topics and semantic clusters of one workspace
+  async getTopicContext(workspaceId) {
+    const { context } = await this.getLearningState(workspaceId);
+    return { activeTopics: context.activeTopics, semanticClusters: context.semanticClusters };
+  }
+
+  // A session's question statistics, or null before its first question
+  async getSessionBehavior(sessionId) {
+    const { behavior } = await this.getLearningState(workspaceService.workspaceOf(sessionId));
+    return behavior.sessionData[sessionId] || null;
+  }
+
   // === UTILITY METHODS ===
   
   generateId() {
@@ -403,20 +715,8 @@ class AdvancedMemoryService {
     return topics;
   }
 
-  getConversationById(id) {
-    return this.conversationHistory.find(conv => conv.id === id);
-  }
-
-  getRecentConversations(sessionId, limit = 10) {
-    // Redis fast-path (async not needed for current interface; could add async variant)
-    // Fall back to in-memory snapshot; for real async retrieval we'd refactor
-    return this.conversationHistory
-      .filter(conv => conv.sessionId === sessionId)
-      .slice(-limit);
-  }
-
-  getUserPreferences(sessionId) {
-    const session = this.userBehavior.sessionData[sessionId];
+  async getUserPreferences(sessionId) {
+    const session = await this.getSessionBehavior(sessionId);
     if (!session) return { preferredStyle: 'balanced' };
 
     // Determine preferred style based on behavior
@@ -431,8 +731,8 @@ class AdvancedMemoryService {
     };
   }
 
-  getLearningImprovements(questionType) {
-    const metrics = this.userBehavior.learningMetrics[questionType];
+  getLearningImprovements(questionType, { behavior }) {
+    const metrics = behavior.learningMetrics[questionType];
     return metrics ? metrics.improvements.map(imp => imp.improvement) : [];
   }
 
@@ -468,108 +768,103 @@ class AdvancedMemoryService {
     return sentences.slice(0, 2).join('. ') + '.';
   }
 
-  getRecentTrends() {
-    const recent = this.conversationHistory.slice(-50);
+  getRecentTrends(recent) {
     const trends = {
       questionTypes: {},
       topics: {},
       complexity: { high: 0, medium: 0, low: 0 }
     };
 
-    recent.forEach(conv => {
-      trends.questionTypes[conv.metadata.questionType] = 
-        (trends.questionTypes[conv.metadata.questionType] || 0) + 1;
+    recent.forEach(({ questionType, topics, complexity }) => {
+      trends.questionTypes[questionType] = 
+        (trends.questionTypes[questionType] || 0) + 1;
       
-      conv.metadata.topics.forEach(topic => {
+      (topics || []).forEach(topic => {
         trends.topics[topic] = (trends.topics[topic] || 0) + 1;
       });
 
-      trends.complexity[conv.metadata.complexity]++;
+      if (complexity in trends.complexity) trends.complexity[complexity]++;
     });
 
     return trends;
   }
 
-  // === FILE OPERATIONS ===
-  
-  async loadMemory() {
-    try {
-      const data = await fs.readFile(this.memoryPath, 'utf8');
-      const parsed = JSON.parse(data);
-      if (Array.isArray(parsed)) {
-        this.conversationHistory = parsed;
-      } else if (parsed && Array.isArray(parsed.conversations)) {
-        this.conversationHistory = parsed.conversations;
-      } else {
-        console.warn('Memory file format invalid, resetting conversationHistory to []');
-        this.conversationHistory = [];
+  // === STATE PERSISTENCE ===
+
+  emptyLearningState(workspaceId) {
+    return {
+      workspaceId,
+      behavior: {
+        questionPatterns: {},
+        topicPreferences: {},
+        responseQuality: {},
+        sessionData: {},
+        learningMetrics: {},
+        recentConversations: []
+      },
+      context: {
+        activeTopics: [],
+        semanticClusters: {},
+        documentSummaries: {},
+        keyEntities: {}
+      },
+      feedback: {
+        ratings: [],
+        corrections: [],
+        preferences: {},
+        modelPerformance: {}
       }
-    } catch (error) {
-      this.conversationHistory = [];
-    }
-    if (!Array.isArray(this.conversationHistory)) {
-      this.conversationHistory = [];
-    }
+    };
   }
 
-  async loadBehaviorData() {
-    try {
-      const data = await fs.readFile(this.behaviorPath, 'utf8');
-      this.userBehavior = { ...this.userBehavior, ...JSON.parse(data) };
-    } catch (error) {
-      // Keep default structure
-    }
+  // name: 'behavior' | 'context' | 'feedback'
+  stateName(name, workspaceId) {
+    return workspaceId === workspaceService.defaultWorkspace ? name : `${name}:${workspaceId}`;
   }
 
-  async loadContextData() {
-    try {
-      const data = await fs.readFile(this.contextPath, 'utf8');
-      this.contextMemory = { ...this.contextMemory, ...JSON.parse(data) };
-    } catch (error) {
-      // Keep default structure
-    }
+  getLearningState(workspaceId) {
+    if (!this.learning.has(workspaceId)) this.learning.set(workspaceId, this.loadState(workspaceId));
+    return this.learning.get(workspaceId);
   }
 
-  async loadFeedbackData() {
+  async loadState(workspaceId) {
+    await this.ready;
+    const state = this.emptyLearningState(workspaceId);
+    const [behavior, context, feedback] = await Promise.all(
+      ['behavior', 'context', 'feedback'].map(name => this.storage.getState(this.stateName(name, workspaceId)))
+    );
+    Object.assign(state.behavior, behavior);
+    Object.assign(state.context, context);
+    Object.assign(state.feedback, feedback);
+    return state;
+  }
+
+  async saveState(state, name) {
     try {
-      const data = await fs.readFile(this.feedbackPath, 'utf8');
-      this.feedbackData = { ...this.feedbackData, ...JSON.parse(data) };
+      await this.storage.setState(this.stateName(name, state.workspaceId), state[name]);
     } catch (error) {
-      // Keep default structure
+      logger.error(`Failed to save ${name} state:`, error);
     }
   }
 
-  async saveMemory() {
-    await fs.writeFile(this.memoryPath, JSON.stringify(this.conversationHistory, null, 2));
-  }
-
-  async saveBehaviorData() {
-    // Convert Sets to Arrays for JSON serialization
-    const behaviorToSave = JSON.parse(JSON.stringify(this.userBehavior, (key, value) => {
-      if (value instanceof Set) {
-        return Array.from(value);
-      }
-      return value;
-    }));
-    await fs.writeFile(this.behaviorPath, JSON.stringify(behaviorToSave, null, 2));
-  }
-
-  async saveContextData() {
-    await fs.writeFile(this.contextPath, JSON.stringify(this.contextMemory, null, 2));
-  }
-
-  async saveFeedbackData() {
-    await fs.writeFile(this.feedbackPath, JSON.stringify(this.feedbackData, null, 2));
+  // Drops the conversations, memories and profiles of a deleted workspace's members and its
+  // learning state, so a workspace created later under the same id starts empty
+  async deleteWorkspace(workspaceId) {
+    await this.ready;
+    if (workspaceId === workspaceService.defaultWorkspace) throw new Error('The default workspace cannot be deleted');
+
+    const removed = await this.storage.deleteUserPrefix(workspaceService.scopeKey(workspaceId, ''));
+    await Promise.all(['behavior', 'context', 'feedback'].map(name => this.storage.deleteState(this.stateName(name, workspaceId))));
+    this.learning.delete(workspaceId);
+    logger.info(`🧹 Removed memory of workspace ${workspaceId} (${removed.conversations} conversations, ${removed.memories} memories, ${removed.profiles} profiles)`);
+    return removed;
   }
 
-  async saveAllData() {
-    await Promise.all([
-      this.saveMemory(),
-      this.saveBehaviorData(),
-      this.saveContextData(),
-      this.saveFeedbackData()
-    ]);
+  // Resolves once pending writes have reached the store
+  async flush() {
+    await this.ready;
+    await this.storage.flush();
   }
 }
 
-module.exports = new AdvancedMemoryService();
+module.exports = new MemoryService();
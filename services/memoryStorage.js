@@ -0,0 +1,503 @@
+// Storage adapters for the memory subsystem
+// Every adapter stores the same schema:
+//   conversations  { id, userId, sessionId, question, answer, timestamp, metadata }
+//   memories       { id, userId, key, value, metadata: { timestamp, importance, category, ... } }
+//   profiles       userId -> { ...profile, lastUpdated }
+//   state          named documents for the learning aggregates ('behavior', 'context', 'feedback', suffixed per workspace)
+// and exposes the same async interface, so memoryService never knows where data lives.
+// Memories the user asked for explicitly (metadata.source 'explicit') are exempt from retention.
+// MEMORY_STORE picks the adapter: json (data/memory.json, default), redis (REDIS_URL) or sqlite.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const { initRedis, getRedisClient } = require('./redisClient');
+const { getSqliteDb } = require('./sqliteClient');
+
+const SCHEMA_VERSION = 2;
+const DAY_SECONDS = 24 * 60 * 60;
+
+const isExplicit = item => item.metadata?.source === 'explicit';
+
+// === JSON FILE ===
+
+class JsonMemoryStorage {
+  constructor({ file, maxConversationsPerUser }) {
+    this.type = 'json';
+    this.file = file;
+    this.maxConversationsPerUser = maxConversationsPerUser;
+    this.data = this.emptyData();
+    this.writeQueue = Promise.resolve();
+  }
+
+  emptyData() {
+    return { version: SCHEMA_VERSION, conversations: [], memories: {}, profiles: {}, state: {} };
+  }
+
+  async init() {
+    if (!await fs.pathExists(this.file)) return;
+    const data = await fs.readJSON(this.file);
+    // Files without a version are the legacy formats; the migration imports them
+    if (data.version === SCHEMA_VERSION) this.data = { ...this.emptyData(), ...data };
+  }
+
+  save() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.file));
+        await fs.writeJSON(this.file, this.data, { spaces: 2 });
+      } catch (error) {
+        logger.error('Failed to save memory file:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  async addConversation(conversation) {
+    this.data.conversations.push(conversation);
+    const own = this.data.conversations.filter(conv => conv.userId === conversation.userId);
+    if (own.length > this.maxConversationsPerUser) {
+      const dropped = new Set(own.slice(0, own.length - this.maxConversationsPerUser));
+      this.data.conversations = this.data.conversations.filter(conv => !dropped.has(conv));
+    }
+    await this.save();
+  }
+
+  async getConversation(id) {
+    return this.data.conversations.find(conv => conv.id === id) || null;
+  }
+
+  // Newest first
+  async listConversations({ userId, sessionId, limit = 20 } = {}) {
+    return this.data.conversations
+      .filter(conv => (!userId || conv.userId === userId) && (!sessionId || conv.sessionId === sessionId))
+      .slice(-limit)
+      .reverse();
+  }
+
+  async countConversations({ userId } = {}) {
+    return userId ? this.data.conversations.filter(conv => conv.userId === userId).length : this.data.conversations.length;
+  }
+
+  async deleteConversationsBefore(timestamp) {
+    const before = this.data.conversations.length;
+    this.data.conversations = this.data.conversations.filter(conv => conv.timestamp >= timestamp);
+    if (this.data.conversations.length !== before) await this.save();
+    return before - this.data.conversations.length;
+  }
+
+  async setMemory(item) {
+    this.data.memories[`${item.userId}:${item.key}`] = item;
+    await this.save();
+  }
+
+  async getMemory(userId, key) {
+    return this.data.memories[`${userId}:${key}`] || null;
+  }
+
+  async listMemories(userId) {
+    return Object.values(this.data.memories).filter(item => item.userId === userId);
+  }
+
+  async deleteMemory(userId, key) {
+    const id = `${userId}:${key}`;
+    if (!this.data.memories[id]) return false;
+    delete this.data.memories[id];
+    await this.save();
+    return true;
+  }
+
+  async deleteMemoriesBefore(timestamp) {
+    let deleted = 0;
+    for (const [id, item] of Object.entries(this.data.memories)) {
+      if (item.metadata.timestamp < timestamp && !isExplicit(item)) {
+        delete this.data.memories[id];
+        deleted++;
+      }
+    }
+    if (deleted) await this.save();
+    return deleted;
+  }
+
+  async getProfile(userId) {
+    return this.data.profiles[userId] || null;
+  }
+
+  async setProfile(userId, profile) {
+    this.data.profiles[userId] = profile;
+    await this.save();
+  }
+
+  async getState(name) {
+    return this.data.state[name] || null;
+  }
+
+  async setState(name, value) {
+    this.data.state[name] = value;
+    await this.save();
+  }
+
+  async deleteState(name) {
+    if (!(name in this.data.state)) return;
+    delete this.data.state[name];
+    await this.save();
+  }
+
+  // Drops the conversations, memories and profiles of every user id starting with `prefix`
+  async deleteUserPrefix(prefix) {
+    if (!prefix) throw new Error('A user id prefix is required');
+    const matches = userId => String(userId).startsWith(prefix);
+
+    const before = this.data.conversations.length;
+    this.data.conversations = this.data.conversations.filter(conv => !matches(conv.userId));
+    const conversations = before - this.data.conversations.length;
+
+    let memories = 0;
+    for (const [id, item] of Object.entries(this.data.memories)) {
+      if (matches(item.userId)) {
+        delete this.data.memories[id];
+        memories++;
+      }
+    }
+    let profiles = 0;
+    for (const userId of Object.keys(this.data.profiles)) {
+      if (matches(userId)) {
+        delete this.data.profiles[userId];
+        profiles++;
+      }
+    }
+
+    if (conversations || memories || profiles) await this.save();
+    return { conversations, memories, profiles };
+  }
+
+  // Resolves once pending writes are on disk
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+// === REDIS ===
+
+// Conversations and memories expire after the retention period; profiles and state never do
+class RedisMemoryStorage {
+  constructor({ client, retentionDays, maxConversationsPerUser }) {
+    this.type = 'redis';
+    this.client = client;
+    this.ttl = retentionDays * DAY_SECONDS;
+    this.maxConversationsPerUser = maxConversationsPerUser;
+  }
+
+  async init() {}
+
+  async addConversation(conversation) {
+    await this.client.setEx(`memory:conv:${conversation.id}`, this.ttl, JSON.stringify(conversation));
+    const lists = [`memory:convs:user:${conversation.userId}`, 'memory:convs:all'];
+    if (conversation.sessionId) lists.push(`memory:convs:session:${conversation.sessionId}`);
+    for (const list of lists) {
+      await this.client.lPush(list, conversation.id);
+      await this.client.lTrim(list, 0, (list === 'memory:convs:all' ? 5 : 1) * this.maxConversationsPerUser - 1);
+    }
+  }
+
+  async getConversation(id) {
+    const data = await this.client.get(`memory:conv:${id}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async listConversations({ userId, sessionId, limit = 20 } = {}) {
+    const list = userId ? `memory:convs:user:${userId}` : sessionId ? `memory:convs:session:${sessionId}` : 'memory:convs:all';
+    const ids = await this.client.lRange(list, 0, limit - 1);
+    if (ids.length === 0) return [];
+
+    const values = await this.client.mGet(ids.map(id => `memory:conv:${id}`));
+    return values
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .filter(conv => !sessionId || conv.sessionId === sessionId);
+  }
+
+  async countConversations({ userId } = {}) {
+    return this.client.lLen(userId ? `memory:convs:user:${userId}` : 'memory:convs:all');
+  }
+
+  // Entries expire on their own; ids left in the capped lists are skipped when read
+  async deleteConversationsBefore() {
+    return 0;
+  }
+
+  // A user's facts hash stops expiring once it holds an explicit memory
+  async setMemory(item) {
+    const key = `memory:facts:${item.userId}`;
+    const persistent = isExplicit(item) || (await this.client.ttl(key)) === -1;
+    await this.client.hSet(key, item.key, JSON.stringify(item));
+    if (persistent) await this.client.persist(key);
+    else await this.client.expire(key, this.ttl);
+  }
+
+  async getMemory(userId, key) {
+    const data = await this.client.hGet(`memory:facts:${userId}`, key);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async listMemories(userId) {
+    const entries = await this.client.hGetAll(`memory:facts:${userId}`);
+    return Object.values(entries).map(value => JSON.parse(value));
+  }
+
+  async deleteMemory(userId, key) {
+    return (await this.client.hDel(`memory:facts:${userId}`, key)) > 0;
+  }
+
+  async deleteMemoriesBefore() {
+    return 0;
+  }
+
+  async getProfile(userId) {
+    const data = await this.client.get(`memory:profile:${userId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async setProfile(userId, profile) {
+    await this.client.set(`memory:profile:${userId}`, JSON.stringify(profile));
+  }
+
+  async getState(name) {
+    const data = await this.client.get(`memory:state:${name}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async setState(name, value) {
+    await this.client.set(`memory:state:${name}`, JSON.stringify(value));
+  }
+
+  async deleteState(name) {
+    await this.client.del(`memory:state:${name}`);
+  }
+
+  // Ids left in memory:convs:all point at deleted entries and are skipped when read
+  async deleteUserPrefix(prefix) {
+    if (!prefix) throw new Error('A user id prefix is required');
+    const keys = async pattern => {
+      const found = [];
+      for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) found.push(key);
+      return found;
+    };
+
+    let conversations = 0;
+    for (const list of await keys(`memory:convs:user:${prefix}*`)) {
+      const ids = await this.client.lRange(list, 0, -1);
+      if (ids.length) conversations += await this.client.del(ids.map(id => `memory:conv:${id}`));
+    }
+    let memories = 0;
+    for (const key of await keys(`memory:facts:${prefix}*`)) memories += await this.client.hLen(key);
+
+    const profiles = await keys(`memory:profile:${prefix}*`);
+    const remove = [
+      ...await keys(`memory:convs:user:${prefix}*`),
+      ...await keys(`memory:convs:session:${prefix}*`),
+      ...await keys(`memory:facts:${prefix}*`),
+      ...profiles
+    ];
+    if (remove.length) await this.client.del(remove);
+    return { conversations, memories, profiles: profiles.length };
+  }
+
+  async flush() {}
+}
+
+// === SQLITE ===
+
+class SqliteMemoryStorage {
+  constructor({ db, maxConversationsPerUser }) {
+    this.type = 'sqlite';
+    this.db = db;
+    this.maxConversationsPerUser = maxConversationsPerUser;
+  }
+
+  async init() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        session_id TEXT,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX IF NOT EXISTS conversations_user ON conversations (user_id, timestamp);
+      CREATE INDEX IF NOT EXISTS conversations_session ON conversations (session_id, timestamp);
+      CREATE TABLE IF NOT EXISTS memories (
+        user_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        id TEXT NOT NULL,
+        value TEXT NOT NULL,
+        metadata TEXT NOT NULL DEFAULT '{}',
+        timestamp TEXT NOT NULL,
+        PRIMARY KEY (user_id, key)
+      );
+      CREATE TABLE IF NOT EXISTS profiles (
+        user_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS memory_state (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+    `);
+  }
+
+  toConversation(row) {
+    return row && {
+      id: row.id,
+      userId: row.user_id,
+      sessionId: row.session_id,
+      question: row.question,
+      answer: row.answer,
+      timestamp: row.timestamp,
+      metadata: JSON.parse(row.metadata)
+    };
+  }
+
+  toMemory(row) {
+    return row && {
+      id: row.id,
+      userId: row.user_id,
+      key: row.key,
+      value: JSON.parse(row.value),
+      metadata: JSON.parse(row.metadata)
+    };
+  }
+
+  async addConversation(conv) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO conversations (id, user_id, session_id, question, answer, timestamp, metadata)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(conv.id, conv.userId, conv.sessionId || null, conv.question, conv.answer, conv.timestamp, JSON.stringify(conv.metadata || {}));
+
+    this.db.prepare(`
+      DELETE FROM conversations WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM conversations WHERE user_id = ? ORDER BY timestamp DESC LIMIT ?
+      )
+    `).run(conv.userId, conv.userId, this.maxConversationsPerUser);
+  }
+
+  async getConversation(id) {
+    return this.toConversation(this.db.prepare('SELECT * FROM conversations WHERE id = ?').get(id)) || null;
+  }
+
+  async listConversations({ userId, sessionId, limit = 20 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (userId) { conditions.push('user_id = ?'); params.push(userId); }
+    if (sessionId) { conditions.push('session_id = ?'); params.push(sessionId); }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return this.db
+      .prepare(`SELECT * FROM conversations ${where} ORDER BY timestamp DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => this.toConversation(row));
+  }
+
+  async countConversations({ userId } = {}) {
+    const row = userId
+      ? this.db.prepare('SELECT COUNT(*) AS count FROM conversations WHERE user_id = ?').get(userId)
+      : this.db.prepare('SELECT COUNT(*) AS count FROM conversations').get();
+    return row.count;
+  }
+
+  async deleteConversationsBefore(timestamp) {
+    return this.db.prepare('DELETE FROM conversations WHERE timestamp < ?').run(timestamp).changes;
+  }
+
+  async setMemory(item) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO memories (user_id, key, id, value, metadata, timestamp) VALUES (?, ?, ?, ?, ?, ?)
+    `).run(item.userId, item.key, item.id, JSON.stringify(item.value), JSON.stringify(item.metadata || {}), item.metadata?.timestamp || new Date().toISOString());
+  }
+
+  async getMemory(userId, key) {
+    return this.toMemory(this.db.prepare('SELECT * FROM memories WHERE user_id = ? AND key = ?').get(userId, key)) || null;
+  }
+
+  async listMemories(userId) {
+    return this.db.prepare('SELECT * FROM memories WHERE user_id = ? ORDER BY timestamp').all(userId).map(row => this.toMemory(row));
+  }
+
+  async deleteMemory(userId, key) {
+    return this.db.prepare('DELETE FROM memories WHERE user_id = ? AND key = ?').run(userId, key).changes > 0;
+  }
+
+  async deleteMemoriesBefore(timestamp) {
+    return this.db.prepare(`
+      DELETE FROM memories WHERE timestamp < ? AND json_extract(metadata, '$.source') IS NOT 'explicit'
+    `).run(timestamp).changes;
+  }
+
+  async getProfile(userId) {
+    const row = this.db.prepare('SELECT data FROM profiles WHERE user_id = ?').get(userId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async setProfile(userId, profile) {
+    this.db.prepare('INSERT OR REPLACE INTO profiles (user_id, data) VALUES (?, ?)').run(userId, JSON.stringify(profile));
+  }
+
+  async getState(name) {
+    const row = this.db.prepare('SELECT data FROM memory_state WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async setState(name, value) {
+    this.db.prepare('INSERT OR REPLACE INTO memory_state (name, data) VALUES (?, ?)').run(name, JSON.stringify(value));
+  }
+
+  async deleteState(name) {
+    this.db.prepare('DELETE FROM memory_state WHERE name = ?').run(name);
+  }
+
+  // substr rather than LIKE, whose wildcards ('_') can appear in workspace ids
+  async deleteUserPrefix(prefix) {
+    if (!prefix) throw new Error('A user id prefix is required');
+    const remove = table => this.db
+      .prepare(`DELETE FROM ${table} WHERE substr(user_id, 1, ?) = ?`)
+      .run(prefix.length, prefix).changes;
+    return this.db.transaction(() => ({
+      conversations: remove('conversations'),
+      memories: remove('memories'),
+      profiles: remove('profiles')
+    }))();
+  }
+
+  async flush() {}
+}
+
+// Resolves to an initialised adapter; Redis and SQLite fall back to the JSON file when unavailable
+async function createMemoryStorage({ type, file, retentionDays, maxConversationsPerUser }) {
+  let storage = null;
+
+  if (type === 'redis') {
+    const client = getRedisClient() || await initRedis();
+    if (client) storage = new RedisMemoryStorage({ client, retentionDays, maxConversationsPerUser });
+  } else if (type === 'sqlite') {
+    const db = getSqliteDb();
+    if (db) storage = new SqliteMemoryStorage({ db, maxConversationsPerUser });
+  } else if (type !== 'json') {
+    logger.warn(`Unknown MEMORY_STORE "${type}"; expected json, redis or sqlite`);
+  }
+
+  if (!storage) {
+    if (type !== 'json') logger.warn(`Memory store "${type}" unavailable, using ${path.basename(file)}`);
+    storage = new JsonMemoryStorage({ file, maxConversationsPerUser });
+  }
+  await storage.init();
+  return storage;
+}
+
+module.exports = {
+  createMemoryStorage,
+  JsonMemoryStorage,
+  RedisMemoryStorage,
+  SqliteMemoryStorage,
+  SCHEMA_VERSION
+};
@@ -0,0 +1,160 @@
+// Mongo/Pinecone-style metadata filters for vector search
+//   { source: 'handbook.pdf', language: { $in: ['en', 'de'] }, timestamp: { $gt: '2025-01-01' } }
+//   { $or: [{ type: 'pdf' }, { fileType: { $nin: ['.png', '.jpg'] } }] }
+// A plain value is shorthand for $eq. On list fields (semanticTags, headingPath) $eq/$in match
+// any element, as on Pinecone. The same filter is evaluated locally and translated for Pinecone.
+
+const FIELD_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$lt', '$exists'];
+const LOGICAL_OPERATORS = ['$and', '$or'];
+
+// Pinecone only compares numbers, so ISO date ranges on these fields go to their numeric mirror
+const DATE_FIELDS = { timestamp: 'timestampMs' };
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+// Throws on malformed filters so a typo never silently matches everything (or nothing)
+function validateFilter(filter, path = 'filter') {
+  if (filter === undefined || filter === null) return;
+  if (!isPlainObject(filter)) throw new Error(`${path} must be an object`);
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new Error(`${path}.${key} must be a non-empty array of filters`);
+      }
+      condition.forEach((clause, index) => validateFilter(clause, `${path}.${key}[${index}]`));
+    } else if (key.startsWith('$')) {
+      throw new Error(`Unknown filter operator "${key}" in ${path}`);
+    } else if (isPlainObject(condition)) {
+      validateCondition(condition, `${path}.${key}`);
+    } else if (!isScalar(condition)) {
+      throw new Error(`${path}.${key} must be a string, number, boolean or operator object (use $in for lists)`);
+    }
+  }
+}
+
+function validateCondition(condition, path) {
+  const operators = Object.keys(condition);
+  if (operators.length === 0) throw new Error(`${path} has no operators`);
+
+  for (const operator of operators) {
+    const operand = condition[operator];
+    if (!FIELD_OPERATORS.includes(operator)) {
+      throw new Error(`Unknown filter operator "${operator}" in ${path}. Supported: ${FIELD_OPERATORS.join(', ')}`);
+    }
+    if ((operator === '$in' || operator === '$nin') && !(Array.isArray(operand) && operand.every(isScalar))) {
+      throw new Error(`${path}.${operator} must be an array of strings, numbers or booleans`);
+    }
+    if ((operator === '$gt' || operator === '$lt') && toComparable(operand) === null) {
+      throw new Error(`${path}.${operator} must be a number or an ISO date`);
+    }
+    if (operator === '$exists' && typeof operand !== 'boolean') {
+      throw new Error(`${path}.$exists must be true or false`);
+    }
+    if ((operator === '$eq' || operator === '$ne') && !isScalar(operand)) {
+      throw new Error(`${path}.${operator} must be a string, number or boolean`);
+    }
+  }
+}
+
+// Numbers compare as numbers, ISO date strings chronologically; anything else isn't ordered
+function toComparable(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+function equals(fieldValue, operand) {
+  return Array.isArray(fieldValue) ? fieldValue.includes(operand) : fieldValue === operand;
+}
+
+function matchesCondition(fieldValue, operator, operand) {
+  const exists = fieldValue !== undefined && fieldValue !== null;
+  switch (operator) {
+    case '$eq':
+      return equals(fieldValue, operand);
+    case '$ne':
+      return !equals(fieldValue, operand);
+    case '$in':
+      return operand.some(value => equals(fieldValue, value));
+    case '$nin':
+      return !operand.some(value => equals(fieldValue, value));
+    case '$gt':
+    case '$lt': {
+      const left = toComparable(fieldValue);
+      const right = toComparable(operand);
+      if (left === null || right === null) return false;
+      return operator === '$gt' ? left > right : left < right;
+    }
+    case '$exists':
+      return exists === operand;
+    default:
+      return false;
+  }
+}
+
+// Local evaluation shared by the dense, keyword and ANN search paths
+function matchesFilter(metadata = {}, filter = {}) {
+  if (!filter) return true;
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      if (!condition.every(clause => matchesFilter(metadata, clause))) return false;
+    } else if (key === '$or') {
+      if (!condition.some(clause => matchesFilter(metadata, clause))) return false;
+    } else if (isPlainObject(condition)) {
+      for (const [operator, operand] of Object.entries(condition)) {
+        if (!matchesCondition(metadata[key], operator, operand)) return false;
+      }
+    } else if (!equals(metadata[key], condition)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Pinecone accepts the same grammar; shorthand values become $eq and date ranges move to the numeric mirror field
+function toPineconeFilter(filter = {}) {
+  const translated = {};
+
+  for (const [key, condition] of Object.entries(filter || {})) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      translated[key] = condition.map(toPineconeFilter);
+    } else if (!isPlainObject(condition)) {
+      translated[key] = { $eq: condition };
+    } else {
+      const rangeOnly = Object.keys(condition).every(operator => operator === '$gt' || operator === '$lt');
+      const field = rangeOnly && DATE_FIELDS[key] ? DATE_FIELDS[key] : key;
+      translated[field] = Object.fromEntries(Object.entries(condition).map(([operator, operand]) => [
+        operator,
+        operator === '$gt' || operator === '$lt' ? toComparable(operand) : operand
+      ]));
+    }
+  }
+  return translated;
+}
+
+// Limits a filter to vectors owned by `userId` plus shared ones (documents and Q&A saved without a userId)
+function restrictToOwner(filter, userId) {
+  const owner = { $or: [{ userId }, { userId: { $exists: false } }] };
+  return filter && Object.keys(filter).length > 0 ? { $and: [filter, owner] } : owner;
+}
+
+module.exports = {
+  validateFilter,
+  restrictToOwner,
+  matchesFilter,
+  toPineconeFilter,
+  FIELD_OPERATORS,
+  LOGICAL_OPERATORS
+};
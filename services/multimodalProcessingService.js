@@ -18,6 +18,7 @@ const ffmpegPath = require('ffmpeg-static');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./loggerService');
 const vectorDatabaseService = require('./vectorDatabaseService');
+const llmProviderService = require('./llmProviderService');
 
 // Set ffmpeg path
 ffmpeg.setFfmpegPath(ffmpegPath);
@@ -141,30 +142,30 @@ class MultimodalProcessingService {
           const imageBuffer = await fs.readFile(filePath);
           const base64Image = imageBuffer.toString('base64');
           
-          const visionResponse = await this.openai.chat.completions.create({
-            model: process.env.VISION_MODEL || 'gpt-4o',
-            messages: [
-              {
-                role: 'user',
-                content: [
-                  {
-                    type: 'text',
-                    text: 'Please analyze this image and describe what you see in detail. Include any text, objects, people, scenes, colors, and other relevant information.'
-                  },
-                  {
-                    type: 'image_url',
-                    image_url: {
-                      url: `data:image/jpeg;base64,${base64Image}`,
-                      detail: 'high'
-                    }
+          const visionResponse = await llmProviderService.chat([
+            {
+              role: 'user',
+              content: [
+                {
+                  type: 'text',
+                  text: 'Please analyze this image and describe what you see in detail. Include any text, objects, people, scenes, colors, and other relevant information.'
+                },
+                {
+                  type: 'image_url',
+                  image_url: {
+                    url: `data:image/jpeg;base64,${base64Image}`,
+                    detail: 'high'
                   }
-                ]
-              }
-            ],
-            max_tokens: 1000
+                }
+              ]
+            }
+          ], {
+            providers: ['openai'],
+            models: { openai: process.env.VISION_MODEL || 'gpt-4o' },
+            maxTokens: 1000
           });
 
-          result.analysis.visionDescription = visionResponse.choices[0].message.content;
+          result.analysis.visionDescription = visionResponse.answer;
           result.extractedText += '\n\nAI Vision Analysis:\n' + result.analysis.visionDescription;
         } catch (visionError) {
           logger.warn('Vision analysis failed:', visionError.message);
@@ -222,18 +223,17 @@ class MultimodalProcessingService {
         // Extract key topics using GPT
         if (process.env.OPENAI_API_KEY && result.extractedText.length > 100) {
           try {
-            const topicsResponse = await this.openai.chat.completions.create({
-              model: 'gpt-4',
-              messages: [
-                {
-                  role: 'user',
-                  content: `Extract the main topics, keywords, and key information from this document:\n\n${result.extractedText.substring(0, 3000)}...`
-                }
-              ],
-              max_tokens: 500
+            const topicsResponse = await llmProviderService.chat([
+              {
+                role: 'user',
+                content: `Extract the main topics, keywords, and key information from this document:\n\n${result.extractedText.substring(0, 3000)}...`
+              }
+            ], {
+              models: { openai: 'gpt-4' },
+              maxTokens: 500
             });
             
-            result.analysis.keyTopics = topicsResponse.choices[0].message.content;
+            result.analysis.keyTopics = topicsResponse.answer;
           } catch (topicsError) {
             logger.warn('Failed to extract topics:', topicsError.message);
           }
@@ -382,32 +382,32 @@ class MultimodalProcessingService {
             const frameBuffer = await fs.readFile(framePath);
             const base64Frame = frameBuffer.toString('base64');
             
-            const visionResponse = await this.openai.chat.completions.create({
-              model: process.env.VISION_MODEL || 'gpt-4o',
-              messages: [
-                {
-                  role: 'user',
-                  content: [
-                    {
-                      type: 'text',
-                      text: 'Describe what you see in this video frame. Include details about people, objects, scene, actions, and any text visible.'
-                    },
-                    {
-                      type: 'image_url',
-                      image_url: {
-                        url: `data:image/jpeg;base64,${base64Frame}`,
-                        detail: 'high'
-                      }
+            const visionResponse = await llmProviderService.chat([
+              {
+                role: 'user',
+                content: [
+                  {
+                    type: 'text',
+                    text: 'Describe what you see in this video frame. Include details about people, objects, scene, actions, and any text visible.'
+                  },
+                  {
+                    type: 'image_url',
+                    image_url: {
+                      url: `data:image/jpeg;base64,${base64Frame}`,
+                      detail: 'high'
                     }
-                  ]
-                }
-              ],
-              max_tokens: 300
+                  }
+                ]
+              }
+            ], {
+              providers: ['openai'],
+              models: { openai: process.env.VISION_MODEL || 'gpt-4o' },
+              maxTokens: 300
             });
 
             frameAnalyses.push({
               frame: frameFile,
-              description: visionResponse.choices[0].message.content
+              description: visionResponse.answer
             });
           }
           
@@ -600,8 +600,7 @@ class MultimodalProcessingService {
     try {
       const filters = {};
       if (fileTypes.length > 0) {
-        // This would need to be implemented based on your vector database filtering capabilities
-        filters.fileType = fileTypes;
+        filters.fileType = { $in: fileTypes };
       }
       
       const results = await vectorDatabaseService.similaritySearch(query, limit, filters);
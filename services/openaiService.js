@@ -1,9 +1,14 @@
 const OpenAI = require('openai');
 const freeAiService = require('./freeAiService');
+const llmProviderService = require('./llmProviderService');
+const conversationService = require('./conversationService');
+const usageService = require('./usageService');
 const vectorDatabaseService = require('./vectorDatabaseService');
-const advancedMemoryService = require('./advancedMemoryService');
+const memoryService = require('./memoryService');
+const workspaceService = require('./workspaceService');
 const multimodalProcessingService = require('./multimodalProcessingService');
 const logger = require('./loggerService');
+const { restrictToOwner } = require('./metadataFilter');
 require('dotenv').config();
 
 class AdvancedOpenAIService {
@@ -60,100 +65,155 @@ INSTRUCTIONS:
 Remember: You're not just answering questions - you're providing intelligent, contextual, and personalized assistance based on the user's entire interaction history and knowledge base.`;
   }
 
+  // Resolves to { answer, provider, model, usage, latencyMs, finishReason }
   async askQuestion(question, userId = 'default', context = '', options = {}) {
     try {
       const {
-        includeMemory = true,
-        includeContext = true,
-        maxContextLength = 8000,
         temperature = 0.3,
         maxTokens = 2000
       } = options;
 
       logger.info(`Processing question from user ${userId}: ${question.substring(0, 100)}...`);
 
-      // 1. Get user's memory and conversation history
-      let memoryContext = '';
-      if (includeMemory) {
-        const memory = await advancedMemoryService.getContextualMemory(userId, question, 5);
-        memoryContext = memory.summary;
-      }
+      // 1-4. Memory, retrieval and prompt
+      const { messages, fullContext } = await this.prepareMessages(question, userId, context, options);
 
-      // 2. Perform semantic search on vector database
-      let retrievedContext = '';
-      if (includeContext) {
-        const searchResults = await vectorDatabaseService.similaritySearch(question, 5);
-        retrievedContext = searchResults
-          .map(result => `[Source: ${result.metadata.type || 'unknown'}] ${result.text}`)
-          .join('\n\n');
-      }
+      // 5. Get response from the provider chain
+      const result = await llmProviderService.chat(messages, { temperature, maxTokens });
+
+      // 6-7. Memory and vector database
+      await this.recordInteraction(userId, question, result, fullContext, options);
+
+      logger.info(`Successfully generated response for user ${userId} with ${result.provider}/${result.model}`);
+      return result;
 
-      // 3. Build comprehensive context
-      const fullContext = this.buildContext({
-        userContext: context,
-        memoryContext,
-        retrievedContext,
-        maxLength: maxContextLength
+    } catch (err) {
+      logger.error('LLM provider error:', err.message);
+      
+      // Every provider failed; answer from local analysis of the context
+      return freeAiService.generateLocalResponse(context, question);
+    }
+  }
+
+  // Streaming variant of askQuestion: onToken(token) gets each fragment as it is generated.
+  // Resolves like askQuestion. Falls back to local analysis only if nothing was sent yet.
+  async streamQuestion(question, userId = 'default', context = '', options = {}, onToken = () => {}) {
+    const {
+      temperature = 0.3,
+      maxTokens = 2000
+    } = options;
+    let emitted = false;
+
+    try {
+      logger.info(`Streaming answer for user ${userId}: ${question.substring(0, 100)}...`);
+
+      const { messages, fullContext } = await this.prepareMessages(question, userId, context, options);
+      const result = await llmProviderService.stream(messages, { temperature, maxTokens }, token => {
+        emitted = true;
+        onToken(token);
       });
 
-      // 4. Create enhanced prompt
-      const messages = [
-        { role: 'system', content: this.systemPrompt },
-        { role: 'user', content: this.buildPrompt(question, fullContext) }
-      ];
-
-      // 5. Get response from GPT
-      let response;
-      if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY.length > 20) {
-        const completion = await this.openai.chat.completions.create({
-          model: this.models.chat,
-          messages,
-          temperature,
-          max_tokens: maxTokens,
-          presence_penalty: 0.1,
-          frequency_penalty: 0.1
-        });
-
-        response = completion.choices[0].message.content;
-        
-        // Add model information
-        response = `**[Generated by ${this.models.chat}]**\n\n${response}`;
-      } else {
-        throw new Error('OpenAI API key not configured');
-      }
+      await this.recordInteraction(userId, question, result, fullContext, options);
+      return result;
+    } catch (err) {
+      // Part of the answer is already on the wire; local analysis can't continue it
+      if (emitted) throw err;
+
+      logger.error('LLM provider streaming error:', err.message);
+      const result = freeAiService.generateLocalResponse(context, question);
+      onToken(result.answer);
+      return result;
+    }
+  }
+
+  // Memory, knowledge-base retrieval and the chat messages for a question.
+  // `history` ([{ role, content }]) goes into the prompt ahead of the question; `searchQuery`
+  // (a condensed standalone query) replaces the question for retrieval.
+  async prepareMessages(question, userId, context, options = {}) {
+    const {
+      includeMemory = true,
+      includeContext = true,
+      maxContextLength = 8000,
+      searchMode, // 'dense' | 'keyword' | 'hybrid'; defaults to SEARCH_MODE
+      collection = 'default',
+      history = [],
+      searchQuery = question
+    } = options;
+
+    // 1. Get user's memory and conversation history
+    let memoryContext = '';
+    if (includeMemory) {
+      const memory = await memoryService.getContextualMemory(userId, searchQuery, 5);
+      memoryContext = memory.summary;
+    }
+
+    // 2. Perform semantic search on vector database
+    let retrievedContext = '';
+    if (includeContext) {
+      // Only shared vectors and the user's own (documents, past answers, memories) may reach the prompt
+      const searchResults = await vectorDatabaseService.similaritySearch(searchQuery, 5, restrictToOwner({}, userId), { mode: searchMode, collection });
+      retrievedContext = searchResults
+        .map(result => `[Source: ${result.metadata.type || 'unknown'}] ${result.text}`)
+        .join('\n\n');
+    }
+
+    // 3. Build comprehensive context
+    const fullContext = this.buildContext({
+      userContext: context,
+      memoryContext,
+      retrievedContext,
+      maxLength: maxContextLength
+    });
+
+    // 4. Create enhanced prompt
+    const messages = [
+      { role: 'system', content: this.systemPrompt },
+      ...history,
+      { role: 'user', content: this.buildPrompt(question, fullContext) }
+    ];
+
+    return { messages, fullContext };
+  }
+
+  // Stores the plain answer; model details travel as metadata, never inside the text.
+  // Routes that record the conversation themselves pass `storeConversation: false`.
+  // Best-effort: a failure here (e.g. no working embedding provider) is logged and never replaces the answer.
+  async recordInteraction(userId, question, result, fullContext, { includeMemory = true, storeConversation = true } = {}) {
+    try {
+      const { answer, provider, model, usage } = result;
 
       // 6. Store conversation in memory
       if (includeMemory) {
-        await advancedMemoryService.storeConversation(userId, question, response, {
-          model: this.models.chat,
-          contextLength: fullContext.length,
-          timestamp: new Date().toISOString()
-        });
+        if (storeConversation) {
+          await memoryService.storeConversation(userId, question, answer, {
+            provider,
+            model,
+            usage,
+            contextLength: fullContext.length,
+            timestamp: new Date().toISOString()
+          });
+        }
 
-        // Extract and store important information
-        await this.extractAndStoreMemories(userId, question, response);
+        // Extract and store important information (MEMORY_AUTO_EXTRACT=false leaves memory to explicit commands)
+        if (process.env.MEMORY_AUTO_EXTRACT !== 'false') {
+          await this.extractAndStoreMemories(userId, question, answer);
+        }
       }
 
       // 7. Store interaction in vector database for future retrieval
       await vectorDatabaseService.createEmbedding(
-        `Q: ${question}\nA: ${response}`,
+        `Q: ${question}\nA: ${answer}`,
         {
+          collection: workspaceService.personalCollection(userId),
           userId,
           type: 'qa_interaction',
-          model: this.models.chat,
+          provider,
+          model,
           timestamp: new Date().toISOString()
         }
       );
-
-      logger.info(`Successfully generated response for user ${userId}`);
-      return response;
-
-    } catch (err) {
-      logger.error('OpenAI API error:', err);
-      
-      // Fallback to free AI service
-      logger.info('🔄 Switching to free AI models...');
-      return await freeAiService.generateResponse(context, question);
+    } catch (error) {
+      logger.warn(`Failed to record the interaction for user ${userId}: ${error.message}`);
     }
   }
 
@@ -177,38 +237,38 @@ Remember: You're not just answering questions - you're providing intelligent, co
       const imageBuffer = await fs.readFile(imagePath);
       const base64Image = imageBuffer.toString('base64');
 
-      // Analyze with GPT-4 Vision
-      const response = await this.openai.chat.completions.create({
-        model: this.models.vision,
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert image analyst. Provide detailed, accurate descriptions of images and answer questions about their content.'
-          },
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'text',
-                text: `${question}\n\nAdditional context from OCR: ${processedImage.extractedText || 'No text detected'}`
-              },
-              {
-                type: 'image_url',
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                  detail: 'high'
-                }
+      // Analyze with GPT-4 Vision (the only provider here that takes images)
+      const response = await llmProviderService.chat([
+        {
+          role: 'system',
+          content: 'You are an expert image analyst. Provide detailed, accurate descriptions of images and answer questions about their content.'
+        },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: `${question}\n\nAdditional context from OCR: ${processedImage.extractedText || 'No text detected'}`
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: `data:image/jpeg;base64,${base64Image}`,
+                detail: 'high'
               }
-            ]
-          }
-        ],
-        max_tokens: 1000
+            }
+          ]
+        }
+      ], {
+        providers: ['openai'],
+        models: { openai: this.models.vision },
+        maxTokens: 1000
       });
 
-      const analysis = response.choices[0].message.content;
+      const analysis = response.answer;
 
       // Store the analysis in memory and vector database
-      await advancedMemoryService.storeMemory(userId, 'image_analysis', {
+      await memoryService.storeMemory(userId, 'image_analysis', {
         question,
         analysis,
         ocrText: processedImage.extractedText,
@@ -218,11 +278,12 @@ Remember: You're not just answering questions - you're providing intelligent, co
         importance: 3
       });
 
-      const fullResponse = `**[Vision Analysis by ${this.models.vision}]**\n\n${analysis}`;
-
       logger.info(`Successfully analyzed image for user ${userId}`);
       return {
-        analysis: fullResponse,
+        analysis,
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
         extractedText: processedImage.extractedText,
         metadata: processedImage.analysis
       };
@@ -275,7 +336,7 @@ Remember: You're not just answering questions - you're providing intelligent, co
       });
 
       // Store processing results in memory
-      await advancedMemoryService.storeMemory(userId, 'multimodal_query', {
+      await memoryService.storeMemory(userId, 'multimodal_query', {
         query,
         filesProcessed: files.map(f => f.originalname),
         urlsProcessed: urls,
@@ -286,7 +347,10 @@ Remember: You're not just answering questions - you're providing intelligent, co
       });
 
       return {
-        response,
+        response: response.answer,
+        provider: response.provider,
+        model: response.model,
+        usage: response.usage,
         processedContent,
         extractedTexts: extractedTexts.length,
         totalContent: combinedContext.length
@@ -331,7 +395,7 @@ ${context}
 
 QUESTION: ${question}
 
-INSTRUCTIONS: Based on the context provided above, please provide a comprehensive and accurate answer. If you reference information from the context, please indicate the source. If the context doesn't contain relevant information, clearly state that and provide the best answer you can based on your training data.`;
+INSTRUCTIONS: Based on the context provided above, please provide a comprehensive and accurate answer. When you use information from a numbered source such as [1], cite it inline with that bracketed number right after the statement it supports. If the context doesn't contain relevant information, clearly state that and provide the best answer you can based on your training data.`;
   }
 
   async extractAndStoreMemories(userId, question, response) {
@@ -352,20 +416,23 @@ Extract information like:
 
 Return only the JSON object, no additional text:`;
 
-      const extraction = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'user', content: extractionPrompt }
-        ],
+      const extraction = await llmProviderService.chat([
+        { role: 'user', content: extractionPrompt }
+      ], {
+        models: { openai: 'gpt-4' },
         temperature: 0.1,
-        max_tokens: 500
+        maxTokens: 500
       });
 
       try {
-        const memories = JSON.parse(extraction.choices[0].message.content);
+        const memories = JSON.parse(extraction.answer);
         
         for (const [key, value] of Object.entries(memories)) {
-          await advancedMemoryService.storeMemory(userId, key, value, {
+          // Never overwrite what the user asked to be remembered
+          const existing = await memoryService.retrieveMemory(userId, key);
+          if (existing?.metadata?.source === 'explicit') continue;
+
+          await memoryService.storeMemory(userId, key, value, {
             category: 'extracted_preference',
             importance: 2,
             source: 'conversation_extraction'
@@ -408,19 +475,17 @@ ${content}
 
 Summary:`;
 
-      const response = await this.openai.chat.completions.create({
-        model: this.models.chat,
-        messages: [
-          { role: 'user', content: prompt }
-        ],
+      const response = await llmProviderService.chat([
+        { role: 'user', content: prompt }
+      ], {
         temperature: 0.2,
-        max_tokens: Math.min(maxLength * 2, 1000)
+        maxTokens: Math.min(maxLength * 2, 1000)
       });
 
-      const summary = response.choices[0].message.content;
+      const summary = response.answer;
 
       // Store summary in memory
-      await advancedMemoryService.storeMemory(userId, 'content_summary', {
+      await memoryService.storeMemory(userId, 'content_summary', {
         originalLength: content.length,
         summary,
         style,
@@ -446,6 +511,12 @@ Summary:`;
         encoding_format: 'float',
       });
 
+      usageService.recordEmbedding({
+        provider: 'openai',
+        model: this.models.embedding,
+        text,
+        promptTokens: response.usage?.prompt_tokens
+      });
       return response.data[0].embedding;
     } catch (error) {
       logger.error('Failed to generate embedding:', error);
@@ -453,64 +524,19 @@ Summary:`;
     }
   }
 
+  // Conversational RAG over the user's stored exchanges: the follow-up is condensed into a
+  // standalone query for retrieval, and the answer is generated with the history in the prompt.
+  // Resolves like askQuestion, plus the `searchQuery` that was used.
   async chatWithHistory(message, userId = 'default', options = {}) {
-    try {
-      const {
-        includeFullHistory = false,
-        maxHistoryLength = 10,
-        temperature = 0.3
-      } = options;
+    const { maxHistoryLength = conversationService.maxTurns, ...askOptions } = options;
 
-      // Get conversation history
-      const history = await advancedMemoryService.getConversationHistory(userId, maxHistoryLength);
-      const memory = await advancedMemoryService.getContextualMemory(userId, message, 3);
+    // Stored newest first
+    const conversations = await memoryService.getConversationHistory(userId, maxHistoryLength);
+    const history = conversationService.toMessages(conversations.reverse());
+    const { query } = await conversationService.condenseQuery(message, history);
 
-      // Build conversation messages
-      const messages = [
-        { role: 'system', content: this.systemPrompt }
-      ];
-
-      // Add memory context
-      if (memory.summary) {
-        messages.push({
-          role: 'system',
-          content: `User Context: ${memory.summary}`
-        });
-      }
-
-      // Add conversation history
-      if (includeFullHistory && history.length > 0) {
-        for (const conv of history.reverse()) {
-          messages.push({ role: 'user', content: conv.message });
-          messages.push({ role: 'assistant', content: conv.response });
-        }
-      }
-
-      // Add current message
-      messages.push({ role: 'user', content: message });
-
-      const response = await this.openai.chat.completions.create({
-        model: this.models.chat,
-        messages,
-        temperature,
-        max_tokens: 2000
-      });
-
-      const reply = response.choices[0].message.content;
-
-      // Store conversation
-      await advancedMemoryService.storeConversation(userId, message, reply, {
-        model: this.models.chat,
-        historyIncluded: includeFullHistory,
-        messageCount: messages.length
-      });
-
-      return reply;
-
-    } catch (error) {
-      logger.error('Failed to chat with history:', error);
-      throw error;
-    }
+    const result = await this.askQuestion(message, userId, '', { ...askOptions, history, searchQuery: query });
+    return { ...result, searchQuery: query };
   }
 }
 
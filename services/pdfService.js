@@ -1,15 +1,42 @@
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
 
-const extractTextFromPDF = async (filePath) => {
+// Same text layout as pdf-parse's default renderer, collected per page
+const renderPage = (pageData) => {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY, text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+};
+
+const extractPagesFromPDF = async (filePath) => {
   try {
     const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    return data.text;
+    const pages = [];
+    // pdf-parse renders pages sequentially, so push order is page order
+    await pdfParse(dataBuffer, {
+      pagerender: async (pageData) => {
+        const text = await renderPage(pageData);
+        pages.push(text);
+        return text;
+      }
+    });
+    return pages;
   } catch (err) {
     console.error('Error extracting text from PDF:', err);
     throw err;
   }
 };
 
-module.exports = { extractTextFromPDF };
+// Pages are joined with form feeds so the chunker can record page numbers
+const extractTextFromPDF = async (filePath) => {
+  const pages = await extractPagesFromPDF(filePath);
+  return pages.join('\f');
+};
+
+module.exports = { extractTextFromPDF, extractPagesFromPDF };
@@ -0,0 +1,191 @@
+// Token-bucket rate limits per API key, user and route
+// Each rule covers a group of routes and gives every caller its own bucket of `limit` tokens that
+// refills evenly over `window`; a request takes one token. API keys get a bucket of their own,
+// separate from their owner's web session, and requests without a user (registering, signing in)
+// are limited per IP address, which also slows down password guessing.
+// RATE_LIMIT_<RULE>=<limit>/<window> changes a rule ("20/1m", "5/30s", "1000/h"); 0 turns it off
+// and RATE_LIMIT_ENABLED=false turns them all off. RATE_LIMIT_STORE picks where buckets live:
+// memory (default, per process) or redis (REDIS_URL, shared by every instance).
+const logger = require('./loggerService');
+const { initRedis, getRedisClient } = require('./redisClient');
+
+// First matching rule wins; routes are "METHOD /path" relative to /api, "*" matches any method
+const DEFAULT_RULES = [
+  { name: 'auth', routes: ['POST /auth/login', 'POST /auth/register'], limit: '10/1m' },
+  { name: 'chat', routes: ['POST /chat', 'POST /chat/stream'], limit: '20/1m' },
+  { name: 'ask', routes: ['POST /ask', 'POST /kb/ask'], limit: '20/1m' },
+  { name: 'search', routes: ['GET /search', 'POST /vector/search'], limit: '30/1m' },
+  { name: 'upload', routes: ['POST /upload', 'POST /upload-pdf', 'POST /scrape-url', 'POST /process-url'], limit: '10/1m' },
+  { name: 'api', routes: ['* *'], limit: '300/1m' }
+];
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// === STORES ===
+
+class MemoryRateLimitStore {
+  constructor() {
+    this.type = 'memory';
+    this.buckets = new Map(); // key -> { tokens, updatedAt, windowMs }
+    // Full buckets carry no state, so they are dropped instead of piling up
+    this.sweeper = setInterval(() => this.sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  async take(key, { limit, windowMs }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: limit, updatedAt: now, windowMs };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / windowMs);
+    bucket.updatedAt = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    this.buckets.set(key, bucket);
+    return { allowed, tokens: bucket.tokens };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (now - bucket.updatedAt >= bucket.windowMs) this.buckets.delete(key);
+    }
+  }
+}
+
+// Refill and take in one script so concurrent requests on several instances can't overdraw a
+// bucket; Redis' clock is used so instances don't need synchronised clocks
+const TAKE_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or limit
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(limit, tokens + (now - updatedAt) * limit / windowMs)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], windowMs)
+return { allowed, tostring(tokens) }
+`;
+
+class RedisRateLimitStore {
+  constructor({ client }) {
+    this.type = 'redis';
+    this.client = client;
+  }
+
+  async take(key, { limit, windowMs }) {
+    const [allowed, tokens] = await this.client.eval(TAKE_SCRIPT, {
+      keys: [`ratelimit:${key}`],
+      arguments: [String(limit), String(windowMs)]
+    });
+    return { allowed: allowed === 1, tokens: Number(tokens) };
+  }
+}
+
+// === SERVICE ===
+
+class RateLimitService {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+    this.rules = DEFAULT_RULES
+      .map(rule => ({ ...rule, ...this.parseLimit(process.env[`RATE_LIMIT_${rule.name.toUpperCase()}`] || rule.limit, rule) }))
+      .map(rule => ({ ...rule, routes: rule.routes.map(route => route.split(' ')) }));
+    this.store = new MemoryRateLimitStore();
+    this.ready = this.initStore(process.env.RATE_LIMIT_STORE || 'memory');
+  }
+
+  // Redis falls back to the in-memory buckets when it can't connect
+  async initStore(type) {
+    if (type === 'redis') {
+      const client = getRedisClient() || await initRedis();
+      if (client) {
+        this.store = new RedisRateLimitStore({ client });
+        return;
+      }
+      logger.warn('Redis unavailable, keeping rate limit buckets in memory');
+    } else if (type !== 'memory') {
+      logger.warn(`Unknown RATE_LIMIT_STORE "${type}"; expected memory or redis`);
+    }
+  }
+
+  // "20/1m" -> { limit: 20, windowMs: 60000 }; a missing window count means 1 ("20/m")
+  parseLimit(value, rule) {
+    const match = String(value).trim().match(/^(\d+)(?:\s*\/\s*(\d*)\s*([smh]))?$/);
+    if (!match || (match[1] !== '0' && !match[3])) {
+      logger.warn(`Invalid RATE_LIMIT_${rule.name.toUpperCase()} "${value}"; expected <limit>/<window> such as 20/1m. Using ${rule.limit}`);
+      return this.parseLimit(rule.limit, rule);
+    }
+    const limit = Number(match[1]);
+    return { limit, windowMs: limit ? Number(match[2] || 1) * UNIT_MS[match[3]] : 0 };
+  }
+
+  findRule(method, path) {
+    return this.rules.find(rule => rule.routes.some(([ruleMethod, rulePath]) =>
+      (ruleMethod === '*' || ruleMethod === method) && (rulePath === '*' || rulePath === path)));
+  }
+
+  // Whose bucket a request draws from
+  getIdentity(req) {
+    if (req.user?.apiKeyId) return `key:${req.user.apiKeyId}`;
+    if (req.user) return `user:${req.user.id}`;
+    return `ip:${req.ip}`;
+  }
+
+  // Takes a token for the request; resolves null when no rule limits it
+  async consume(req) {
+    const rule = this.findRule(req.method, req.path);
+    if (!this.enabled || !rule || !rule.limit) return null;
+
+    await this.ready;
+    const { allowed, tokens } = await this.store.take(`${rule.name}:${this.getIdentity(req)}`, rule);
+    const msPerToken = rule.windowMs / rule.limit;
+    return {
+      rule: rule.name,
+      limit: rule.limit,
+      windowSeconds: Math.ceil(rule.windowMs / 1000),
+      remaining: Math.floor(tokens),
+      resetSeconds: Math.ceil((rule.limit - tokens) * msPerToken / 1000), // until the bucket is full again
+      retryAfterSeconds: allowed ? 0 : Math.ceil((1 - tokens) * msPerToken / 1000),
+      allowed
+    };
+  }
+
+  // Express middleware for /api, mounted after authentication so buckets follow the user or key.
+  // Sets RateLimit-* headers and answers 429 with Retry-After once the bucket is empty; if the
+  // store fails the request goes through.
+  middleware() {
+    return async (req, res, next) => {
+      let result;
+      try {
+        result = await this.consume(req);
+      } catch (error) {
+        logger.warn('Rate limit check failed, letting the request through:', error.message);
+        return next();
+      }
+      if (!result) return next();
+
+      res.set({
+        'RateLimit-Policy': `${result.limit};w=${result.windowSeconds}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.resetSeconds)
+      });
+      if (result.allowed) return next();
+
+      res.set('Retry-After', String(result.retryAfterSeconds));
+      res.status(429).json({
+        success: false,
+        error: `Too many requests; try again in ${result.retryAfterSeconds}s`,
+        retryAfter: result.retryAfterSeconds
+      });
+    };
+  }
+}
+
+module.exports = new RateLimitService();
+module.exports.RateLimitService = RateLimitService;
@@ -0,0 +1,174 @@
+// Pluggable second-stage rerankers: retrieve top-N candidates, rerank them, keep top-K
+// Every reranker takes candidates shaped like similaritySearch results ({ text, score, ... })
+// and returns the same objects with a `rerankScore`.
+const llmProviderService = require('./llmProviderService');
+const localEmbeddingService = require('./localEmbeddingService');
+const logger = require('./loggerService');
+
+const DEFAULT_RERANKER = process.env.RERANKER || 'heuristic';
+const CROSS_ENCODER_MODEL = process.env.RERANKER_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2';
+const LLM_MAX_CANDIDATES = 20;
+const LLM_PASSAGE_LENGTH = 500;
+
+class RerankerService {
+  constructor() {
+    this.rerankers = new Map();
+    this.crossEncoder = null; // lazily loaded { tokenizer, model }
+
+    this.register('heuristic', {
+      description: 'Vector score blended with query word overlap',
+      rerank: (query, candidates) => this.heuristicRerank(query, candidates)
+    });
+    this.register('cross-encoder', {
+      description: `Local cross-encoder (${CROSS_ENCODER_MODEL})`,
+      rerank: (query, candidates) => this.crossEncoderRerank(query, candidates)
+    });
+    this.register('llm', {
+      description: 'Relevance judged by the LLM provider chain',
+      rerank: (query, candidates) => this.llmRerank(query, candidates)
+    });
+    this.register('mmr', {
+      description: 'Maximal marginal relevance (relevance vs. redundancy)',
+      rerank: (query, candidates, options) => this.mmrRerank(query, candidates, options)
+    });
+  }
+
+  register(name, reranker) {
+    this.rerankers.set(name, { name, ...reranker });
+  }
+
+  listRerankers() {
+    return Array.from(this.rerankers.values()).map(({ name, description }) => ({ name, description }));
+  }
+
+  // options: { reranker, topK, lambda, diversityThreshold }
+  async rerank(query, candidates, options = {}) {
+    const name = options.reranker || DEFAULT_RERANKER;
+    const topK = options.topK || candidates.length;
+    if (candidates.length === 0) return [];
+
+    let reranker = this.rerankers.get(name);
+    if (!reranker) {
+      logger.warn(`Unknown reranker "${name}", using heuristic`);
+      reranker = this.rerankers.get('heuristic');
+    }
+
+    // MMR returns its own selection order; the others, and the heuristic fallback, are sorted by score
+    let reranked;
+    let inSelectionOrder = false;
+    try {
+      reranked = await reranker.rerank(query, candidates, options);
+      inSelectionOrder = reranker.name === 'mmr';
+    } catch (error) {
+      logger.warn(`Reranker "${reranker.name}" failed, falling back to heuristic: ${error.message}`);
+      reranked = this.heuristicRerank(query, candidates);
+    }
+
+    const ordered = inSelectionOrder ? reranked : reranked.sort((a, b) => b.rerankScore - a.rerankScore);
+    return ordered.slice(0, topK);
+  }
+
+  // === RERANKERS ===
+
+  heuristicRerank(query, candidates) {
+    return candidates.map(candidate => {
+      const relevance = candidate.semanticRelevance ?? this.wordOverlap(query, candidate.text);
+      return { ...candidate, rerankScore: (candidate.score || 0) * 0.7 + relevance * 0.3 };
+    });
+  }
+
+  async crossEncoderRerank(query, candidates) {
+    const { tokenizer, model } = await this.loadCrossEncoder();
+    const inputs = tokenizer(new Array(candidates.length).fill(query), {
+      text_pair: candidates.map(candidate => candidate.text),
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+    const scores = logits.sigmoid().tolist().map(row => row[0]);
+
+    return candidates.map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }));
+  }
+
+  async loadCrossEncoder() {
+    if (!this.crossEncoder) {
+      const { AutoTokenizer, AutoModelForSequenceClassification } = localEmbeddingService.loadTransformers();
+      logger.info(`Loading cross-encoder reranker ${CROSS_ENCODER_MODEL}...`);
+      this.crossEncoder = Promise.all([
+        AutoTokenizer.from_pretrained(CROSS_ENCODER_MODEL),
+        AutoModelForSequenceClassification.from_pretrained(CROSS_ENCODER_MODEL)
+      ]).then(([tokenizer, model]) => ({ tokenizer, model }));
+      this.crossEncoder.catch(() => { this.crossEncoder = null; });
+    }
+    return this.crossEncoder;
+  }
+
+  async llmRerank(query, candidates) {
+    const judged = candidates.slice(0, LLM_MAX_CANDIDATES);
+    const context = judged
+      .map((candidate, index) => `[${index + 1}] ${candidate.text.substring(0, LLM_PASSAGE_LENGTH)}`)
+      .join('\n\n');
+    const question = `Rate how relevant each numbered passage is to the query "${query}" on a scale from 0 (irrelevant) to 10 (answers it directly). ` +
+      'Reply with only a JSON object mapping passage numbers to scores, for example {"1": 7, "2": 0}.';
+
+    const result = await llmProviderService.chat([
+      { role: 'system', content: 'You judge search results. Answer with JSON only.' },
+      { role: 'user', content: `Passages:\n\n${context}\n\n${question}` }
+    ], { temperature: 0, maxTokens: 300 });
+
+    const json = result.answer.match(/\{[\s\S]*?\}/);
+    if (!json) throw new Error('Relevance judge returned no scores');
+    const scores = JSON.parse(json[0]);
+
+    // Candidates beyond the judged window keep their order behind the judged ones
+    return candidates.map((candidate, index) => {
+      const judgedScore = Number(scores[index + 1]);
+      return {
+        ...candidate,
+        judge: result.model,
+        rerankScore: index < judged.length && Number.isFinite(judgedScore) ? judgedScore / 10 : -1 - index
+      };
+    });
+  }
+
+  // Greedy MMR: pick the candidate with the best relevance minus redundancy against what's already picked.
+  // Near-duplicates are dropped first with the vector store's applyDiversityFilter.
+  mmrRerank(query, candidates, options = {}) {
+    const vectorDatabaseService = require('./vectorDatabaseService'); // required late: it requires this module
+    const lambda = options.lambda ?? 0.7;
+    const pool = vectorDatabaseService.applyDiversityFilter(candidates, options.diversityThreshold ?? 0.8);
+    const selected = [];
+
+    while (pool.length > 0) {
+      let bestIndex = 0;
+      let bestScore = -Infinity;
+
+      pool.forEach((candidate, index) => {
+        const redundancy = selected.reduce(
+          (max, picked) => Math.max(max, vectorDatabaseService.textSimilarity(candidate.text, picked.text)),
+          0
+        );
+        const score = lambda * (candidate.score || 0) - (1 - lambda) * redundancy;
+        if (score > bestScore) {
+          bestScore = score;
+          bestIndex = index;
+        }
+      });
+
+      const [picked] = pool.splice(bestIndex, 1);
+      selected.push({ ...picked, rerankScore: bestScore });
+    }
+
+    return selected;
+  }
+
+  wordOverlap(query, text) {
+    if (!text) return 0;
+    const queryWords = query.toLowerCase().split(/\s+/);
+    const textWords = text.toLowerCase().split(/\s+/);
+    const common = queryWords.filter(qWord => textWords.some(tWord => tWord.includes(qWord) || qWord.includes(tWord)));
+    return common.length / queryWords.length;
+  }
+}
+
+module.exports = new RerankerService();
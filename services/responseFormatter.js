@@ -262,9 +262,8 @@ ${metadata.context}` : ''}
   }
 
   cleanAnswer(text) {
-    // Remove model indicators and clean up text
+    // Trim leading blank lines
     return text
-      .replace(/\*\*\[Generated by [^\]]+\]\*\*/g, '')
       .replace(/^\s*\n+/, '')
       .trim();
   }
@@ -0,0 +1,42 @@
+// Shared embedded SQLite connection (better-sqlite3), opened on first use
+// better-sqlite3 is an optional native module; without it getSqliteDb() returns null and callers
+// fall back to their file storage. The database runs in WAL mode so reads don't block writes.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+
+let db;
+let status = 'disabled';
+
+function getSqlitePath() {
+  return process.env.SQLITE_PATH || path.join(__dirname, '../data/gavina.db');
+}
+
+function getSqliteDb() {
+  if (db !== undefined) return db;
+  try {
+    const Database = require('better-sqlite3');
+    fs.ensureDirSync(path.dirname(getSqlitePath()));
+    db = new Database(getSqlitePath());
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.pragma('busy_timeout = 5000');
+    status = 'connected';
+    logger.info(`✅ SQLite opened at ${getSqlitePath()}`);
+  } catch (error) {
+    db = null;
+    status = 'unavailable';
+    logger.error(`SQLite unavailable (npm install better-sqlite3): ${error.message}`);
+  }
+  return db;
+}
+
+function getSqliteStatus() { return status; }
+
+function closeSqlite() {
+  if (db) db.close();
+  db = undefined;
+  status = 'disabled';
+}
+
+module.exports = { getSqliteDb, getSqliteStatus, getSqlitePath, closeSqlite };
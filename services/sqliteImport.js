@@ -0,0 +1,117 @@
+// One-shot import of the JSON data files into SQLite, for switching to STORAGE_BACKEND=sqlite
+//   node services/sqliteImport.js [--force]
+// Copies memory (data/memory.json plus the legacy behavior/context/feedback/conversations/
+// user_profiles files, via memoryMigration), the state documents (analytics.json, performance.json,
+// vector_analytics.json, jobs.json and each workspace's workspaces/<id>/analytics.json and
+// performance.json) and the local vectors (local_vectors.bin/.meta.json or the old
+// local_vectors.json) into SQLITE_PATH. Records already in the database are kept. The JSON
+// files are left in place (legacy memory files are retired as in memoryMigration), so setting
+// STORAGE_BACKEND back to json returns to them. Run it with the server stopped; the import is
+// recorded in the database and later runs do nothing unless --force is given.
+const fs = require('fs-extra');
+const path = require('path');
+const { getSqliteDb, getSqlitePath } = require('./sqliteClient');
+const { JsonMemoryStorage, SqliteMemoryStorage } = require('./memoryStorage');
+const { migrateLegacyMemory } = require('./memoryMigration');
+const { JsonStateStorage, SqliteStateStorage } = require('./stateStorage');
+const { FileVectorStorage, SqliteVectorStorage } = require('./vectorStorage');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const STATE_DOCUMENTS = ['analytics', 'performance', 'vector_analytics', 'jobs'];
+const WORKSPACE_DOCUMENTS = ['analytics', 'performance'];
+const IMPORT_MARKER = 'sqlite_import';
+
+// Copies a current-schema data/memory.json store into `target`, oldest conversations first
+async function copyJsonMemory(file, target) {
+  const source = new JsonMemoryStorage({ file });
+  await source.init();
+  const counts = { conversations: 0, memories: 0, profiles: 0, state: [] };
+
+  for (const conversation of source.data.conversations) {
+    if (await target.getConversation(conversation.id)) continue;
+    await target.addConversation(conversation);
+    counts.conversations++;
+  }
+  for (const item of Object.values(source.data.memories)) {
+    if (await target.getMemory(item.userId, item.key)) continue;
+    await target.setMemory(item);
+    counts.memories++;
+  }
+  for (const [userId, profile] of Object.entries(source.data.profiles)) {
+    if (await target.getProfile(userId)) continue;
+    await target.setProfile(userId, profile);
+    counts.profiles++;
+  }
+  for (const [name, value] of Object.entries(source.data.state)) {
+    if (!value || await target.getState(name)) continue;
+    await target.setState(name, value);
+    counts.state.push(name);
+  }
+  return counts;
+}
+
+// The top-level documents plus those of every workspace directory under data/workspaces
+async function listStateDocuments(dataDir) {
+  const workspacesDir = path.join(dataDir, 'workspaces');
+  const entries = await fs.readdir(workspacesDir, { withFileTypes: true }).catch(() => []);
+  const workspaceDocuments = entries
+    .filter(entry => entry.isDirectory())
+    .flatMap(entry => WORKSPACE_DOCUMENTS.map(name => `workspaces/${entry.name}/${name}`));
+  return [...STATE_DOCUMENTS, ...workspaceDocuments];
+}
+
+async function importJsonData({ dataDir = DATA_DIR, force = false } = {}) {
+  const db = getSqliteDb();
+  if (!db) throw new Error('SQLite is unavailable; install better-sqlite3 first (npm install better-sqlite3)');
+
+  const sqliteState = new SqliteStateStorage({ db });
+  const previous = await sqliteState.get(IMPORT_MARKER);
+  if (previous && !force) return { skipped: true, ...previous };
+
+  const memory = new SqliteMemoryStorage({ db, maxConversationsPerUser: parseInt(process.env.MAX_MEMORY_SIZE) || 1000 });
+  await memory.init();
+  const summary = {
+    legacyMemory: await migrateLegacyMemory(memory, { dataDir }),
+    memory: await copyJsonMemory(path.join(dataDir, 'memory.json'), memory),
+    state: [],
+    vectors: 0
+  };
+
+  const jsonState = new JsonStateStorage({ dir: dataDir });
+  for (const name of await listStateDocuments(dataDir)) {
+    const value = await jsonState.get(name);
+    if (!value || await sqliteState.get(name)) continue;
+    await sqliteState.set(name, value);
+    summary.state.push(name);
+  }
+
+  const vectors = await new FileVectorStorage({ dir: dataDir }).load();
+  const vectorStorage = new SqliteVectorStorage({ db });
+  const storedIds = vectorStorage.ids();
+  const newIds = Array.from(vectors.keys()).filter(id => !storedIds.has(id));
+  await vectorStorage.save(vectors, newIds);
+  summary.vectors = newIds.length;
+
+  const record = { importedAt: new Date().toISOString(), database: getSqlitePath(), summary };
+  await sqliteState.set(IMPORT_MARKER, record);
+  return record;
+}
+
+module.exports = { importJsonData };
+
+if (require.main === module) {
+  require('dotenv').config();
+  importJsonData({ force: process.argv.includes('--force') })
+    .then(result => {
+      if (result.skipped) {
+        console.log(`Already imported on ${result.importedAt}; pass --force to import again`);
+      } else {
+        console.log(`Imported into ${result.database}:`, JSON.stringify(result.summary, null, 2));
+      }
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Import failed:', error.message);
+      process.exit(1);
+    });
+}
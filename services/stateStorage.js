@@ -0,0 +1,97 @@
+// Storage for named JSON documents (analytics, performance and vector analytics aggregates)
+// json keeps one pretty-printed file per document in data/ (<name>.json; names may contain
+// slashes, e.g. workspaces/<id>/analytics), written through a temp
+// file and a rename so a crash or a concurrent write never leaves half a file behind. sqlite keeps
+// each document as a row of the app_state table in the shared database.
+// STORAGE_BACKEND picks the adapter: json (default) or sqlite.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const { getSqliteDb } = require('./sqliteClient');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+class JsonStateStorage {
+  constructor({ dir = DATA_DIR } = {}) {
+    this.type = 'json';
+    this.dir = dir;
+    this.writeQueue = Promise.resolve();
+  }
+
+  fileFor(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async get(name) {
+    try {
+      return await fs.readJSON(this.fileFor(name));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Writes are serialised so two saves of the same document can't interleave
+  async set(name, value) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const file = this.fileFor(name);
+      await fs.ensureDir(path.dirname(file));
+      await fs.writeJSON(`${file}.tmp`, value, { spaces: 2 });
+      await fs.move(`${file}.tmp`, file, { overwrite: true });
+    }).catch(error => logger.error(`Failed to save ${name}:`, error));
+    return this.writeQueue;
+  }
+
+  async delete(name) {
+    this.writeQueue = this.writeQueue.then(() => fs.remove(this.fileFor(name)))
+      .catch(error => logger.error(`Failed to delete ${name}:`, error));
+    return this.writeQueue;
+  }
+
+  async flush() {
+    await this.writeQueue;
+  }
+}
+
+class SqliteStateStorage {
+  constructor({ db }) {
+    this.type = 'sqlite';
+    this.db = db;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS app_state (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  async get(name) {
+    const row = this.db.prepare('SELECT data FROM app_state WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(name, value) {
+    this.db.prepare('INSERT OR REPLACE INTO app_state (name, data, updated_at) VALUES (?, ?, ?)')
+      .run(name, JSON.stringify(value), new Date().toISOString());
+  }
+
+  async delete(name) {
+    this.db.prepare('DELETE FROM app_state WHERE name = ?').run(name);
+  }
+
+  async flush() {}
+}
+
+// SQLite falls back to the JSON files when better-sqlite3 can't be loaded
+function createStateStorage({ type = process.env.STORAGE_BACKEND || 'json', dir } = {}) {
+  if (type === 'sqlite') {
+    const db = getSqliteDb();
+    if (db) return new SqliteStateStorage({ db });
+    logger.warn('SQLite unavailable, keeping state in JSON files');
+  } else if (type !== 'json') {
+    logger.warn(`Unknown STORAGE_BACKEND "${type}"; expected json or sqlite`);
+  }
+  return new JsonStateStorage({ dir });
+}
+
+module.exports = { createStateStorage, JsonStateStorage, SqliteStateStorage };
@@ -0,0 +1,211 @@
+// Conversation threads: separate, titled chats per user
+// Each thread keeps its own ordered messages, so chat history comes from the thread instead of the
+// flat per-session conversation log. A thread can be branched from any earlier message to explore
+// an alternative without losing the original. Titles start as the first question and are replaced
+// by a short generated title once the first exchange is complete.
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./loggerService');
+const llmProviderService = require('./llmProviderService');
+
+const MAX_TITLE_LENGTH = 80;
+
+class ThreadService {
+  constructor() {
+    this.threadsFile = path.join(__dirname, '../data/threads.json');
+    this.threads = new Map(); // threadId -> { id, userId, title, titleSource, pinned, parentThreadId, branchedFromMessageId, createdAt, updatedAt, messages: [{ id, role, content, createdAt, metadata }] }
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadThreads();
+  }
+
+  async loadThreads() {
+    try {
+      if (await fs.pathExists(this.threadsFile)) {
+        const data = await fs.readJSON(this.threadsFile);
+        this.threads = new Map(Object.entries(data));
+      }
+    } catch (error) {
+      logger.error('Failed to load threads:', error);
+    }
+  }
+
+  async saveThreads() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.threadsFile));
+        await fs.writeJSON(this.threadsFile, Object.fromEntries(this.threads));
+      } catch (error) {
+        logger.error('Failed to save threads:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  validateTitle(title) {
+    if (typeof title !== 'string' || !title.trim()) throw new Error('title must be a non-empty string');
+    return title.trim().slice(0, MAX_TITLE_LENGTH);
+  }
+
+  // Pinned threads first, then most recently active
+  async listThreads(userId) {
+    await this.ready;
+    return Array.from(this.threads.values())
+      .filter(thread => thread.userId === userId)
+      .sort((a, b) => (b.pinned - a.pinned) || b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Only the owner sees a thread; anyone else gets null, as for a missing one
+  async getThread(userId, threadId) {
+    await this.ready;
+    const thread = this.threads.get(threadId);
+    return thread && thread.userId === userId ? thread : null;
+  }
+
+  async createThread(userId, { title, pinned = false } = {}) {
+    await this.ready;
+    const now = new Date().toISOString();
+    const thread = {
+      id: uuidv4(),
+      userId,
+      title: title === undefined ? 'New chat' : this.validateTitle(title),
+      titleSource: title === undefined ? 'default' : 'user',
+      pinned: Boolean(pinned),
+      parentThreadId: null,
+      branchedFromMessageId: null,
+      createdAt: now,
+      updatedAt: now,
+      messages: []
+    };
+
+    this.threads.set(thread.id, thread);
+    await this.saveThreads();
+    return thread;
+  }
+
+  // changes: { title?, pinned? }; a user-set title is never overwritten by auto-titling
+  async updateThread(userId, threadId, changes = {}) {
+    const thread = await this.getThread(userId, threadId);
+    if (!thread) return null;
+
+    if (changes.pinned !== undefined && typeof changes.pinned !== 'boolean') throw new Error('pinned must be true or false');
+    if (changes.title !== undefined) {
+      thread.title = this.validateTitle(changes.title);
+      thread.titleSource = 'user';
+    }
+    if (changes.pinned !== undefined) thread.pinned = changes.pinned;
+    thread.updatedAt = new Date().toISOString();
+    await this.saveThreads();
+    return thread;
+  }
+
+  async deleteThread(userId, threadId) {
+    const thread = await this.getThread(userId, threadId);
+    if (!thread) return false;
+
+    this.threads.delete(threadId);
+    await this.saveThreads();
+    return true;
+  }
+
+  // Every thread of users whose id starts with `prefix`, e.g. all members of a deleted workspace
+  async deleteThreadsByUserPrefix(prefix) {
+    await this.ready;
+    let deleted = 0;
+    for (const [threadId, thread] of this.threads) {
+      if (thread.userId.startsWith(prefix)) {
+        this.threads.delete(threadId);
+        deleted++;
+      }
+    }
+    if (deleted > 0) await this.saveThreads();
+    return deleted;
+  }
+
+  // New thread holding a copy of the conversation up to `messageId`. Branching at an answer keeps
+  // that answer, to continue differently from there; branching at a question drops it, to ask again.
+  async branchThread(userId, threadId, messageId, { title } = {}) {
+    const source = await this.getThread(userId, threadId);
+    if (!source) return null;
+
+    const index = source.messages.findIndex(message => message.id === messageId);
+    if (index === -1) throw new Error(`Message ${messageId} is not part of thread ${threadId}`);
+    const end = source.messages[index].role === 'user' ? index : index + 1;
+
+    const branch = await this.createThread(userId, { title: title ?? `${source.title} (branch)`.slice(0, MAX_TITLE_LENGTH) });
+    branch.titleSource = title === undefined ? source.titleSource : 'user';
+    branch.parentThreadId = source.id;
+    branch.branchedFromMessageId = messageId;
+    branch.messages = source.messages.slice(0, end).map(message => ({ ...message, id: uuidv4(), copiedFrom: message.id }));
+
+    await this.saveThreads();
+    return branch;
+  }
+
+  // Appends one question/answer exchange; the first exchange also triggers auto-titling
+  async appendExchange(userId, threadId, question, answer, metadata = {}) {
+    const thread = await this.getThread(userId, threadId);
+    if (!thread) return null;
+
+    const now = new Date().toISOString();
+    const userMessage = { id: uuidv4(), role: 'user', content: question, createdAt: now, metadata: {} };
+    const assistantMessage = { id: uuidv4(), role: 'assistant', content: answer, createdAt: now, metadata };
+    thread.messages.push(userMessage, assistantMessage);
+    thread.updatedAt = now;
+
+    const isFirstExchange = thread.messages.length === 2 && thread.titleSource === 'default';
+    if (isFirstExchange) {
+      thread.title = this.fallbackTitle(question);
+      thread.titleSource = 'auto';
+    }
+    await this.saveThreads();
+
+    // Titling waits on an LLM call; the chat response doesn't
+    if (isFirstExchange) this.generateTitle(thread, question, answer);
+    return { thread, userMessage, assistantMessage };
+  }
+
+  // Thread messages as chat history ([{ role, content }])
+  getHistory(thread) {
+    return thread.messages.map(({ role, content }) => ({ role, content }));
+  }
+
+  async generateTitle(thread, question, answer) {
+    try {
+      const result = await llmProviderService.chat([
+        {
+          role: 'system',
+          content: 'Write a short title (at most 6 words) for a chat that starts with the exchange below. Reply with the title only, without quotes or trailing punctuation.'
+        },
+        { role: 'user', content: `User: ${question}\nAssistant: ${answer.slice(0, 500)}` }
+      ], { temperature: 0.2, maxTokens: 20 });
+
+      const title = result.answer.trim().split('\n')[0].replace(/^["'`]+|["'`.]+$/g, '').trim();
+      // The user may have renamed the thread while the title was being generated
+      if (title && thread.titleSource === 'auto' && this.threads.has(thread.id)) {
+        thread.title = title.slice(0, MAX_TITLE_LENGTH);
+        await this.saveThreads();
+      }
+    } catch (error) {
+      logger.warn(`Thread title generation failed, keeping "${thread.title}": ${error.message}`);
+    }
+  }
+
+  fallbackTitle(question) {
+    const text = question.replace(/\s+/g, ' ').trim();
+    return text.length > 50 ? `${text.slice(0, 50).replace(/\s+\S*$/, '')}...` : text;
+  }
+
+  // Thread list entry without the messages
+  describeThread(thread) {
+    const { messages, ...summary } = thread;
+    const last = messages[messages.length - 1];
+    return {
+      ...summary,
+      messageCount: messages.length,
+      preview: last ? last.content.slice(0, 120) : ''
+    };
+  }
+}
+
+module.exports = new ThreadService();
@@ -0,0 +1,312 @@
+// Token and cost accounting for every LLM and embedding call
+// Calls are attributed to the current request (user, workspace, session, endpoint) through
+// AsyncLocalStorage, so services don't have to thread a user id through every layer. Usage is kept
+// as daily rollups per user, workspace, session, model and route in data/usage.json; prices come
+// from a per-1M-token table that USAGE_PRICE_TABLE (path to a JSON file) can extend or override.
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+
+// USD per 1M tokens; models match exactly or by longest prefix ("gpt-4o-2024-08-06" -> "gpt-4o")
+const DEFAULT_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 },
+  'llama3-8b-8192': { input: 0.05, output: 0.08 },
+  'llama3-70b-8192': { input: 0.59, output: 0.79 }
+};
+// Self-hosted and free-tier providers cost nothing unless the table says otherwise
+const FREE_PROVIDERS = ['ollama', 'huggingface', 'local'];
+const RETENTION_DAYS = Number(process.env.USAGE_RETENTION_DAYS || 90);
+const SAVE_DELAY_MS = 5000;
+
+class UsageService {
+  constructor() {
+    this.usageFile = path.join(__dirname, '../data/usage.json');
+    this.storage = new AsyncLocalStorage();
+    this.days = {}; // 'YYYY-MM-DD' -> { total, users, workspaces, sessions, models, routes }
+    this.budgets = {}; // userId -> monthly budget in USD
+    this.prices = { ...DEFAULT_PRICES };
+    this.unpricedModels = new Set();
+    this.saveTimer = null;
+    this.ready = this.loadUsage();
+  }
+
+  async loadUsage() {
+    try {
+      if (await fs.pathExists(this.usageFile)) {
+        const data = await fs.readJSON(this.usageFile);
+        this.days = data.days || {};
+        this.budgets = data.budgets || {};
+      }
+      if (process.env.USAGE_PRICE_TABLE) {
+        Object.assign(this.prices, await fs.readJSON(process.env.USAGE_PRICE_TABLE));
+      }
+    } catch (error) {
+      logger.error('Failed to load usage data:', error);
+    }
+  }
+
+  // Writes are coalesced; usage arrives with every request
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveUsage();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async saveUsage() {
+    try {
+      await fs.ensureDir(path.dirname(this.usageFile));
+      await fs.writeJSON(this.usageFile, { days: this.days, budgets: this.budgets });
+    } catch (error) {
+      logger.error('Failed to save usage data:', error);
+    }
+  }
+
+  // === REQUEST CONTEXT ===
+
+  // Express middleware: everything awaited while handling the request is attributed to it
+  middleware() {
+    return (req, res, next) => this.storage.run({ req }, next);
+  }
+
+  // Background work (ingestion jobs) is attributed to the user and workspace that queued it
+  runWithContext({ userId, workspaceId = null, route = 'background' }, fn) {
+    return this.storage.run({ context: { userId, workspaceId, sessionId: null, route } }, fn);
+  }
+
+  // Resolved when usage is recorded, so fields parsed later (multer bodies, matched route) are seen
+  getContext() {
+    const store = this.storage.getStore();
+    if (store?.context) return store.context;
+    const req = store?.req;
+    if (!req) return { userId: 'system', workspaceId: null, sessionId: null, route: 'background' };
+    return {
+      userId: req.user?.id || 'anonymous',
+      workspaceId: req.workspace?.id || null,
+      sessionId: req.body?.sessionId || req.headers['x-session-id'] || null,
+      route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${req.baseUrl}${req.path}`
+    };
+  }
+
+  // === PRICING ===
+
+  getPrice(model, provider) {
+    if (this.prices[model]) return this.prices[model];
+    const prefix = Object.keys(this.prices)
+      .filter(name => model?.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    if (prefix) return this.prices[prefix];
+    if (FREE_PROVIDERS.includes(provider)) return { input: 0, output: 0 };
+
+    if (!this.unpricedModels.has(model)) {
+      this.unpricedModels.add(model);
+      logger.warn(`No price for model "${model}" (${provider}); its usage is counted at $0. Add it to USAGE_PRICE_TABLE.`);
+    }
+    return { input: 0, output: 0 };
+  }
+
+  estimateCost(model, provider, promptTokens, completionTokens) {
+    const price = this.getPrice(model, provider);
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+
+  // Rough BPE-style estimate for providers that don't report usage (~4 characters per token)
+  estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  // === RECORDING ===
+
+  // result: an llmProviderService result; messages are used to estimate tokens when the provider reports none
+  recordChat(result, messages = []) {
+    const estimated = !result.usage;
+    const promptTokens = result.usage?.promptTokens ??
+      messages.reduce((sum, message) => sum + this.estimateTokens(typeof message.content === 'string' ? message.content : JSON.stringify(message.content)), 0);
+    const completionTokens = result.usage?.completionTokens ?? this.estimateTokens(result.answer);
+
+    return this.record({
+      kind: 'chat',
+      provider: result.provider,
+      model: result.model,
+      promptTokens,
+      completionTokens,
+      estimated
+    });
+  }
+
+  recordEmbedding({ provider, model, text, promptTokens }) {
+    return this.record({
+      kind: 'embedding',
+      provider,
+      model,
+      promptTokens: promptTokens ?? this.estimateTokens(text),
+      completionTokens: 0,
+      estimated: promptTokens === undefined
+    });
+  }
+
+  record({ kind, provider, model, promptTokens, completionTokens, estimated = false }) {
+    try {
+      const { userId, workspaceId, sessionId, route } = this.getContext();
+      const entry = {
+        requests: 1,
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        cost: this.estimateCost(model, provider, promptTokens, completionTokens)
+      };
+
+      const day = this.getDay(new Date().toISOString().slice(0, 10));
+      this.addTo(day, 'total', entry);
+      this.addTo(day.users, userId, entry);
+      if (workspaceId) this.addTo(day.workspaces || (day.workspaces = {}), workspaceId, entry);
+      if (sessionId) this.addTo(day.sessions, sessionId, entry);
+      this.addTo(day.models, model || 'unknown', { ...entry, provider, kind });
+      this.addTo(day.routes, route, entry);
+      if (estimated) day.total.estimatedRequests = (day.total.estimatedRequests || 0) + 1;
+
+      this.scheduleSave();
+      return { ...entry, userId, workspaceId, sessionId, route };
+    } catch (error) {
+      logger.warn('Failed to record usage:', error.message);
+      return null;
+    }
+  }
+
+  // Drops a deleted workspace's rollups; its calls stay counted for the users who made them
+  deleteWorkspace(workspaceId) {
+    for (const day of Object.values(this.days)) delete day.workspaces?.[workspaceId];
+    this.scheduleSave();
+  }
+
+  getDay(date) {
+    if (!this.days[date]) {
+      this.days[date] = { total: this.emptyBucket(), users: {}, workspaces: {}, sessions: {}, models: {}, routes: {} };
+      this.pruneDays();
+    }
+    return this.days[date];
+  }
+
+  pruneDays() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const date of Object.keys(this.days)) {
+      if (date < cutoff) delete this.days[date];
+    }
+  }
+
+  emptyBucket() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  }
+
+  addTo(group, key, { provider, kind, ...entry }) {
+    const bucket = group[key] || (group[key] = this.emptyBucket());
+    for (const [field, value] of Object.entries(entry)) {
+      bucket[field] = (bucket[field] || 0) + value;
+    }
+    if (provider) bucket.provider = provider;
+    if (kind) bucket.kind = kind;
+  }
+
+  // === REPORTING ===
+
+  // { from, to } are YYYY-MM-DD (inclusive); userId narrows every breakdown to one user's days
+  async getUsage({ from, to, userId } = {}) {
+    await this.ready;
+    const dates = Object.keys(this.days)
+      .filter(date => (!from || date >= from) && (!to || date <= to))
+      .sort();
+
+    const report = { totals: this.emptyBucket(), byUser: {}, byWorkspace: {}, bySession: {}, byModel: {}, byRoute: {}, daily: [] };
+    for (const date of dates) {
+      const day = this.days[date];
+      const total = userId ? day.users[userId] : day.total;
+      if (!total) continue;
+
+      this.addTo(report, 'totals', total);
+      report.daily.push({ date, ...this.round(total) });
+      this.mergeGroup(report.byUser, userId ? { [userId]: total } : day.users);
+      if (!userId) {
+        // Workspace, session, model and route rollups aren't split by user
+        this.mergeGroup(report.byWorkspace, day.workspaces || {});
+        this.mergeGroup(report.bySession, day.sessions);
+        this.mergeGroup(report.byModel, day.models);
+        this.mergeGroup(report.byRoute, day.routes);
+      }
+    }
+
+    report.totals = this.round(report.totals);
+    for (const group of ['byUser', 'byWorkspace', 'bySession', 'byModel', 'byRoute']) {
+      report[group] = Object.fromEntries(Object.entries(report[group]).map(([key, bucket]) => [key, this.round(bucket)]));
+    }
+    return report;
+  }
+
+  mergeGroup(target, source) {
+    for (const [key, bucket] of Object.entries(source)) {
+      this.addTo(target, key, bucket);
+    }
+  }
+
+  round(bucket) {
+    return { ...bucket, cost: Math.round(bucket.cost * 1e6) / 1e6 };
+  }
+
+  // === BUDGETS ===
+
+  // Per-user monthly budget in USD; USAGE_MONTHLY_BUDGET applies to users without their own
+  getBudget(userId) {
+    if (this.budgets[userId] !== undefined) return this.budgets[userId];
+    const fallback = Number(process.env.USAGE_MONTHLY_BUDGET);
+    return fallback > 0 ? fallback : null;
+  }
+
+  async setBudget(userId, monthlyBudget) {
+    await this.ready;
+    if (monthlyBudget === null) {
+      delete this.budgets[userId];
+    } else {
+      if (!(Number(monthlyBudget) > 0)) throw new Error('monthlyBudget must be a positive number or null');
+      this.budgets[userId] = Number(monthlyBudget);
+    }
+    await this.saveUsage();
+    return this.getBudgetStatus(userId);
+  }
+
+  getMonthlyCost(userId) {
+    const month = new Date().toISOString().slice(0, 7);
+    return Object.entries(this.days)
+      .filter(([date]) => date.startsWith(month))
+      .reduce((sum, [, day]) => sum + (day.users[userId]?.cost || 0), 0);
+  }
+
+  getBudgetStatus(userId) {
+    const budget = this.getBudget(userId);
+    const spent = this.getMonthlyCost(userId);
+    return {
+      userId,
+      monthlyBudget: budget,
+      spent: Math.round(spent * 1e6) / 1e6,
+      exceeded: budget !== null && spent >= budget
+    };
+  }
+
+  // True when the current request's or job's user has used up their monthly budget; jobs run in their
+  // user's context, so ingestion is degraded like requests. Work outside both (startup, timers) is never limited.
+  isOverBudget() {
+    if (!this.storage.getStore()) return false;
+    const { userId } = this.getContext();
+    return this.getBudgetStatus(userId).exceeded;
+  }
+}
+
+module.exports = new UsageService();
@@ -1,10 +1,17 @@
 const { Pinecone } = require('@pinecone-database/pinecone');
-const OpenAI = require('openai');
-const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./loggerService');
 const { HfInference } = require('@huggingface/inference');
+const Bm25Index = require('./bm25Index');
+const FaissVectorStore = require('./faissVectorStore');
+const rerankerService = require('./rerankerService');
+const embeddingRegistryService = require('./embeddingRegistryService');
+const metadataFilter = require('./metadataFilter');
+const { createVectorStorage } = require('./vectorStorage');
+const { createStateStorage } = require('./stateStorage');
+
+const DEFAULT_COLLECTION = 'default';
 
 // Advanced Vector Database Features
 class VectorClusteringService {
@@ -139,18 +146,26 @@ class VectorClusteringService {
 }
 
 class VectorDatabaseService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
+  constructor({ vectorStorage = createVectorStorage(), stateStorage = createStateStorage(), faissDir = path.join(__dirname, '../data/faiss') } = {}) {
     this.pinecone = null;
     this.index = null;
     this.localVectors = new Map(); // Fallback local storage
-    this.vectorFile = path.join(__dirname, '../data/local_vectors.json');
+    this.collectionStores = new Map(); // collection -> { vectors, keywordIndex, annIndex }, kept in step with localVectors
+    this.vectorStorage = vectorStorage; // binary snapshot files or SQLite (STORAGE_BACKEND)
+    this.stateStorage = stateStorage;
+    this.changedVectorIds = new Set(); // ids set or deleted since the last save
+    this.faissOptions = {
+      dir: faissDir,
+      type: (process.env.FAISS_INDEX_TYPE || 'flat').toLowerCase(), // 'flat' | 'ivf' | 'hnsw'
+      nlist: parseInt(process.env.FAISS_IVF_NLIST) || 100,
+      hnswM: parseInt(process.env.FAISS_HNSW_M) || 32
+    };
+    this.saveTimer = null;
+    this.saveQueue = Promise.resolve();
     this.clusteringService = new VectorClusteringService();
     this.vectorCache = new Map(); // Performance optimization
     this.semanticCache = new Map(); // Cache for search results
+    this.reembedJobs = new Map(); // jobId -> re-embedding migration status
     this.batchQueue = []; // Queue for batch processing
     this.isProcessingBatch = false;
     this.vectorAnalytics = {
@@ -158,13 +173,19 @@ class VectorDatabaseService {
       totalInserts: 0,
       avgResponseTime: 0,
       cacheHitRate: 0,
-      clusterDistribution: new Map()
+      clusterDistribution: new Map() // collection -> { cluster: vectorCount }
+    };
+    
+    this.searchDefaults = {
+      mode: process.env.SEARCH_MODE || 'hybrid', // 'dense' | 'keyword' | 'hybrid'
+      fusion: process.env.SEARCH_FUSION || 'rrf', // 'rrf' | 'weighted'
+      alpha: parseFloat(process.env.SEARCH_HYBRID_ALPHA) || 0.5, // dense weight for 'weighted' fusion
+      rrfK: 60
     };
     
     this.hf = process.env.HUGGINGFACE_API_KEY ? new HfInference(process.env.HUGGINGFACE_API_KEY) : null;
-    this.multilingualModel = process.env.MULTILINGUAL_EMBED_MODEL || 'sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2';
     
-    this.initializeDatabase();
+    this.ready = this.initializeDatabase();
     this.startBatchProcessor();
   }
 
@@ -213,32 +234,41 @@ class VectorDatabaseService {
   }
 
   // Optimize local vectors with clustering
+  // Clusters each collection separately, so a workspace's stats only describe its own vectors
   async optimizeLocalVectors() {
-    if (this.localVectors.size > 100) {
-      logger.info('🔄 Optimizing local vectors with clustering...');
-      const vectors = Array.from(this.localVectors.values());
+    for (const [collection, store] of this.collectionStores) {
+      if (store.vectors.size <= 100) {
+        this.vectorAnalytics.clusterDistribution.delete(collection);
+        continue;
+      }
+      logger.info(`🔄 Optimizing local vectors of "${collection}" with clustering...`);
+      const vectors = Array.from(store.vectors.values());
       
       // Perform clustering for better organization
       const clusteredVectors = await this.clusteringService.performKMeansClustering(vectors, Math.min(10, Math.floor(vectors.length / 10)));
       
       // Update cluster analytics
+      const distribution = {};
       clusteredVectors.forEach(vector => {
-        const cluster = vector.cluster;
-        this.vectorAnalytics.clusterDistribution.set(cluster, 
-          (this.vectorAnalytics.clusterDistribution.get(cluster) || 0) + 1);
+        distribution[vector.cluster] = (distribution[vector.cluster] || 0) + 1;
       });
+      this.vectorAnalytics.clusterDistribution.set(collection, distribution);
       
-      logger.info(`✅ Vectors organized into ${this.vectorAnalytics.clusterDistribution.size} clusters`);
+      logger.info(`✅ "${collection}" vectors organized into ${Object.keys(distribution).length} clusters`);
     }
   }
 
   // Load and save analytics
   async loadAnalytics() {
     try {
-      const analyticsFile = path.join(__dirname, '../data/vector_analytics.json');
-      if (await fs.pathExists(analyticsFile)) {
-        const data = await fs.readJSON(analyticsFile);
-        this.vectorAnalytics = { ...this.vectorAnalytics, ...data };
+      const data = await this.stateStorage.get('vector_analytics');
+      if (data) {
+        this.vectorAnalytics = {
+          ...this.vectorAnalytics,
+          ...data,
+          // Distributions saved before they were per collection are dropped; the next optimize rebuilds them
+          clusterDistribution: new Map(Object.entries(data.clusterDistribution || {}).filter(([, value]) => typeof value === 'object'))
+        };
       }
     } catch (error) {
       logger.error('Failed to load vector analytics:', error);
@@ -247,11 +277,10 @@ class VectorDatabaseService {
 
   async saveAnalytics() {
     try {
-      const analyticsFile = path.join(__dirname, '../data/vector_analytics.json');
-      await fs.writeJSON(analyticsFile, {
+      await this.stateStorage.set('vector_analytics', {
         ...this.vectorAnalytics,
         clusterDistribution: Object.fromEntries(this.vectorAnalytics.clusterDistribution)
-      }, { spaces: 2 });
+      });
     } catch (error) {
       logger.error('Failed to save vector analytics:', error);
     }
@@ -259,66 +288,171 @@ class VectorDatabaseService {
 
   async loadLocalVectors() {
     try {
-      if (await fs.pathExists(this.vectorFile)) {
-        const data = await fs.readJSON(this.vectorFile);
-        this.localVectors = new Map(Object.entries(data));
+      this.localVectors = await this.vectorStorage.load();
+      this.indexLocalVectors();
+
+      for (const [collection, store] of this.collectionStores) {
+        await this.registerLegacyProfile(collection, store.vectors);
+        const profile = await embeddingRegistryService.getProfile(collection);
+        if (profile) await store.annIndex.load(store.vectors, profile.dimension);
       }
     } catch (error) {
       logger.error('Failed to load local vectors:', error);
     }
   }
 
+  collectionOf(vectorData) {
+    return vectorData.metadata?.collection || DEFAULT_COLLECTION;
+  }
+
+  // Each collection gets its own BM25 index and FAISS index (data/faiss/<collection>.faiss)
+  getCollectionStore(collection = DEFAULT_COLLECTION) {
+    if (!this.collectionStores.has(collection)) {
+      this.collectionStores.set(collection, {
+        vectors: new Map(),
+        keywordIndex: new Bm25Index(),
+        annIndex: new FaissVectorStore({ ...this.faissOptions, name: collection })
+      });
+    }
+    return this.collectionStores.get(collection);
+  }
+
+  // Local vector writes go through here so the BM25 and ANN indexes never drift from localVectors
+  setLocalVector(vectorData) {
+    const previous = this.localVectors.get(vectorData.id);
+    if (previous && this.collectionOf(previous) !== this.collectionOf(vectorData)) {
+      this.deleteLocalVector(vectorData.id);
+    }
+
+    const store = this.getCollectionStore(this.collectionOf(vectorData));
+    this.localVectors.set(vectorData.id, vectorData);
+    this.changedVectorIds.add(vectorData.id);
+    store.vectors.set(vectorData.id, vectorData);
+    store.keywordIndex.add(vectorData.id, this.getVectorText(vectorData));
+    store.annIndex.add(vectorData.id, vectorData.values, store.vectors);
+  }
+
+  deleteLocalVector(id) {
+    const vectorData = this.localVectors.get(id);
+    if (!vectorData) return false;
+
+    const store = this.getCollectionStore(this.collectionOf(vectorData));
+    this.localVectors.delete(id);
+    this.changedVectorIds.add(id);
+    store.vectors.delete(id);
+    store.keywordIndex.remove(id);
+    store.annIndex.remove(id, store.vectors);
+    return true;
+  }
+
+  // Group localVectors by collection and rebuild their keyword indexes (ANN indexes are loaded separately)
+  indexLocalVectors() {
+    for (const store of this.collectionStores.values()) {
+      store.vectors.clear();
+      store.keywordIndex.clear();
+    }
+    for (const [id, vectorData] of this.localVectors) {
+      const store = this.getCollectionStore(this.collectionOf(vectorData));
+      store.vectors.set(id, vectorData);
+      store.keywordIndex.add(id, this.getVectorText(vectorData));
+    }
+  }
+
+  // Stores written before the registry existed get pinned to whatever most of their vectors use
+  async registerLegacyProfile(collection, vectors) {
+    if (vectors.size === 0 || await embeddingRegistryService.getProfile(collection)) return;
+
+    const byDimension = new Map();
+    for (const vectorData of vectors.values()) {
+      const dimension = vectorData.values.length;
+      if (!byDimension.has(dimension)) byDimension.set(dimension, { count: 0, sample: vectorData });
+      byDimension.get(dimension).count++;
+    }
+    const [dimension, { count, sample }] = Array.from(byDimension).sort((a, b) => b[1].count - a[1].count)[0];
+
+    await embeddingRegistryService.setProfile(collection, {
+      provider: sample.metadata?.provider || 'openai',
+      model: sample.metadata?.model || embeddingRegistryService.getProvider(sample.metadata?.provider || 'openai').defaultModel,
+      dimension
+    });
+    if (count < vectors.size) {
+      logger.warn(`⚠️ ${vectors.size - count} vectors in "${collection}" do not have ${dimension} dimensions and are skipped by search; run POST /api/vector/reembed to migrate them`);
+    }
+  }
+
+  getVectorText(vectorData) {
+    return vectorData.metadata?.text || vectorData.metadata?.originalText || '';
+  }
+
+  // Bursts of inserts (a document's chunks, batches) are coalesced into a single write
   async saveLocalVectors() {
-    try {
-      const data = Object.fromEntries(this.localVectors);
-      await fs.writeJSON(this.vectorFile, data, { spaces: 2 });
-    } catch (error) {
-      logger.error('Failed to save local vectors:', error);
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flushLocalVectors();
+    }, 1000);
+  }
+
+  async flushLocalVectors() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
     }
+    this.saveQueue = this.saveQueue.then(async () => {
+      const changedIds = this.changedVectorIds;
+      this.changedVectorIds = new Set();
+      try {
+        await this.vectorStorage.save(this.localVectors, changedIds);
+        for (const store of this.collectionStores.values()) {
+          await store.annIndex.save();
+        }
+      } catch (error) {
+        logger.error('Failed to save local vectors:', error);
+      }
+    });
+    return this.saveQueue;
+  }
+
+  // Collections map to Pinecone namespaces; "default" stays in the index's default namespace
+  getPineconeTarget(collection = DEFAULT_COLLECTION) {
+    return collection === DEFAULT_COLLECTION ? this.index : this.index.namespace(collection);
   }
 
   // Advanced embedding creation with caching and optimization
+  // metadata.collection picks the collection (default "default")
   async createEmbedding(text, metadata = {}) {
     const startTime = Date.now();
     try {
+      const collection = metadata.collection || DEFAULT_COLLECTION;
       const language = this.detectLanguageRich(text);
       const normalized = this.normalizeText(text);
-      const baseMeta = { originalText: text, text: text, normalizedText: normalized, language, ...metadata };
+      const baseMeta = { originalText: text, text: text, normalizedText: normalized, language, ...metadata, collection };
 
-      let embedding;
-      let provider = 'openai';
-      try {
-        // Try OpenAI first (original implementation)
-        const cacheKey = this.generateCacheKey(text);
-        if (this.vectorCache.has(cacheKey)) {
-          const cached = this.vectorCache.get(cacheKey);
-            return cached; }
-        const embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
-        const response = await this.openai.embeddings.create({
-          model: embeddingModel,
-          input: text,
-          encoding_format: 'float',
-          dimensions: embeddingModel.includes('3-large') ? 3072 : 1536
-        });
-        embedding = response.data[0].embedding;
-      } catch (err) {
-        provider = 'huggingface';
-        embedding = await this.createHuggingFaceEmbedding(text);
+      // Per user, so one user's vector is never handed back (or later deleted) for another, and per
+      // document chunk, so a chunk never shares a vector that goes away with another document
+      const cacheKey = this.generateCacheKey(`${collection}:${metadata.userId || ''}:${metadata.documentId || ''}:${metadata.chunkId || ''}:${text}`);
+      if (this.vectorCache.has(cacheKey)) {
+        return this.vectorCache.get(cacheKey);
       }
+      const { embedding, provider, model } = await this.embedText(text, collection);
+      await embeddingRegistryService.ensureProfile(collection, { provider, model, dimension: embedding.length });
 
       const id = uuidv4();
+      const now = new Date();
       const enhancedMetadata = {
         ...baseMeta,
         provider,
+        model,
         embeddingLength: embedding.length,
-        timestamp: new Date().toISOString(),
+        timestamp: now.toISOString(),
+        timestampMs: now.getTime(), // numeric copy for Pinecone range filters
         semanticTags: this.extractSemanticTags(text)
       };
 
       const vectorData = { id, values: embedding, metadata: enhancedMetadata };
-      if (this.index) { await this.index.upsert([vectorData]); } else { this.localVectors.set(id, vectorData); await this.saveLocalVectors(); }
+      if (this.index) { await this.getPineconeTarget(collection).upsert([vectorData]); } else { this.setLocalVector(vectorData); await this.saveLocalVectors(); }
       const result = { id, embedding, metadata: enhancedMetadata };
-      this.vectorCache.set(this.generateCacheKey(text), result);
+      this.vectorCache.set(cacheKey, result);
       this.vectorAnalytics.totalInserts++;
       const rt = Date.now() - startTime;
       this.vectorAnalytics.avgResponseTime = (this.vectorAnalytics.avgResponseTime + rt)/2;
@@ -361,57 +495,80 @@ class VectorDatabaseService {
   }
 
   // Patch similaritySearch to be quota-safe
+  // options.mode: 'dense' | 'keyword' | 'hybrid'; options.fusion: 'rrf' | 'weighted' (hybrid only)
+  // options.reranker: rerankerService name; options.candidates: how many hits (N) to rerank down to topK
+  // options.collection: collection to search (default "default"; `namespace` is accepted as an alias)
+  // filter: metadata filter grammar from metadataFilter.js ($eq, $in, $gt, $and, ...)
   async similaritySearch(query, topK = 5, filter = {}, options = {}) {
     const startTime = Date.now();
     try {
+      filter = filter || {};
+      metadataFilter.validateFilter(filter);
+      const collection = options.collection || options.namespace || DEFAULT_COLLECTION;
+      const mode = ['dense', 'keyword', 'hybrid'].includes(options.mode) ? options.mode : this.searchDefaults.mode;
+      const fusion = options.fusion === 'weighted' || options.fusion === 'rrf' ? options.fusion : this.searchDefaults.fusion;
+      const alpha = Math.min(Math.max(parseFloat(options.alpha ?? this.searchDefaults.alpha) || 0, 0), 1);
+
       this.vectorAnalytics.totalQueries++;
-      const cacheKey = this.generateCacheKey(query + JSON.stringify(filter) + topK);
+      const cacheKey = this.generateCacheKey(collection + query + JSON.stringify(filter) + topK + mode + fusion + alpha + (options.reranker || '') + (options.candidates || ''));
       if (this.semanticCache.has(cacheKey) && !options.skipCache) {
         this.vectorAnalytics.cacheHitRate = (this.vectorAnalytics.cacheHitRate + 1) / this.vectorAnalytics.totalQueries;
         return this.semanticCache.get(cacheKey);
       }
-      let queryEmbedding;
-      let provider = 'openai';
-      try {
-        const embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
-        const queryResponse = await this.openai.embeddings.create({
-          model: embeddingModel,
-          input: query,
-          encoding_format: 'float',
-          dimensions: embeddingModel.includes('3-large') ? 3072 : 1536
-        });
-        queryEmbedding = queryResponse.data[0].embedding;
-      } catch (err) {
-        provider = 'huggingface';
-        if (this.hf) {
-          queryEmbedding = await this.createHuggingFaceEmbedding(query);
-        } else { throw err; }
-      }
-
-      let results = [];
-      if (this.index && provider === 'openai') {
-        const queryOptions = { vector: queryEmbedding, topK: Math.min(topK * 2, 100), includeMetadata: true, filter };
-        if (options.namespace) queryOptions.namespace = options.namespace;
-        const searchResults = await this.index.query(queryOptions);
-        results = searchResults.matches;
+
+      // The keyword index only covers local storage; with Pinecone we stay dense
+      const keywordAvailable = !this.index;
+      const candidateK = Math.max(
+        parseInt(options.candidates) || 0,
+        mode === 'hybrid' ? Math.max(topK * 4, 20) : topK
+      );
+
+      let denseResults = [];
+      let provider = 'none';
+      if (mode !== 'keyword' || !keywordAvailable) {
+        try {
+          ({ results: denseResults, provider } = await this.denseSearch(query, candidateK, filter, collection));
+        } catch (err) {
+          if (mode !== 'hybrid' || !keywordAvailable) throw err;
+          logger.warn(`Dense retrieval unavailable, continuing with keyword results: ${err.message}`);
+        }
+      }
+
+      let keywordResults = [];
+      if (mode !== 'dense' && keywordAvailable) {
+        keywordResults = this.keywordSearch(query, candidateK, filter, collection);
+      }
+
+      let results;
+      if (mode === 'dense' || !keywordAvailable) {
+        results = denseResults;
+      } else if (mode === 'keyword') {
+        results = keywordResults;
       } else {
-        // Local similarity
-        results = await this.performLocalSemanticSearch(queryEmbedding, topK, filter);
+        results = fusion === 'weighted'
+          ? this.weightedFusion(denseResults, keywordResults, alpha)
+          : this.reciprocalRankFusion(denseResults, keywordResults);
       }
 
       let processedResults = results.map(match => ({
         id: match.id,
         score: match.score,
+        denseScore: match.denseScore ?? (mode === 'dense' || !keywordAvailable ? match.score : undefined),
+        keywordScore: match.keywordScore ?? (mode === 'keyword' && keywordAvailable ? match.score : undefined),
         text: match.metadata?.text || match.metadata?.originalText || '',
         metadata: match.metadata || {},
         semanticRelevance: this.calculateSemanticRelevance(query, match.metadata?.text || match.metadata?.originalText || '')
       }));
-      if (options.rerank !== false) processedResults = this.rerankResults(processedResults, query);
+      if (options.reranker) {
+        processedResults = await rerankerService.rerank(query, processedResults, { ...options, topK });
+      } else if (options.rerank !== false) {
+        processedResults = this.rerankResults(processedResults, query);
+      }
       const finalResults = processedResults.slice(0, topK);
       this.semanticCache.set(cacheKey, finalResults);
       if (this.semanticCache.size > 1000) { const keys = Array.from(this.semanticCache.keys()); for (let i=0;i<500;i++) this.semanticCache.delete(keys[i]); }
       const responseTime = Date.now() - startTime;
-      logger.info(`Multilingual semantic search (${provider}) returned ${finalResults.length} in ${responseTime}ms`);
+      logger.info(`Multilingual ${mode} search (${provider}) in "${collection}" returned ${finalResults.length} in ${responseTime}ms`);
       return finalResults;
     } catch (error) {
       logger.error('Failed multilingual similarity search:', error);
@@ -419,6 +576,80 @@ class VectorDatabaseService {
     }
   }
 
+  // Embeddings come from the collection's registered provider (see embeddingRegistryService)
+  async embedText(text, collection = DEFAULT_COLLECTION) {
+    return embeddingRegistryService.embed(text, collection);
+  }
+
+  async denseSearch(query, topK, filter, collection = DEFAULT_COLLECTION) {
+    const { embedding: queryEmbedding, provider } = await this.embedText(query, collection);
+
+    let results = [];
+    if (this.index && provider === 'openai') {
+      const queryOptions = { vector: queryEmbedding, topK: Math.min(topK * 2, 100), includeMetadata: true };
+      if (Object.keys(filter).length > 0) queryOptions.filter = metadataFilter.toPineconeFilter(filter);
+      const searchResults = await this.getPineconeTarget(collection).query(queryOptions);
+      results = searchResults.matches;
+    } else {
+      // Local similarity
+      results = await this.performLocalSemanticSearch(queryEmbedding, topK, filter, collection);
+    }
+    return { results, provider };
+  }
+
+  keywordSearch(query, topK, filter = {}, collection = DEFAULT_COLLECTION) {
+    const store = this.collectionStores.get(collection);
+    if (!store) return [];
+    return store.keywordIndex
+      .search(query, topK, id => this.matchesFilter(store.vectors.get(id)?.metadata || {}, filter))
+      .map(({ id, score }) => ({ id, score, metadata: store.vectors.get(id)?.metadata || {} }));
+  }
+
+  // Rank-based fusion: robust to the very different scales of cosine and BM25 scores.
+  // Scores are divided by the best possible value so a document ranked first by both legs scores 1.
+  reciprocalRankFusion(denseResults, keywordResults) {
+    const k = this.searchDefaults.rrfK;
+    const fused = new Map();
+
+    const addLeg = (results, field) => {
+      results.forEach((match, rank) => {
+        const entry = fused.get(match.id) || { id: match.id, metadata: match.metadata, rrf: 0 };
+        entry.rrf += 1 / (k + rank + 1);
+        entry[field] = match.score;
+        fused.set(match.id, entry);
+      });
+    };
+    addLeg(denseResults, 'denseScore');
+    addLeg(keywordResults, 'keywordScore');
+
+    const maxScore = 2 / (k + 1);
+    return Array.from(fused.values())
+      .map(({ rrf, ...entry }) => ({ ...entry, score: rrf / maxScore }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Score blend: alpha * cosine + (1 - alpha) * BM25 normalised to the best keyword hit
+  weightedFusion(denseResults, keywordResults, alpha) {
+    const fused = new Map();
+    const maxKeyword = keywordResults.reduce((max, match) => Math.max(max, match.score), 0) || 1;
+
+    denseResults.forEach(match => {
+      fused.set(match.id, { id: match.id, metadata: match.metadata, denseScore: match.score });
+    });
+    keywordResults.forEach(match => {
+      const entry = fused.get(match.id) || { id: match.id, metadata: match.metadata };
+      entry.keywordScore = match.score;
+      fused.set(match.id, entry);
+    });
+
+    return Array.from(fused.values())
+      .map(entry => ({
+        ...entry,
+        score: alpha * Math.max(entry.denseScore || 0, 0) + (1 - alpha) * ((entry.keywordScore || 0) / maxKeyword)
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
   // --- Multilingual helpers ---
   detectLanguageRich(text) {
     if (!text) return 'unknown';
@@ -444,22 +675,18 @@ class VectorDatabaseService {
     return text.normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase();
   }
 
-  async createHuggingFaceEmbedding(text) {
-    if (!this.hf) throw new Error('HuggingFace API key not configured');
-    const resp = await this.hf.featureExtraction({ model: this.multilingualModel, inputs: text });
-    // HF can return nested arrays; flatten if needed
-    const embedding = Array.isArray(resp[0]) ? resp[0] : resp;
-    return embedding.map(Number);
-  }
-
-  async deleteVector(id) {
+  async deleteVector(id, collection = DEFAULT_COLLECTION) {
     try {
       if (this.index) {
-        await this.index.deleteOne(id);
+        await this.getPineconeTarget(collection).deleteOne(id);
       } else {
-        this.localVectors.delete(id);
+        this.deleteLocalVector(id);
         await this.saveLocalVectors();
       }
+      // Embedding the same text again must create a new vector rather than return this one
+      for (const [cacheKey, cached] of this.vectorCache) {
+        if (cached.id === id) this.vectorCache.delete(cacheKey);
+      }
       logger.info(`Deleted vector: ${id}`);
     } catch (error) {
       logger.error('Failed to delete vector:', error);
@@ -467,21 +694,89 @@ class VectorDatabaseService {
     }
   }
 
-  async getVectorStats() {
+  // Remove every vector that belongs to an ingested document
+  // With ownerId (the document's owner), vectors stored for another user are left alone even when
+  // their ids are passed in or they carry the same documentId
+  async deleteDocumentVectors(documentId, vectorIds = [], collection = DEFAULT_COLLECTION, { ownerId } = {}) {
+    try {
+      const ids = new Set(vectorIds);
+      const isOwned = metadata => !ownerId || !metadata?.userId || metadata.userId === ownerId;
+
+      if (this.index) {
+        const target = this.getPineconeTarget(collection);
+        if (ids.size > 0 && ownerId) {
+          const { records = {} } = await target.fetch(Array.from(ids));
+          for (const id of ids) {
+            if (records[id] && !isOwned(records[id].metadata)) ids.delete(id);
+          }
+        }
+        if (ids.size > 0) await target.deleteMany(Array.from(ids));
+      } else {
+        for (const [id, vectorData] of this.localVectors) {
+          if (vectorData.metadata?.documentId === documentId) ids.add(id);
+        }
+        for (const id of ids) {
+          const vectorData = this.localVectors.get(id);
+          if (vectorData && !isOwned(vectorData.metadata)) ids.delete(id);
+        }
+        ids.forEach(id => this.deleteLocalVector(id));
+        await this.saveLocalVectors();
+      }
+
+      // Drop cached embeddings/results that still point at the removed vectors
+      for (const [key, cached] of this.vectorCache) {
+        if (ids.has(cached.id)) this.vectorCache.delete(key);
+      }
+      this.semanticCache.clear();
+
+      logger.info(`Deleted ${ids.size} vectors for document ${documentId}`);
+      return ids.size;
+    } catch (error) {
+      logger.error('Failed to delete document vectors:', error);
+      throw error;
+    }
+  }
+
+  // `collections` (storage keys) narrows the counts to those collections, e.g. one workspace's
+  async getVectorStats(collections = null) {
+    const stats = await this.getIndexStats();
+    if (!collections || !stats.collections) return stats;
+
+    const { annIndex, ...rest } = stats; // the top-level annIndex describes the default collection
+    const scoped = Object.fromEntries(Object.entries(stats.collections).filter(([name]) => collections.includes(name)));
+    return {
+      ...rest,
+      totalVectors: Object.values(scoped).reduce((sum, { vectors }) => sum + vectors, 0),
+      collections: scoped
+    };
+  }
+
+  async getIndexStats() {
     try {
       if (this.index) {
         const stats = await this.index.describeIndexStats();
+        const collections = {};
+        for (const [namespace, { recordCount }] of Object.entries(stats.namespaces || {})) {
+          collections[namespace || DEFAULT_COLLECTION] = { vectors: recordCount };
+        }
         return {
           totalVectors: stats.totalRecordCount,
           dimension: stats.dimension,
-          indexFullness: stats.indexFullness
+          indexFullness: stats.indexFullness,
+          collections
         };
       } else {
+        const collections = {};
+        for (const [collection, store] of this.collectionStores) {
+          collections[collection] = { vectors: store.vectors.size, annIndex: store.annIndex.getStats() };
+        }
         return {
           totalVectors: this.localVectors.size,
           dimension: this.localVectors.size > 0 ? 
             Array.from(this.localVectors.values())[0].values.length : 0,
-          indexFullness: 0
+          indexFullness: 0,
+          annIndex: this.getCollectionStore(DEFAULT_COLLECTION).annIndex.getStats(),
+          collections
         };
       }
     } catch (error) {
@@ -490,13 +785,19 @@ class VectorDatabaseService {
     }
   }
 
-  async getAllVectors() {
+  // Every vector, or only those of one collection or a list of collections
+  async getAllVectors(collection = null) {
+    if (Array.isArray(collection)) {
+      const lists = await Promise.all(collection.map(name => this.getAllVectors(name)));
+      return lists.flat();
+    }
     try {
       if (this.index) {
         // For Pinecone, we'll need to implement pagination
         // This is a simplified version
-        const results = await this.index.query({
-          vector: new Array(1536).fill(0), // Dummy vector
+        const profile = await embeddingRegistryService.getProfile(collection || DEFAULT_COLLECTION);
+        const results = await this.getPineconeTarget(collection || DEFAULT_COLLECTION).query({
+          vector: new Array(profile?.dimension || 1536).fill(0), // Dummy vector
           topK: 10000,
           includeMetadata: true
         });
@@ -506,6 +807,8 @@ class VectorDatabaseService {
           metadata: match.metadata,
           vector: match.values || []
         }));
+      } else if (collection) {
+        return Array.from(this.collectionStores.get(collection)?.vectors.values() || []);
       } else {
         return Array.from(this.localVectors.values());
       }
@@ -520,13 +823,9 @@ class VectorDatabaseService {
       const vectors = [];
       
       for (const doc of documents) {
-        const response = await this.openai.embeddings.create({
-          model: process.env.EMBEDDING_MODEL || 'text-embedding-3-large',
-          input: doc.text,
-          encoding_format: 'float',
-        });
-
-        const embedding = response.data[0].embedding;
+        const collection = doc.metadata?.collection || DEFAULT_COLLECTION;
+        const { embedding, provider, model } = await this.embedText(doc.text, collection);
+        await embeddingRegistryService.ensureProfile(collection, { provider, model, dimension: embedding.length });
         const id = uuidv4();
         
         vectors.push({
@@ -535,16 +834,26 @@ class VectorDatabaseService {
           metadata: {
             text: doc.text,
             timestamp: new Date().toISOString(),
-            ...doc.metadata
+            timestampMs: Date.now(),
+            ...doc.metadata,
+            collection
           }
         });
       }
 
       if (this.index) {
-        await this.index.upsert(vectors);
+        const byCollection = new Map();
+        vectors.forEach(vector => {
+          const collection = this.collectionOf(vector);
+          if (!byCollection.has(collection)) byCollection.set(collection, []);
+          byCollection.get(collection).push(vector);
+        });
+        for (const [collection, batch] of byCollection) {
+          await this.getPineconeTarget(collection).upsert(batch);
+        }
       } else {
         vectors.forEach(vector => {
-          this.localVectors.set(vector.id, vector);
+          this.setLocalVector(vector);
         });
         await this.saveLocalVectors();
       }
@@ -652,22 +961,25 @@ class VectorDatabaseService {
     return intersection.size / union.size;
   }
 
-  async performLocalSemanticSearch(queryEmbedding, topK, filter) {
+  async performLocalSemanticSearch(queryEmbedding, topK, filter, collection = DEFAULT_COLLECTION) {
+    const store = this.collectionStores.get(collection);
+    if (!store) return [];
+
+    if (store.annIndex.isReady()) {
+      return store.annIndex
+        .search(queryEmbedding, topK, id => this.matchesFilter(store.vectors.get(id)?.metadata || {}, filter))
+        .map(({ id, score }) => ({ id, score, metadata: store.vectors.get(id).metadata }));
+    }
+
+    // Linear scan when faiss-node isn't available
     const similarities = [];
     
-    for (const [id, vectorData] of this.localVectors) {
+    for (const [id, vectorData] of store.vectors) {
+      // Vectors from another embedding space can't be compared; they wait for a re-embed
+      if (vectorData.values.length !== queryEmbedding.length) continue;
       const similarity = this.cosineSimilarity(queryEmbedding, vectorData.values);
       
-      // Apply filters
-      let passesFilter = true;
-      for (const [key, value] of Object.entries(filter)) {
-        if (vectorData.metadata[key] !== value) {
-          passesFilter = false;
-          break;
-        }
-      }
-      
-      if (passesFilter) {
+      if (this.matchesFilter(vectorData.metadata, filter)) {
         similarities.push({
           id,
           score: similarity,
@@ -681,13 +993,150 @@ class VectorDatabaseService {
       .slice(0, topK);
   }
 
+  cosineSimilarity(a, b) {
+    return this.clusteringService.cosineSimilarity(a, b);
+  }
+
+  // === EMBEDDING MIGRATION ===
+
+  // Start re-embedding a collection under another provider/model; progress goes to onProgress(job)
+  startReembedJob({ collection = DEFAULT_COLLECTION, provider, model, userId = 'default' }, onProgress = () => {}) {
+    if (this.index) {
+      throw new Error('Re-embedding is only supported for local vector storage; Pinecone indexes have a fixed dimension');
+    }
+    const target = embeddingRegistryService.getProvider(provider);
+    for (const job of this.reembedJobs.values()) {
+      if (job.collection === collection && job.status === 'running') {
+        throw new Error(`A re-embed job is already running for collection "${collection}"`);
+      }
+    }
+
+    const job = {
+      id: uuidv4(),
+      collection,
+      provider,
+      model: model || target.defaultModel,
+      userId,
+      status: 'running',
+      processed: 0,
+      total: this.collectionStores.get(collection)?.vectors.size || 0,
+      startedAt: new Date().toISOString()
+    };
+    this.reembedJobs.set(job.id, job);
+
+    this.runReembedJob(job, onProgress).catch(error => {
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      logger.error(`Re-embed job ${job.id} failed:`, error);
+      onProgress(job);
+    });
+    return job;
+  }
+
+  getReembedJob(jobId) {
+    return this.reembedJobs.get(jobId) || null;
+  }
+
+  // Builds the new vectors on the side and swaps them in only when every vector succeeded
+  async runReembedJob(job, onProgress) {
+    const store = this.getCollectionStore(job.collection);
+    const reembedded = new Map();
+    let dimension = null;
+
+    // Keep going until vectors inserted while the job ran are covered too
+    let pending = Array.from(store.vectors.keys());
+    while (pending.length > 0) {
+      job.total = reembedded.size + pending.length;
+      for (const id of pending) {
+        const vectorData = store.vectors.get(id);
+        if (!vectorData) continue;
+
+        const { embedding } = await embeddingRegistryService.embedWith(job.provider, this.getVectorText(vectorData), job.model);
+        if (dimension === null) dimension = embedding.length;
+        if (embedding.length !== dimension) {
+          throw new Error(`Provider returned ${embedding.length} dimensions after ${dimension}; refusing to mix`);
+        }
+
+        reembedded.set(id, {
+          ...vectorData,
+          values: embedding,
+          metadata: { ...vectorData.metadata, provider: job.provider, model: job.model, embeddingLength: embedding.length }
+        });
+        job.processed = reembedded.size;
+        onProgress(job);
+      }
+      pending = Array.from(store.vectors.keys()).filter(id => !reembedded.has(id));
+    }
+
+    // Drop vectors deleted while the job ran
+    for (const id of reembedded.keys()) {
+      if (!store.vectors.has(id)) reembedded.delete(id);
+    }
+
+    reembedded.forEach((vectorData, id) => {
+      this.localVectors.set(id, vectorData);
+      this.changedVectorIds.add(id);
+      store.vectors.set(id, vectorData);
+    });
+    store.annIndex.rebuild(store.vectors, dimension);
+    this.vectorCache.clear();
+    this.semanticCache.clear();
+    await this.flushLocalVectors();
+    if (dimension !== null) {
+      await embeddingRegistryService.setProfile(job.collection, { provider: job.provider, model: job.model, dimension });
+    }
+
+    job.status = 'completed';
+    job.total = reembedded.size;
+    job.processed = reembedded.size;
+    job.dimension = dimension;
+    job.finishedAt = new Date().toISOString();
+    logger.info(`✅ Re-embedded ${reembedded.size} vectors in "${job.collection}" with ${job.provider}/${job.model}`);
+    onProgress(job);
+  }
+
+  // === COLLECTIONS ===
+
+  // Drop every vector in a collection along with its ANN index and embedding profile
+  async deleteCollectionVectors(collection) {
+    let deleted = 0;
+    if (this.index) {
+      await this.getPineconeTarget(collection).deleteAll();
+    } else {
+      const store = this.collectionStores.get(collection);
+      if (store) {
+        deleted = store.vectors.size;
+        store.vectors.forEach((vectorData, id) => {
+          this.localVectors.delete(id);
+          this.changedVectorIds.add(id);
+        });
+        store.vectors.clear();
+        store.annIndex.rebuild(store.vectors, null); // empty index, save() removes its files
+        await this.flushLocalVectors();
+        this.collectionStores.delete(collection);
+      }
+    }
+
+    await embeddingRegistryService.removeProfile(collection);
+    this.vectorCache.clear();
+    this.semanticCache.clear();
+    logger.info(`Deleted ${this.index ? 'all' : deleted} vectors in collection "${collection}"`);
+    return deleted;
+  }
+
+  // Metadata filter shared by the dense, keyword and ANN legs
+  matchesFilter(metadata, filter = {}) {
+    return metadataFilter.matchesFilter(metadata, filter);
+  }
+
   // Batch processing system
   startBatchProcessor() {
     setInterval(async () => {
       if (this.batchQueue.length > 0 && !this.isProcessingBatch) {
         await this.processBatch();
       }
-    }, 5000); // Process every 5 seconds
+    }, 5000).unref(); // Process every 5 seconds, without keeping the process alive
   }
 
   async addToBatch(document) {
@@ -720,12 +1169,13 @@ class VectorDatabaseService {
   }
 
   // Advanced vector analytics and insights
-  async getAdvancedVectorStats() {
+  async getAdvancedVectorStats(collections = null) {
     try {
-      const basicStats = await this.getVectorStats();
+      const basicStats = await this.getVectorStats(collections);
       
       // Calculate additional metrics
-      const clusterStats = Object.fromEntries(this.vectorAnalytics.clusterDistribution);
+      const clusterStats = Object.fromEntries(Array.from(this.vectorAnalytics.clusterDistribution)
+        .filter(([collection]) => !collections || collections.includes(collection)));
       const cacheStats = {
         vectorCacheSize: this.vectorCache.size,
         semanticCacheSize: this.semanticCache.size,
@@ -750,14 +1200,17 @@ class VectorDatabaseService {
       };
     } catch (error) {
       logger.error('Failed to get advanced vector stats:', error);
-      return await this.getVectorStats();
+      return await this.getVectorStats(collections);
     }
   }
 
-  // Vector similarity clustering analysis
-  async analyzeSimilarityPatterns(sampleSize = 100) {
+  // Vector similarity clustering analysis, over every local vector or those of some collections
+  async analyzeSimilarityPatterns(sampleSize = 100, collections = null) {
     try {
-      const vectors = Array.from(this.localVectors.values()).slice(0, sampleSize);
+      const pool = collections
+        ? collections.flatMap(name => Array.from(this.collectionStores.get(name)?.vectors.values() || []))
+        : Array.from(this.localVectors.values());
+      const vectors = pool.slice(0, sampleSize);
       if (vectors.length < 2) return { error: 'Insufficient vectors for analysis' };
       
       const similarities = [];
@@ -812,3 +1265,4 @@ class VectorDatabaseService {
 }
 
 module.exports = new VectorDatabaseService();
+module.exports.VectorDatabaseService = VectorDatabaseService;
@@ -0,0 +1,144 @@
+// Persistence for the local vector store (used when Pinecone isn't configured)
+// Both adapters load every vector into memory at startup ({ id, values, metadata } by id) and are
+// handed the ids changed since the last save:
+//   file   - data/local_vectors.meta.json (ids and metadata) plus data/local_vectors.bin (float32
+//            values in meta order), rewritten as a snapshot and swapped in via rename
+//   sqlite - a vectors table in the shared database; only changed rows are written, in one transaction
+// STORAGE_BACKEND picks the adapter: json (default, the file snapshot) or sqlite.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+const { getSqliteDb } = require('./sqliteClient');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+function toBlob(values) {
+  const floats = Float32Array.from(values);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+// Copied out first: SQLite blobs may not start on a 4-byte boundary
+function fromBlob(buffer) {
+  return Array.from(new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)));
+}
+
+class FileVectorStorage {
+  constructor({ dir = DATA_DIR } = {}) {
+    this.type = 'file';
+    this.legacyFile = path.join(dir, 'local_vectors.json'); // pretty-printed store, read once for migration
+    this.metaFile = path.join(dir, 'local_vectors.meta.json');
+    this.dataFile = path.join(dir, 'local_vectors.bin');
+  }
+
+  async load() {
+    if (await fs.pathExists(this.metaFile) && await fs.pathExists(this.dataFile)) {
+      return this.readSnapshot();
+    }
+    if (await fs.pathExists(this.legacyFile)) {
+      const vectors = new Map(Object.entries(await fs.readJSON(this.legacyFile)));
+      logger.info(`📦 Migrating ${vectors.size} vectors from local_vectors.json to the binary store`);
+      await this.save(vectors);
+      return vectors;
+    }
+    return new Map();
+  }
+
+  // The snapshot is always complete, so the changed ids aren't needed
+  async save(vectors) {
+    const entries = Array.from(vectors.values());
+    const totalValues = entries.reduce((sum, vectorData) => sum + vectorData.values.length, 0);
+    const values = new Float32Array(totalValues);
+
+    let offset = 0;
+    const meta = entries.map(vectorData => {
+      values.set(vectorData.values, offset);
+      offset += vectorData.values.length;
+      return { id: vectorData.id, dimension: vectorData.values.length, metadata: vectorData.metadata };
+    });
+
+    await fs.ensureDir(path.dirname(this.metaFile));
+    await fs.writeFile(`${this.dataFile}.tmp`, Buffer.from(values.buffer));
+    await fs.writeJSON(`${this.metaFile}.tmp`, { version: 1, vectors: meta });
+    await fs.move(`${this.dataFile}.tmp`, this.dataFile, { overwrite: true });
+    await fs.move(`${this.metaFile}.tmp`, this.metaFile, { overwrite: true });
+
+    if (await fs.pathExists(this.legacyFile)) {
+      await fs.move(this.legacyFile, `${this.legacyFile}.bak`, { overwrite: true });
+    }
+  }
+
+  async readSnapshot() {
+    const { vectors } = await fs.readJSON(this.metaFile);
+    const buffer = await fs.readFile(this.dataFile);
+    const values = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+    const localVectors = new Map();
+    let offset = 0;
+    for (const { id, dimension, metadata } of vectors) {
+      localVectors.set(id, { id, values: Array.from(values.subarray(offset, offset + dimension)), metadata });
+      offset += dimension;
+    }
+    return localVectors;
+  }
+}
+
+class SqliteVectorStorage {
+  constructor({ db }) {
+    this.type = 'sqlite';
+    this.db = db;
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS vectors (
+        id TEXT PRIMARY KEY,
+        collection TEXT NOT NULL,
+        dimension INTEGER NOT NULL,
+        embedding BLOB NOT NULL,
+        metadata TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS vectors_collection ON vectors (collection);
+    `);
+    this.upsertStatement = this.db.prepare(
+      'INSERT OR REPLACE INTO vectors (id, collection, dimension, embedding, metadata) VALUES (?, ?, ?, ?, ?)'
+    );
+    this.deleteStatement = this.db.prepare('DELETE FROM vectors WHERE id = ?');
+  }
+
+  async load() {
+    const vectors = new Map();
+    for (const row of this.db.prepare('SELECT id, embedding, metadata FROM vectors').iterate()) {
+      vectors.set(row.id, { id: row.id, values: fromBlob(row.embedding), metadata: JSON.parse(row.metadata) });
+    }
+    return vectors;
+  }
+
+  // changedIds: ids added, updated or deleted since the last save; without it every vector is written
+  async save(vectors, changedIds = vectors.keys()) {
+    const write = this.db.transaction(ids => {
+      for (const id of ids) {
+        const vectorData = vectors.get(id);
+        if (!vectorData) {
+          this.deleteStatement.run(id);
+          continue;
+        }
+        const metadata = vectorData.metadata || {};
+        this.upsertStatement.run(id, metadata.collection || 'default', vectorData.values.length, toBlob(vectorData.values), JSON.stringify(metadata));
+      }
+    });
+    write(Array.from(changedIds));
+  }
+
+  ids() {
+    return new Set(this.db.prepare('SELECT id FROM vectors').pluck().all());
+  }
+}
+
+// SQLite falls back to the file snapshot when better-sqlite3 can't be loaded
+function createVectorStorage({ type = process.env.STORAGE_BACKEND || 'json', dir } = {}) {
+  if (type === 'sqlite') {
+    const db = getSqliteDb();
+    if (db) return new SqliteVectorStorage({ db });
+    logger.warn('SQLite unavailable, keeping local vectors in data/local_vectors.bin');
+  }
+  return new FileVectorStorage({ dir });
+}
+
+module.exports = { createVectorStorage, FileVectorStorage, SqliteVectorStorage };
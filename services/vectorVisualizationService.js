@@ -5,6 +5,7 @@ const { JSDOM } = require('jsdom');
 const chroma = require('chroma-js');
 const logger = require('./loggerService');
 const vectorDatabaseService = require('./vectorDatabaseService');
+const metadataFilter = require('./metadataFilter');
 
 class VectorVisualizationService {
   constructor() {
@@ -16,6 +17,15 @@ class VectorVisualizationService {
     await fs.ensureDir(this.visualizationsDir);
   }
 
+  // Each workspace keeps its visualizations in its own folder; the default workspace uses the root
+  workspaceDir(workspaceId = 'default') {
+    return workspaceId === 'default' ? this.visualizationsDir : path.join(this.visualizationsDir, workspaceId);
+  }
+
+  workspaceUrl(workspaceId = 'default') {
+    return workspaceId === 'default' ? '/visualizations' : `/visualizations/${workspaceId}`;
+  }
+
   async createVectorVisualization(options = {}) {
     try {
       const {
@@ -25,11 +35,13 @@ class VectorVisualizationService {
         colorBy = 'category',
         includeLabels = true,
         userId = null,
-        filters = {}
+        filters = {},
+        collection = null, // null visualizes every collection; also a list of collections
+        workspaceId = 'default'
       } = options;
 
       // Get vectors from database
-      const vectors = await this.getVectorsForVisualization(maxVectors, userId, filters);
+      const vectors = await this.getVectorsForVisualization(maxVectors, userId, filters, collection);
       
       if (vectors.length === 0) {
         throw new Error('No vectors found for visualization');
@@ -61,17 +73,19 @@ class VectorVisualizationService {
       }
 
       const visualizationId = `viz_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      const filePath = path.join(this.visualizationsDir, `${visualizationId}.html`);
+      const filePath = path.join(this.workspaceDir(workspaceId), `${visualizationId}.html`);
       
+      await fs.ensureDir(path.dirname(filePath));
       await fs.writeFile(filePath, visualization.html);
       
       const result = {
         id: visualizationId,
         type,
         filePath,
-        url: `/visualizations/${visualizationId}.html`,
+        url: `${this.workspaceUrl(workspaceId)}/${visualizationId}.html`,
         metadata: {
           vectorCount: vectors.length,
+          collection,
           dimensions,
           colorBy,
           createdAt: new Date().toISOString(),
@@ -87,10 +101,10 @@ class VectorVisualizationService {
     }
   }
 
-  async getVectorsForVisualization(maxVectors, userId, filters) {
+  async getVectorsForVisualization(maxVectors, userId, filters, collection = null) {
     try {
       // Get all vectors (in a real implementation, you'd want pagination)
-      const allVectors = await vectorDatabaseService.getAllVectors();
+      const allVectors = await vectorDatabaseService.getAllVectors(collection);
       
       // Apply filters
       let filteredVectors = allVectors;
@@ -99,9 +113,7 @@ class VectorVisualizationService {
         filteredVectors = filteredVectors.filter(v => v.metadata.userId === userId);
       }
       
-      for (const [key, value] of Object.entries(filters)) {
-        filteredVectors = filteredVectors.filter(v => v.metadata[key] === value);
-      }
+      filteredVectors = filteredVectors.filter(v => metadataFilter.matchesFilter(v.metadata || {}, filters));
       
       // Limit the number of vectors
       if (filteredVectors.length > maxVectors) {
@@ -734,20 +746,22 @@ class VectorVisualizationService {
 </html>`;
   }
 
-  async getAvailableVisualizations() {
+  async getAvailableVisualizations(workspaceId = 'default') {
     try {
-      const files = await fs.readdir(this.visualizationsDir);
+      const dir = this.workspaceDir(workspaceId);
+      if (!(await fs.pathExists(dir))) return [];
+      const files = await fs.readdir(dir);
       const visualizations = [];
       
       for (const file of files) {
         if (file.endsWith('.html')) {
-          const filePath = path.join(this.visualizationsDir, file);
+          const filePath = path.join(dir, file);
           const stats = await fs.stat(filePath);
           
           visualizations.push({
             id: file.replace('.html', ''),
             filename: file,
-            url: `/visualizations/${file}`,
+            url: `${this.workspaceUrl(workspaceId)}/${file}`,
             createdAt: stats.birthtime,
             size: stats.size
           });
@@ -761,9 +775,10 @@ class VectorVisualizationService {
     }
   }
 
-  async deleteVisualization(visualizationId) {
+  async deleteVisualization(visualizationId, workspaceId = 'default') {
     try {
-      const filePath = path.join(this.visualizationsDir, `${visualizationId}.html`);
+      if (!/^viz_[a-z0-9_]+$/.test(visualizationId)) return false;
+      const filePath = path.join(this.workspaceDir(workspaceId), `${visualizationId}.html`);
       if (await fs.pathExists(filePath)) {
         await fs.unlink(filePath);
         logger.info(`Deleted visualization: ${visualizationId}`);
@@ -775,6 +790,11 @@ class VectorVisualizationService {
       return false;
     }
   }
+
+  async deleteWorkspaceVisualizations(workspaceId) {
+    if (workspaceId === 'default') return;
+    await fs.remove(this.workspaceDir(workspaceId));
+  }
 }
 
 module.exports = new VectorVisualizationService();
@@ -0,0 +1,214 @@
+// Workspaces: separate tenants, each with its own collections, documents, memory, threads,
+// analytics and visualizations. Users can belong to several and pick one per request with the
+// X-Workspace-Id header. "default" always exists, is open to every account and holds everything
+// created before workspaces existed, so its collections and user data keep their original keys.
+// Other workspaces prefix their storage keys with the workspace id and a dot ("acme.hr-policies"),
+// which collection names and user ids can't contain.
+const fs = require('fs-extra');
+const path = require('path');
+const logger = require('./loggerService');
+
+const DEFAULT_WORKSPACE = 'default';
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,62}$/;
+const SCOPED_ID_PATTERN = /^([a-z0-9][a-z0-9_-]{0,62})\./;
+
+class WorkspaceService {
+  constructor() {
+    this.workspacesFile = path.join(__dirname, '../data/workspaces.json');
+    this.workspaces = new Map(); // id -> { id, name, ownerId, members: [userId], createdAt, updatedAt }
+    this.writeQueue = Promise.resolve();
+    this.ready = this.loadWorkspaces();
+  }
+
+  get defaultWorkspace() {
+    return DEFAULT_WORKSPACE;
+  }
+
+  async loadWorkspaces() {
+    try {
+      if (await fs.pathExists(this.workspacesFile)) {
+        const data = await fs.readJSON(this.workspacesFile);
+        this.workspaces = new Map(Object.entries(data));
+      }
+      if (!this.workspaces.has(DEFAULT_WORKSPACE)) {
+        const now = new Date().toISOString();
+        this.workspaces.set(DEFAULT_WORKSPACE, {
+          id: DEFAULT_WORKSPACE,
+          name: 'Default',
+          ownerId: null,
+          members: [],
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to load workspaces:', error);
+    }
+  }
+
+  async saveWorkspaces() {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await fs.ensureDir(path.dirname(this.workspacesFile));
+        await fs.writeJSON(this.workspacesFile, Object.fromEntries(this.workspaces), { spaces: 2 });
+      } catch (error) {
+        logger.error('Failed to save workspaces:', error);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  // === KEYS ===
+
+  // Storage key of a workspace-local name (collection or user id); default keeps the bare name
+  scopeKey(workspaceId, name) {
+    return workspaceId === DEFAULT_WORKSPACE ? name : `${workspaceId}.${name}`;
+  }
+
+  // Workspace a scoped key belongs to: "acme.<userId>" -> "acme", "<userId>" -> "default"
+  // (keys from before accounts could contain dots, so the prefix must be a known workspace)
+  workspaceOf(key) {
+    const prefix = String(key || '').match(SCOPED_ID_PATTERN)?.[1];
+    return prefix && this.workspaces.has(prefix) ? prefix : DEFAULT_WORKSPACE;
+  }
+
+  // The workspace-local part of a scoped key: "acme.hr-policies" -> "hr-policies"
+  localName(key) {
+    const workspaceId = this.workspaceOf(key);
+    return workspaceId === DEFAULT_WORKSPACE ? key : key.slice(workspaceId.length + 1);
+  }
+
+  // Collection holding a user's memory, profile and Q&A vectors: the default collection of the
+  // workspace their scoped id belongs to
+  personalCollection(userId) {
+    return this.scopeKey(this.workspaceOf(userId), 'default');
+  }
+
+  // "Acme Corp" -> "acme-corp", with a numeric suffix when that id is taken
+  generateId(name) {
+    const base = String(name || '')
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 56);
+    if (!ID_PATTERN.test(base)) throw new Error('Workspace name must contain letters or digits');
+
+    let id = base;
+    for (let n = 2; this.workspaces.has(id); n++) id = `${base}-${n}`;
+    return id;
+  }
+
+  // === WORKSPACES ===
+
+  // Workspaces the user belongs to (default first); `all` lists every workspace, for admins
+  async listWorkspaces(userId, { all = false } = {}) {
+    await this.ready;
+    return Array.from(this.workspaces.values())
+      .filter(workspace => all || this.isMember(workspace, userId))
+      .sort((a, b) => (b.id === DEFAULT_WORKSPACE) - (a.id === DEFAULT_WORKSPACE) || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getWorkspace(id) {
+    await this.ready;
+    return this.workspaces.get(id) || null;
+  }
+
+  isMember(workspace, userId) {
+    return workspace.id === DEFAULT_WORKSPACE || workspace.members.includes(userId);
+  }
+
+  // The creator owns the new workspace and is its first member; it starts with a default collection
+  async createWorkspace(userId, { name }) {
+    await this.ready;
+    if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+
+    const now = new Date().toISOString();
+    const workspace = {
+      id: this.generateId(name),
+      name: name.trim().slice(0, 80),
+      ownerId: userId,
+      members: [userId],
+      createdAt: now,
+      updatedAt: now
+    };
+    this.workspaces.set(workspace.id, workspace);
+    await this.saveWorkspaces();
+
+    const collectionService = require('./collectionService'); // required late: it requires this module
+    await collectionService.ensureDefaultCollection(workspace.id);
+
+    logger.info(`🏢 Created workspace "${workspace.id}"`);
+    return workspace;
+  }
+
+  async renameWorkspace(id, name) {
+    await this.ready;
+    if (typeof name !== 'string' || !name.trim()) throw new Error('name is required');
+    const workspace = this.workspaces.get(id);
+    if (!workspace) return null;
+
+    workspace.name = name.trim().slice(0, 80);
+    workspace.updatedAt = new Date().toISOString();
+    await this.saveWorkspaces();
+    return workspace;
+  }
+
+  // Removes the record only; the route deletes the workspace's data first
+  async deleteWorkspace(id) {
+    await this.ready;
+    if (id === DEFAULT_WORKSPACE) throw new Error('The default workspace cannot be deleted');
+    const workspace = this.workspaces.get(id);
+    if (!workspace) return null;
+
+    this.workspaces.delete(id);
+    await this.saveWorkspaces();
+    logger.info(`🗑️ Deleted workspace "${id}"`);
+    return workspace;
+  }
+
+  // === MEMBERS ===
+
+  async addMember(id, userId) {
+    await this.ready;
+    const workspace = this.workspaces.get(id);
+    if (!workspace) return null;
+    if (id === DEFAULT_WORKSPACE) throw new Error('Every account is already a member of the default workspace');
+
+    if (!workspace.members.includes(userId)) {
+      workspace.members.push(userId);
+      workspace.updatedAt = new Date().toISOString();
+      await this.saveWorkspaces();
+    }
+    return workspace;
+  }
+
+  // The member's data stays in the workspace, so it is back if they are added again
+  async removeMember(id, userId) {
+    await this.ready;
+    const workspace = this.workspaces.get(id);
+    if (!workspace) return null;
+    if (id === DEFAULT_WORKSPACE) throw new Error('Members cannot be removed from the default workspace');
+    if (workspace.ownerId === userId) throw new Error('The owner cannot be removed from their workspace');
+
+    workspace.members = workspace.members.filter(member => member !== userId);
+    workspace.updatedAt = new Date().toISOString();
+    await this.saveWorkspaces();
+    return workspace;
+  }
+
+  // For deleted accounts: drop their memberships; workspaces they owned are left to admins
+  async removeUser(userId) {
+    await this.ready;
+    let changed = false;
+    for (const workspace of this.workspaces.values()) {
+      if (workspace.members.includes(userId)) {
+        workspace.members = workspace.members.filter(member => member !== userId);
+        changed = true;
+      }
+    }
+    if (changed) await this.saveWorkspaces();
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Bm25Index = require('../services/bm25Index');
+
+function createIndex(documents) {
+  const index = new Bm25Index();
+  Object.entries(documents).forEach(([id, text]) => index.add(id, text));
+  return index;
+}
+
+test('tokenize keeps part numbers and versions, folds accents and drops stop words', () => {
+  const index = new Bm25Index();
+  assert.deepEqual(index.tokenize('The XR-200 ships with v2.1 (GDPR-ready).'), ['xr-200', 'ships', 'v2.1', 'gdpr-ready']);
+  assert.deepEqual(index.tokenize('Café in Zürich...'), ['cafe', 'zurich']);
+  assert.deepEqual(index.tokenize(''), []);
+});
+
+test('search matches identifiers exactly', () => {
+  const index = createIndex({
+    a: 'The XR-200 pump is rated for 40 bar.',
+    b: 'The XR-300 pump is rated for 60 bar.'
+  });
+  assert.deepEqual(index.search('XR-200').map(result => result.id), ['a']);
+  assert.deepEqual(index.search('the of and'), []);
+  assert.deepEqual(index.search('turbine'), []);
+});
+
+test('rare terms outweigh common ones and shorter matches rank first', () => {
+  const index = createIndex({
+    common: 'pump pump maintenance',
+    rare: 'pump calibration',
+    long: 'calibration of the pump housing, seals, valves, gauges, sensors and every other part',
+    other: 'pump schedule'
+  });
+  const results = index.search('pump calibration');
+  assert.deepEqual(results.map(result => result.id).slice(0, 2), ['rare', 'long']);
+  results.forEach(result => assert.ok(result.score > 0));
+  for (let i = 1; i < results.length; i++) assert.ok(results[i - 1].score >= results[i].score);
+});
+
+test('search honours topK and the accept filter', () => {
+  const index = createIndex({ a: 'vector search', b: 'vector index', c: 'vector store' });
+  assert.equal(index.search('vector', 2).length, 2);
+  assert.deepEqual(index.search('vector', 10, id => id !== 'b').map(result => result.id).sort(), ['a', 'c']);
+});
+
+test('re-adding replaces a document and removing forgets it', () => {
+  const index = createIndex({ a: 'alpha beta', b: 'beta gamma' });
+  index.add('a', 'delta');
+  assert.equal(index.size, 2);
+  assert.deepEqual(index.search('alpha'), []);
+  assert.deepEqual(index.search('delta').map(result => result.id), ['a']);
+
+  assert.equal(index.remove('b'), true);
+  assert.equal(index.remove('b'), false);
+  assert.deepEqual(index.search('gamma'), []);
+  assert.equal(index.postings.has('gamma'), false);
+  assert.equal(index.totalLength, 1);
+
+  index.clear();
+  assert.equal(index.size, 0);
+  assert.deepEqual(index.search('delta'), []);
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chunkingService = require('../services/chunkingService');
+
+const sentence = index => `Sentence number ${index} talks about retrieval and chunking in some detail.`;
+const prose = Array.from({ length: 40 }, (_, index) => sentence(index)).join(' ');
+
+// Every chunk must point back at exactly the text it holds
+function assertOffsets(text, chunks) {
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.equal(text.slice(chunk.startOffset, chunk.endOffset), chunk.text);
+    assert.equal(chunk.text, chunk.text.trim());
+  });
+}
+
+test('empty text has no chunks', () => {
+  assert.deepEqual(chunkingService.chunkText(''), []);
+  assert.deepEqual(chunkingService.chunkText(' \n\t '), []);
+});
+
+test('every strategy keeps chunks under the token budget with exact offsets', () => {
+  for (const strategy of chunkingService.getStrategies()) {
+    const chunks = chunkingService.chunkText(prose, { strategy, maxTokens: 64, overlapTokens: 0 });
+    assert.ok(chunks.length > 1, strategy);
+    assertOffsets(prose, chunks);
+    chunks.forEach(chunk => {
+      assert.equal(chunk.strategy, strategy);
+      assert.ok(chunk.tokenCount <= 64, `${strategy}: ${chunk.tokenCount} tokens`);
+    });
+  }
+});
+
+test('sentence chunks end on sentence boundaries and cover the whole text', () => {
+  const chunks = chunkingService.chunkText(prose, { strategy: 'sentence', maxTokens: 64, overlapTokens: 0 });
+  chunks.forEach(chunk => assert.match(chunk.text, /\.$/));
+  assert.equal(chunks.map(chunk => chunk.text).join(' '), prose);
+});
+
+test('overlap repeats the previous chunk\'s trailing sentences', () => {
+  const chunks = chunkingService.chunkText(prose, { strategy: 'sentence', maxTokens: 64, overlapTokens: 24 });
+  for (let i = 1; i < chunks.length; i++) {
+    assert.ok(chunks[i].startOffset < chunks[i - 1].endOffset, `chunk ${i} overlaps chunk ${i - 1}`);
+    assert.ok(chunks[i].endOffset > chunks[i - 1].endOffset, `chunk ${i} moves forward`);
+  }
+  assert.equal(chunks[chunks.length - 1].endOffset, prose.length);
+});
+
+test('overlap is capped at half the budget and the budget has a floor', () => {
+  const chunks = chunkingService.chunkText(prose, { strategy: 'sentence', maxTokens: 1, overlapTokens: 100 });
+  chunks.forEach(chunk => assert.ok(chunk.tokenCount <= 16, `${chunk.tokenCount} tokens`));
+  for (let i = 1; i < chunks.length; i++) assert.ok(chunks[i].endOffset > chunks[i - 1].endOffset);
+});
+
+test('text without separators is split on the character budget', () => {
+  const text = 'x'.repeat(200);
+  const chunks = chunkingService.chunkText(text, { strategy: 'recursive', maxTokens: 16, overlapTokens: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.text.length), [64, 64, 64, 8]);
+  assertOffsets(text, chunks);
+});
+
+test('markdown chunks stay within one section and carry its heading path', () => {
+  const text = [
+    '# Guide',
+    'Intro text.',
+    '## Install',
+    'Run npm install.',
+    '### Windows',
+    'Use PowerShell.',
+    '## Usage',
+    'Run npm start.'
+  ].join('\n\n');
+  const chunks = chunkingService.chunkText(text, { strategy: 'markdown', maxTokens: 256 });
+  assertOffsets(text, chunks);
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), [
+    ['Guide'],
+    ['Guide', 'Install'],
+    ['Guide', 'Install', 'Windows'],
+    ['Guide', 'Usage']
+  ]);
+  assert.match(chunks[3].text, /^## Usage\n\nRun npm start\.$/);
+});
+
+test('pages are counted from form feeds', () => {
+  const text = `${sentence(1)}\f${sentence(2)}\f${sentence(3)}`;
+  const [whole] = chunkingService.chunkText(text, { strategy: 'recursive', maxTokens: 256 });
+  assert.equal(whole.page, 1);
+  assert.equal(whole.pageEnd, 3);
+
+  const chunks = chunkingService.chunkText(text, { strategy: 'sentence', maxTokens: 20, overlapTokens: 0 });
+  assert.deepEqual(chunks.map(chunk => chunk.page), [1, 2, 3]);
+  assert.equal(chunkingService.chunkText(sentence(1))[0].page, null);
+});
+
+test('unknown strategies fall back to the default', () => {
+  const [chunk] = chunkingService.chunkText(sentence(1), { strategy: 'semantic' });
+  assert.equal(chunk.strategy, chunkingService.defaults.strategy);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// A stand-in for the provider chain that is offline, so condensation falls back to the heuristic
+const llmProviderPath = require.resolve('../services/llmProviderService');
+const offlineProviders = { chat: async () => { throw new Error('offline'); } };
+require.cache[llmProviderPath] = { id: llmProviderPath, filename: llmProviderPath, loaded: true, exports: offlineProviders };
+const conversationService = require('../services/conversationService');
+
+const history = [
+  { role: 'user', content: 'Which vector stores does the app support?' },
+  { role: 'assistant', content: 'Pinecone, and a local FAISS index.' }
+];
+
+test('follow-ups refer back or are elliptical', () => {
+  for (const message of ['what about the second one?', 'tell me more about it', 'Compare them', 'Which option is that?', 'And for Python?', 'why?', 'more']) {
+    assert.equal(conversationService.isFollowUp(message), true, message);
+  }
+});
+
+test('standalone questions are not follow-ups, however short', () => {
+  for (const message of ['What is the capital of France?', 'Explain BM25', 'List the steps', 'What is the protocol that handles retries?']) {
+    assert.equal(conversationService.isFollowUp(message), false, message);
+  }
+});
+
+test('without an LLM only follow-ups borrow the previous question', async () => {
+  assert.deepEqual(await conversationService.condenseQuery('How is the FAISS index trained?', history), {
+    query: 'How is the FAISS index trained?',
+    rewritten: false
+  });
+  assert.deepEqual(await conversationService.condenseQuery('what about the second one?', history), {
+    query: 'Which vector stores does the app support? what about the second one?',
+    rewritten: true
+  });
+});
+
+test('there is nothing to condense without history', async () => {
+  offlineProviders.chat = async () => assert.fail('the LLM should not be asked');
+  assert.deepEqual(await conversationService.condenseQuery('and the second one?', []), { query: 'and the second one?', rewritten: false });
+});
+
+test('normalizeHistory validates client history and keeps the last turns', () => {
+  assert.throws(() => conversationService.normalizeHistory('hi'), /history must be an array/);
+  assert.throws(() => conversationService.normalizeHistory([{ role: 'system', content: 'x' }]), /history\[0\] must have a role/);
+
+  const long = Array.from({ length: 40 }, (_, index) => ({ role: index % 2 ? 'assistant' : 'user', content: `turn ${index}`, extra: true }));
+  const kept = conversationService.normalizeHistory(long);
+  assert.equal(kept.length, conversationService.maxTurns * 2);
+  assert.deepEqual(kept[kept.length - 1], { role: 'assistant', content: 'turn 39' });
+});
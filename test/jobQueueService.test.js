@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueueService, JobCancelledError } = require('../services/jobQueueService');
+const { JsonStateStorage } = require('../services/stateStorage');
+
+// A queue keeping its jobs in a temporary directory
+function createQueue(t, { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-')), concurrency = 2 } = {}) {
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const queue = new JobQueueService({ storage: new JsonStateStorage({ dir }) });
+  queue.concurrency = concurrency;
+  queue.retryDelayMs = 1;
+  return { queue, dir };
+}
+
+// Resolves the described job once it finishes
+function finished(queue, id) {
+  return new Promise(resolve => {
+    const listener = (job, change) => {
+      if (job.id !== id || change !== 'finished') return;
+      queue.off('job', listener);
+      resolve(job);
+    };
+    queue.on('job', listener);
+  });
+}
+
+// A promise with its resolve function, for handlers that wait on the test
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+test('a job runs its handler and keeps the result', async t => {
+  const { queue, dir } = createQueue(t);
+  const changes = [];
+  queue.on('job', (job, change) => changes.push(change));
+  queue.registerHandler('echo', {
+    run: async (job, { progress }) => {
+      progress({ step: 1 });
+      return { echoed: job.data.text };
+    },
+    describe: job => ({ text: job.data.text })
+  });
+
+  const job = await queue.enqueue('echo', { userId: 'alice', workspaceId: 'default', data: { text: 'hi' } });
+  const done = await finished(queue, job.id);
+
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.result, { echoed: 'hi' });
+  assert.deepEqual(done.progress, { step: 1 });
+  assert.equal(done.text, 'hi');
+  assert.equal(done.data, undefined);
+  assert.deepEqual(changes, ['queued', 'started', 'progress', 'finished']);
+
+  const saved = await new JsonStateStorage({ dir }).get('jobs');
+  assert.equal(saved.jobs[0].status, 'completed');
+});
+
+test('enqueue rejects unknown job types', async t => {
+  const { queue } = createQueue(t);
+  await assert.rejects(queue.enqueue('missing', { userId: 'alice' }), /Unknown job type "missing"/);
+});
+
+test('retry repeats failed steps and fails the job once attempts run out', async t => {
+  const { queue } = createQueue(t);
+  queue.maxAttempts = 3;
+  const attempts = { flaky: 0, broken: 0 };
+  queue.registerHandler('step', {
+    run: async (job, { retry }) => retry(async () => {
+      attempts[job.data.kind]++;
+      if (job.data.kind === 'broken' || attempts.flaky < 3) throw new Error(`${job.data.kind} step failed`);
+      return 'ok';
+    })
+  });
+
+  const flaky = await queue.enqueue('step', { userId: 'alice', data: { kind: 'flaky' } });
+  assert.equal((await finished(queue, flaky.id)).status, 'completed');
+  assert.equal(attempts.flaky, 3);
+
+  const broken = await queue.enqueue('step', { userId: 'alice', data: { kind: 'broken' } });
+  const failed = await finished(queue, broken.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'broken step failed');
+  assert.equal(attempts.broken, 3);
+});
+
+test('no more than JOB_CONCURRENCY jobs run at a time', { timeout: 5000 }, async t => {
+  const { queue } = createQueue(t, { concurrency: 2 });
+  const release = deferred();
+  const twoRunning = deferred();
+  let running = 0;
+  let peak = 0;
+  queue.registerHandler('slow', {
+    run: async () => {
+      peak = Math.max(peak, ++running);
+      if (running === 2) twoRunning.resolve();
+      await release.promise;
+      running--;
+    }
+  });
+
+  const jobs = await Promise.all([1, 2, 3].map(() => queue.enqueue('slow', { userId: 'alice' })));
+  await twoRunning.promise;
+  assert.deepEqual(jobs.map(job => job.status), ['running', 'running', 'queued']);
+
+  release.resolve();
+  await Promise.all(jobs.map(job => job.status === 'completed' ? job : finished(queue, job.id)));
+  assert.equal(peak, 2);
+});
+
+test('cancelling stops queued jobs at once and running jobs at their next checkpoint', async t => {
+  const { queue } = createQueue(t, { concurrency: 1 });
+  const started = deferred();
+  const cleanedUp = [];
+  queue.registerHandler('loop', {
+    run: async (job, { checkCancelled }) => {
+      started.resolve();
+      for (;;) {
+        checkCancelled();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    },
+    cleanup: async job => cleanedUp.push(job.id)
+  });
+
+  const running = await queue.enqueue('loop', { userId: 'alice' });
+  const queued = await queue.enqueue('loop', { userId: 'alice' });
+  await started.promise;
+
+  await queue.cancelJob(queued.id);
+  assert.equal(queued.status, 'cancelled');
+
+  await queue.cancelJob(running.id, { wait: true });
+  assert.equal(running.status, 'cancelled');
+  assert.equal(running.cancelRequested, false);
+  assert.deepEqual(cleanedUp.sort(), [running.id, queued.id].sort());
+
+  await assert.rejects(queue.cancelJob(running.id), /Job is already cancelled/);
+  assert.ok(new JobCancelledError() instanceof Error);
+});
+
+test('jobs interrupted by a restart run again with the state they recorded', async t => {
+  const { queue, dir } = createQueue(t);
+  const interrupted = deferred();
+  queue.registerHandler('resumable', {
+    run: async (job, { checkpoint }) => {
+      job.data.done.push('first');
+      await checkpoint();
+      interrupted.resolve();
+      await new Promise(() => {}); // the process "stops" here
+    }
+  });
+  const job = await queue.enqueue('resumable', { userId: 'alice', data: { done: [] } });
+  await interrupted.promise;
+
+  const { queue: restarted } = createQueue(t, { dir });
+  const runs = [];
+  restarted.registerHandler('resumable', {
+    run: async resumed => {
+      runs.push([...resumed.data.done]);
+      resumed.data.done.push('second');
+      return resumed.data.done;
+    }
+  });
+  const done = await finished(restarted, job.id);
+
+  assert.deepEqual(runs, [['first']]);
+  assert.equal(done.status, 'completed');
+  assert.deepEqual(done.result, ['first', 'second']);
+});
+
+test('listJobs filters, and only finished jobs can be deleted', async t => {
+  const { queue } = createQueue(t, { concurrency: 1 });
+  const release = deferred();
+  queue.registerHandler('wait', { run: () => release.promise });
+
+  const alice = await queue.enqueue('wait', { userId: 'alice', workspaceId: 'default' });
+  const bob = await queue.enqueue('wait', { userId: 'bob', workspaceId: 'acme' });
+
+  assert.deepEqual((await queue.listJobs({ userId: 'bob' })).map(job => job.id), [bob.id]);
+  assert.deepEqual((await queue.listJobs({ workspaceId: 'default' })).map(job => job.id), [alice.id]);
+  assert.deepEqual((await queue.listJobs({ status: 'queued' })).map(job => job.id), [bob.id]);
+  await assert.rejects(queue.deleteJob(alice.id), /Cancel the job before deleting it/);
+
+  release.resolve();
+  await finished(queue, bob.id);
+  assert.equal(await queue.deleteJobs({ workspaceId: 'acme' }), 1);
+  assert.equal(await queue.getJob(bob.id), null);
+  assert.equal((await queue.deleteJob(alice.id)).id, alice.id);
+  assert.deepEqual(await queue.listJobs(), []);
+});
+
+test('finished jobs are dropped after the retention period', async t => {
+  const { queue } = createQueue(t);
+  queue.registerHandler('noop', { run: async () => null });
+  const job = await queue.enqueue('noop', { userId: 'alice' });
+  await finished(queue, job.id);
+
+  queue.retentionMs = 0;
+  job.finishedAt = new Date(Date.now() - 1000).toISOString();
+  queue.pruneFinished();
+  assert.equal(await queue.getJob(job.id), null);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrateLegacyMemory, readLegacyData } = require('../services/memoryMigration');
+const { JsonMemoryStorage, SqliteMemoryStorage, SCHEMA_VERSION } = require('../services/memoryStorage');
+
+// The files both legacy memory services left in data/
+const LEGACY = {
+  'memory.json': {
+    0: { id: 'c1', sessionId: 'alice', timestamp: '2025-08-09T15:51:13.515Z', question: 'What is RAG?', answer: 'Retrieval first.', metadata: { questionType: 'definition' } },
+    1: { id: 'c3', sessionId: 'session-1', timestamp: '2025-08-10T09:00:00.000Z', question: 'And BM25?', answer: 'Keyword scoring.', metadata: { userId: 'carol' } },
+    2: { id: 'c4', sessionId: 'alice', timestamp: '2025-08-11T09:00:00.000Z', question: 'Unanswered', answer: '' },
+    'memory:alice:color': { id: 'm1', userId: 'alice', key: 'color', value: 'blue', metadata: { importance: 0.5 } }
+  },
+  'conversations.json': {
+    'conversation:bob:c2': { id: 'c2', userId: 'bob', message: 'Hi', response: 'Hello!', context: { source: 'chat' }, timestamp: '2025-08-09T10:00:00.000Z' },
+    'conversation:alice:c1': { id: 'c1', userId: 'alice', message: 'Duplicate', response: 'Already in memory.json', timestamp: '2025-08-09T15:51:13.515Z' }
+  },
+  'user_profiles.json': { 'profile:alice': { name: 'Alice', expertise: 'beginner' } },
+  'behavior.json': { questionPatterns: { definition: 1 } },
+  'context.json': { topics: { rag: 2 } },
+  'feedback.json': { message: 'Feedback tracking initialized', initialized: true }
+};
+
+async function createDataDir(t, files = LEGACY) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'memory-'));
+  t.after(() => fs.remove(dir));
+  for (const [name, data] of Object.entries(files)) {
+    await fs.writeJSON(path.join(dir, name), data);
+  }
+  return dir;
+}
+
+async function createJsonStorage(dir) {
+  const storage = new JsonMemoryStorage({ file: path.join(dir, 'memory.json'), maxConversationsPerUser: 100 });
+  await storage.init();
+  return storage;
+}
+
+test('there is nothing to migrate without legacy files or with an up-to-date memory.json', async t => {
+  assert.equal(await readLegacyData(await createDataDir(t, {})), null);
+  const current = await createDataDir(t, { 'memory.json': { version: SCHEMA_VERSION, conversations: [] } });
+  assert.equal(await readLegacyData(current), null);
+});
+
+test('legacy records are imported into the JSON store, which takes over memory.json', async t => {
+  const dir = await createDataDir(t);
+  const storage = await createJsonStorage(dir);
+  const summary = await migrateLegacyMemory(storage, { dataDir: dir });
+
+  assert.equal(summary.conversations, 3);
+  assert.equal(summary.memories, 1);
+  assert.equal(summary.profiles, 1);
+  assert.deepEqual(summary.state, ['behavior', 'context']);
+
+  // Oldest first, owned by metadata.userId or else the session; incomplete exchanges are dropped
+  assert.deepEqual(storage.data.conversations.map(conv => [conv.id, conv.userId, conv.question]), [
+    ['c2', 'bob', 'Hi'],
+    ['c1', 'alice', 'What is RAG?'],
+    ['c3', 'carol', 'And BM25?']
+  ]);
+  assert.deepEqual((await storage.getConversation('c2')).metadata, { source: 'chat' });
+  assert.equal((await storage.getMemory('alice', 'color')).value, 'blue');
+  assert.equal((await storage.getProfile('alice')).name, 'Alice');
+  assert.deepEqual(await storage.getState('behavior'), LEGACY['behavior.json']);
+  assert.equal(await storage.getState('feedback'), null);
+
+  // Originals are backed up and retired; memory.json is rewritten in the current schema
+  for (const name of Object.keys(LEGACY)) {
+    assert.deepEqual(await fs.readJSON(path.join(summary.backupDir, name)), JSON.parse(JSON.stringify(LEGACY[name])));
+  }
+  assert.deepEqual((await fs.readdir(dir)).sort(), ['legacy-memory', 'memory.json']);
+  const saved = await fs.readJSON(path.join(dir, 'memory.json'));
+  assert.equal(saved.version, SCHEMA_VERSION);
+  assert.equal(saved.conversations.length, 3);
+
+  // A second run finds nothing left to do
+  const reloaded = await createJsonStorage(dir);
+  assert.equal(await migrateLegacyMemory(reloaded, { dataDir: dir }), null);
+  assert.equal(reloaded.data.conversations.length, 3);
+});
+
+test('records already in the store win over legacy ones', async t => {
+  const dir = await createDataDir(t, {
+    'conversations.json': LEGACY['conversations.json'],
+    'user_profiles.json': LEGACY['user_profiles.json'],
+    'behavior.json': LEGACY['behavior.json']
+  });
+  const storage = new JsonMemoryStorage({ file: path.join(dir, 'store', 'memory.json'), maxConversationsPerUser: 100 });
+  await storage.addConversation({ id: 'c2', userId: 'bob', sessionId: 'bob', question: 'Newer', answer: 'Kept', timestamp: '2026-01-01T00:00:00.000Z', metadata: {} });
+  await storage.setProfile('alice', { name: 'Alice Liddell' });
+  await storage.setState('behavior', { questionPatterns: { general: 9 } });
+
+  const summary = await migrateLegacyMemory(storage, { dataDir: dir });
+
+  assert.equal(summary.conversations, 1);
+  assert.equal(summary.profiles, 0);
+  assert.deepEqual(summary.state, []);
+  assert.equal((await storage.getConversation('c2')).question, 'Newer');
+  assert.equal((await storage.getProfile('alice')).name, 'Alice Liddell');
+  assert.deepEqual(await storage.getState('behavior'), { questionPatterns: { general: 9 } });
+});
+
+test('migrating into SQLite retires memory.json as well', async t => {
+  const dir = await createDataDir(t);
+  const db = new Database(':memory:');
+  t.after(() => db.close());
+  const storage = new SqliteMemoryStorage({ db, maxConversationsPerUser: 100 });
+  await storage.init();
+
+  const summary = await migrateLegacyMemory(storage, { dataDir: dir });
+
+  assert.equal(summary.conversations, 3);
+  assert.deepEqual((await storage.listConversations({ userId: 'alice' })).map(conv => conv.id), ['c1']);
+  assert.equal((await storage.getMemory('alice', 'color')).value, 'blue');
+  assert.deepEqual(await fs.readdir(dir), ['legacy-memory']);
+});
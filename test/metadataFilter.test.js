@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateFilter, matchesFilter, toPineconeFilter, restrictToOwner } = require('../services/metadataFilter');
+
+const handbook = {
+  source: 'handbook.pdf',
+  type: 'pdf',
+  language: 'en',
+  page: 4,
+  timestamp: '2025-03-01T10:00:00.000Z',
+  semanticTags: ['policy', 'travel'],
+  userId: 'alice'
+};
+
+test('validateFilter accepts the documented grammar', () => {
+  assert.doesNotThrow(() => validateFilter(undefined));
+  assert.doesNotThrow(() => validateFilter({ source: 'handbook.pdf', page: 4, shared: true }));
+  assert.doesNotThrow(() => validateFilter({
+    language: { $in: ['en', 'de'] },
+    timestamp: { $gt: '2025-01-01', $lt: '2026-01-01' },
+    $or: [{ type: 'pdf' }, { fileType: { $nin: ['.png', '.jpg'] } }],
+    summary: { $exists: false }
+  }));
+});
+
+test('validateFilter rejects malformed filters', () => {
+  const cases = [
+    [[], /filter must be an object/],
+    [{ $or: [] }, /filter\.\$or must be a non-empty array/],
+    [{ $not: { type: 'pdf' } }, /Unknown filter operator "\$not"/],
+    [{ type: { $regex: 'p.*' } }, /Unknown filter operator "\$regex" in filter\.type/],
+    [{ type: {} }, /filter\.type has no operators/],
+    [{ type: ['pdf', 'url'] }, /use \$in for lists/],
+    [{ language: { $in: 'en' } }, /\$in must be an array/],
+    [{ page: { $gt: 'soon' } }, /\$gt must be a number or an ISO date/],
+    [{ summary: { $exists: 'yes' } }, /\$exists must be true or false/],
+    [{ $and: [{ type: { $eq: { nested: true } } }] }, /filter\.\$and\[0\]\.type\.\$eq must be a string/]
+  ];
+  for (const [filter, message] of cases) {
+    assert.throws(() => validateFilter(filter), message, JSON.stringify(filter));
+  }
+});
+
+test('matchesFilter treats plain values as $eq and ANDs the fields', () => {
+  assert.equal(matchesFilter(handbook, {}), true);
+  assert.equal(matchesFilter(handbook, { source: 'handbook.pdf', page: 4 }), true);
+  assert.equal(matchesFilter(handbook, { source: 'handbook.pdf', page: 5 }), false);
+  assert.equal(matchesFilter(handbook, { type: { $ne: 'url' } }), true);
+});
+
+test('matchesFilter matches any element of list fields', () => {
+  assert.equal(matchesFilter(handbook, { semanticTags: 'travel' }), true);
+  assert.equal(matchesFilter(handbook, { semanticTags: { $in: ['finance', 'policy'] } }), true);
+  assert.equal(matchesFilter(handbook, { semanticTags: { $nin: ['policy'] } }), false);
+  assert.equal(matchesFilter(handbook, { semanticTags: { $ne: 'finance' } }), true);
+});
+
+test('matchesFilter compares numbers and ISO dates, and nothing else', () => {
+  assert.equal(matchesFilter(handbook, { page: { $gt: 3, $lt: 5 } }), true);
+  assert.equal(matchesFilter(handbook, { page: { $gt: 4 } }), false);
+  assert.equal(matchesFilter(handbook, { timestamp: { $gt: '2025-01-01' } }), true);
+  assert.equal(matchesFilter(handbook, { timestamp: { $lt: '2025-03-01' } }), false);
+  assert.equal(matchesFilter(handbook, { language: { $gt: 1 } }), false);
+  assert.equal(matchesFilter({}, { page: { $lt: 10 } }), false);
+});
+
+test('matchesFilter evaluates $exists, $and and $or', () => {
+  assert.equal(matchesFilter(handbook, { userId: { $exists: true }, summary: { $exists: false } }), true);
+  assert.equal(matchesFilter(handbook, { $or: [{ type: 'url' }, { language: 'en' }] }), true);
+  assert.equal(matchesFilter(handbook, { $or: [{ type: 'url' }, { language: 'de' }] }), false);
+  assert.equal(matchesFilter(handbook, { $and: [{ type: 'pdf' }, { $or: [{ page: 1 }, { page: 4 }] }] }), true);
+});
+
+test('toPineconeFilter spells out $eq and moves date ranges to the numeric mirror field', () => {
+  assert.deepEqual(toPineconeFilter({
+    source: 'handbook.pdf',
+    timestamp: { $gt: '2025-01-01T00:00:00.000Z' },
+    page: { $lt: 10 },
+    $or: [{ type: 'pdf' }, { language: { $in: ['en'] } }]
+  }), {
+    source: { $eq: 'handbook.pdf' },
+    timestampMs: { $gt: Date.parse('2025-01-01T00:00:00.000Z') },
+    page: { $lt: 10 },
+    $or: [{ type: { $eq: 'pdf' } }, { language: { $in: ['en'] } }]
+  });
+  // Mixed with other operators the range can't move, so the field is kept
+  assert.deepEqual(toPineconeFilter({ timestamp: { $gt: '2025-01-01T00:00:00.000Z', $exists: true } }), {
+    timestamp: { $gt: Date.parse('2025-01-01T00:00:00.000Z'), $exists: true }
+  });
+});
+
+test('restrictToOwner keeps the caller\'s and shared vectors', () => {
+  const owned = restrictToOwner({ type: 'pdf' }, 'alice');
+  assert.equal(matchesFilter(handbook, owned), true);
+  assert.equal(matchesFilter({ ...handbook, userId: 'bob' }, owned), false);
+  assert.equal(matchesFilter({ type: 'pdf' }, owned), true);
+  assert.equal(matchesFilter({ type: 'url' }, owned), false);
+  assert.deepEqual(restrictToOwner({}, 'alice'), { $or: [{ userId: 'alice' }, { userId: { $exists: false } }] });
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimitService } = require('../services/rateLimitService');
+
+// A service built with the given RATE_LIMIT_* variables, which are only read by the constructor
+function createService(env = {}) {
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  Object.assign(process.env, env);
+  try {
+    return new RateLimitService();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+function request(method, path, user = null) {
+  return { method, path, user, ip: '203.0.113.7' };
+}
+
+function response() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Runs the middleware once; resolves the response and whether the request went through
+async function run(service, req) {
+  const res = response();
+  let passed = false;
+  await service.middleware()(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+test('parseLimit reads <limit>/<window> and falls back to the rule default', () => {
+  const service = createService();
+  const rule = { name: 'chat', limit: '20/1m' };
+  assert.deepEqual(service.parseLimit('20/1m', rule), { limit: 20, windowMs: 60000 });
+  assert.deepEqual(service.parseLimit('5 / 30s', rule), { limit: 5, windowMs: 30000 });
+  assert.deepEqual(service.parseLimit('1000/h', rule), { limit: 1000, windowMs: 3600000 });
+  assert.deepEqual(service.parseLimit('0', rule), { limit: 0, windowMs: 0 });
+  assert.deepEqual(service.parseLimit('lots', rule), { limit: 20, windowMs: 60000 });
+  assert.deepEqual(service.parseLimit('20', rule), { limit: 20, windowMs: 60000 });
+});
+
+test('the first matching rule wins and everything else falls under api', () => {
+  const service = createService();
+  assert.equal(service.findRule('POST', '/chat').name, 'chat');
+  assert.equal(service.findRule('POST', '/auth/login').name, 'auth');
+  assert.equal(service.findRule('GET', '/search').name, 'search');
+  assert.equal(service.findRule('GET', '/chat').name, 'api');
+  assert.equal(service.findRule('DELETE', '/documents/1').name, 'api');
+});
+
+test('API keys, users and anonymous callers draw from separate buckets', () => {
+  const service = createService();
+  assert.equal(service.getIdentity(request('POST', '/chat', { id: 'u1', apiKeyId: 'k1' })), 'key:k1');
+  assert.equal(service.getIdentity(request('POST', '/chat', { id: 'u1' })), 'user:u1');
+  assert.equal(service.getIdentity(request('POST', '/auth/login')), 'ip:203.0.113.7');
+});
+
+test('an empty bucket answers 429 until it refills', async t => {
+  let now = Date.parse('2026-01-01T00:00:00Z');
+  t.mock.method(Date, 'now', () => now);
+  const service = createService({ RATE_LIMIT_CHAT: '2/1m' });
+  const alice = request('POST', '/chat', { id: 'alice' });
+
+  const first = await run(service, alice);
+  assert.equal(first.passed, true);
+  assert.deepEqual(first.res.headers, {
+    'RateLimit-Policy': '2;w=60',
+    'RateLimit-Limit': '2',
+    'RateLimit-Remaining': '1',
+    'RateLimit-Reset': '30'
+  });
+  assert.equal((await run(service, alice)).passed, true);
+
+  const limited = await run(service, alice);
+  assert.equal(limited.passed, false);
+  assert.equal(limited.res.statusCode, 429);
+  assert.equal(limited.res.headers['Retry-After'], '30');
+  assert.equal(limited.res.body.retryAfter, 30);
+
+  // Other callers and other rules are unaffected
+  assert.equal((await run(service, request('POST', '/chat', { id: 'bob' }))).passed, true);
+  assert.equal((await run(service, request('GET', '/threads', { id: 'alice' }))).passed, true);
+
+  // One token comes back every 30s
+  now += 30 * 1000;
+  assert.equal((await run(service, alice)).passed, true);
+  assert.equal((await run(service, alice)).passed, false);
+});
+
+test('a limit of 0 or RATE_LIMIT_ENABLED=false lets everything through', async () => {
+  const unlimited = createService({ RATE_LIMIT_CHAT: '0' });
+  const disabled = createService({ RATE_LIMIT_ENABLED: 'false' });
+  const alice = request('POST', '/chat', { id: 'alice' });
+
+  for (let i = 0; i < 30; i++) {
+    assert.equal(await unlimited.consume(alice), null);
+    assert.equal(await disabled.consume(alice), null);
+  }
+  const { res, passed } = await run(unlimited, alice);
+  assert.equal(passed, true);
+  assert.deepEqual(res.headers, {});
+});
+
+test('requests go through when the store fails', async () => {
+  const service = createService();
+  service.store = { take: async () => { throw new Error('store down'); } };
+  const { res, passed } = await run(service, request('POST', '/chat', { id: 'alice' }));
+  assert.equal(passed, true);
+  assert.equal(res.statusCode, 200);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stand-ins for the provider chain, the local models and the vector store, which would otherwise set
+// up the LLM and embedding providers and load the stored vectors
+const vectorDatabaseService = {
+  applyDiversityFilter: candidates => [...candidates],
+  textSimilarity: (a, b) => (a === b ? 1 : 0)
+};
+const stubs = { llmProviderService: {}, localEmbeddingService: {}, vectorDatabaseService };
+for (const [name, exports] of Object.entries(stubs)) {
+  const modulePath = require.resolve(`../services/${name}`);
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports };
+}
+const rerankerService = require('../services/rerankerService');
+
+// Candidates in the order they were retrieved, not by score
+const candidates = [
+  { id: 'low', text: 'pump maintenance schedule', score: 0.2 },
+  { id: 'best', text: 'pump calibration steps', score: 0.9 },
+  { id: 'same', text: 'pump calibration steps', score: 0.85 },
+  { id: 'good', text: 'calibration torque table', score: 0.7 }
+];
+
+test('mmr keeps its selection order and passes over redundant candidates', async () => {
+  const results = await rerankerService.rerank('pump calibration', candidates, { reranker: 'mmr', topK: 3, lambda: 0.5 });
+  assert.deepEqual(results.map(result => result.id), ['best', 'good', 'low']);
+});
+
+test('a failed reranker falls back to the heuristic, best scores first', async t => {
+  t.mock.method(vectorDatabaseService, 'applyDiversityFilter', () => { throw new Error('no vectors'); });
+  const results = await rerankerService.rerank('pump calibration', candidates, { reranker: 'mmr', topK: 2 });
+  assert.deepEqual(results.map(result => result.id), ['best', 'same']);
+});
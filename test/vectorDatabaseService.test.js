@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stand-ins for the embedding registry and the reranker, which would otherwise set up the LLM and
+// embedding providers
+const stubs = {
+  embeddingRegistryService: { ensureProfile: async () => {}, getProfile: async () => ({ dimension: 3 }), setProfile: async () => {} },
+  rerankerService: {}
+};
+for (const [name, exports] of Object.entries(stubs)) {
+  const modulePath = require.resolve(`../services/${name}`);
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports };
+}
+const { VectorDatabaseService } = require('../services/vectorDatabaseService');
+const { FileVectorStorage } = require('../services/vectorStorage');
+const { JsonStateStorage } = require('../services/stateStorage');
+
+// A local vector database keeping its files in a temporary directory, embedding every text the same way
+async function createDatabase(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vectors-'));
+  const service = new VectorDatabaseService({
+    vectorStorage: new FileVectorStorage({ dir }),
+    stateStorage: new JsonStateStorage({ dir }),
+    faissDir: dir
+  });
+  service.embedText = async () => ({ embedding: [0.1, 0.2, 0.3], provider: 'test', model: 'test' });
+  t.after(async () => {
+    await service.flushLocalVectors();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await service.ready;
+  return service;
+}
+
+const storeChunk = (service, documentId, chunkId, text = 'Shared boilerplate paragraph.') =>
+  service.createEmbedding(text, { userId: 'alice', type: 'document', documentId, chunkId });
+
+test('document chunks with the same text get vectors of their own', async t => {
+  const service = await createDatabase(t);
+  const first = await storeChunk(service, 'doc1', 'c1');
+  const repeated = await storeChunk(service, 'doc1', 'c2');
+  const second = await storeChunk(service, 'doc2', 'c1');
+
+  assert.equal(new Set([first.id, repeated.id, second.id]).size, 3);
+  assert.equal(second.metadata.documentId, 'doc2');
+  assert.equal((await storeChunk(service, 'doc2', 'c1')).id, second.id); // a retried write reuses its vector
+});
+
+test('deleting a document leaves the vectors of a document sharing its text', async t => {
+  const service = await createDatabase(t);
+  const first = await storeChunk(service, 'doc1', 'c1');
+  const second = await storeChunk(service, 'doc2', 'c1');
+
+  assert.equal(await service.deleteDocumentVectors('doc1', [first.id], 'default', { ownerId: 'alice' }), 1);
+  assert.equal(service.localVectors.has(first.id), false);
+  assert.equal(service.localVectors.get(second.id).metadata.documentId, 'doc2');
+
+  // Storing the first document again creates a new vector rather than returning the deleted one
+  const restored = await storeChunk(service, 'doc1', 'c1');
+  assert.notEqual(restored.id, first.id);
+  assert.equal(service.localVectors.size, 2);
+});
@@ -1,6 +1,9 @@
 // Test script for the advanced RAG system
 const axios = require('axios');
 
+// Every /api route needs a token: create an API key (POST /api/auth/api-keys) and export it as GAVINA_API_KEY
+const headers = { 'x-api-key': process.env.GAVINA_API_KEY };
+
 async function testAPI() {
   try {
     console.log('🧪 Testing Advanced RAG API...\n');
@@ -10,7 +13,7 @@ async function testAPI() {
     const response1 = await axios.post('http://localhost:5000/api/ask', {
       question: 'Hello, what can you help me with?',
       sessionId: 'test_session_' + Date.now()
-    });
+    }, { headers });
     
     console.log('✅ Response received:');
     console.log('Answer:', response1.data.answer.substring(0, 200) + '...');
@@ -23,7 +26,7 @@ async function testAPI() {
     const response2 = await axios.post('http://localhost:5000/api/ask', {
       question: 'What is artificial intelligence?',
       sessionId: response1.data.metadata.sessionId
-    });
+    }, { headers });
     
     console.log('✅ Response received:');
     console.log('Answer:', response2.data.answer.substring(0, 200) + '...');
@@ -32,7 +35,7 @@ async function testAPI() {
 
     // Test 3: Check analytics
     console.log('Test 3: Analytics overview');
-    const analytics = await axios.get('http://localhost:5000/api/analytics/overview');
+    const analytics = await axios.get('http://localhost:5000/api/analytics/overview', { headers });
     console.log('✅ Analytics received:');
     console.log('Total conversations:', analytics.data.overview.totalConversations);
     console.log('');